@@ -1,655 +1,3534 @@
-import React, { useMemo, useState } from "react";
+import React, { Suspense, createContext, lazy, useContext, useEffect, useId, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import { createRoot } from "react-dom/client";
+import {
+  toNum, clamp, parseLocaleNumber, formatLocaleInput, checkField, goalSeek, searchItems, escapeHTML, reportToMarkdown, reportToCSV, reportToHTML, formatIndianWords, calcBasic, evaluateExpression, calcPercentage, calcDiscount,
+  calcBMI, BMI_CUTOFFS, ACTIVITY_LEVELS, calcBMR, calcBodyFatNavy, calcIdealWeight, calcDailyTargets, feetInchesToInches, inchesToFeetInches,
+  parseDate, formatDay, calcAge, nextBirthday, calcDateDiff, addDuration, countWorkingDays, addWorkingDays, parseHolidayList,
+  TIME_ZONE_CITIES, convertTimeZone,
+  calcGST, calcInvoice, INVOICE_COLUMNS, INVOICE_SUMMARY_COLUMNS, INCOME_TAX_YEARS, compareTaxRegimes,
+  UNIT_QUANTITIES, convertUnit, BUNDLED_RATES, CURRENCY_NAMES, crossRate, convertCurrency, rebaseRates,
+  parseRateTable, normaliseRateTable, calcEMI, calcAmortization, AMORTIZATION_COLUMNS, toCSV, calcSIPPlan, calcSIPGoal, calcSWP, SIP_COLUMNS, SWP_COLUMNS, calcCompoundInterest, convertBase,
+  parseFraction, formatFraction, fractionToDecimal, decimalToFraction, fractionFromParts, calcFractionOp, calcGcdLcm,
+  parseDataset, describeData, percentile, histogram, linearRegression,
+} from "./world_calc_core.js";
 
 /**
  * WORLD CALC HUB – single-file React + Tailwind app (no external libs)
  * ---------------------------------------------------------------
- * - 18+ everyday calculators & converters
- * - Fast client-only math, no APIs
+ * - 30+ everyday calculators & converters (converters generated from the unit registry)
+ * - Fast client-only math, no APIs (currency uses a bundled / imported rate table)
  * - Mobile-first, clean UI
- * - Search + category filter
- * - Easy to extend: add to CALC_REGISTRY at bottom
+ * - Forgiving search: ranked, typo-tolerant, synonyms incl. romanised Hindi ("byaj", "kist"), category chips
+ * - Easy to extend: calculators are declarative specs or components – add to CALC_REGISTRY at the bottom,
+ *   or call registerCalculator() from the host app (modules can be lazy-loaded on first open)
+ * - Shareable deep links: #/emi?p=500000&r=10… restores the calculator and its inputs
+ * - Favourites, named scenarios & history in localStorage (JSON import/export)
+ * - Compare mode: any calculator side by side in 2–4 columns, differing results highlighted with deltas
+ * - Goal seek: pin a target output (EMI, future value, BMI…) and solve for one input by root finding
+ * - Keyboard first: Ctrl/⌘-K command palette, Alt+S swap units, Alt+C copy results; ARIA tabs and
+ *   a live region that reads out results as they change
+ * - English / हिन्दी UI, locale-aware number formatting and input (1,00,000 · 1.000,50)
+ * - Inline SVG charts (line, stacked bar, donut) with tooltips and data-table text alternatives
+ * - Declarative input rules (required, min/max, integer, dates): inline errors, results hidden until fixed
+ * - Health: BMI (WHO or Asian cutoffs), BMR/TDEE, US Navy body fat, ideal weight, water & protein –
+ *   metric or lb + feet/inches
+ * - Exact fractions: decimal → fraction (continued fractions, max denominator), mixed numbers,
+ *   + − × ÷, repeating decimals written 0.1(6), GCD/LCM
+ * - Statistics on pasted lists or CSV columns: summary, quartiles/percentiles, histogram, linear regression
+ * - Report export of the open calculator (inputs, results, schedules) as Markdown, CSV, JSON or a printable
+ *   page, and a copy button on every result
+ * - All formulas live in world_calc_core.js (pure, no React) – components only hold UI state
  *
  * How to use in your project:
- * 1) Drop this file into your React app (e.g., src/WorldCalcHub.jsx) and default export is a component.
+ * 1) Drop this file and world_calc_core.js into your React app (e.g., src/WorldCalcHub.jsx) and default export is a component.
  * 2) Ensure Tailwind is enabled. If not, replace classNames with your own CSS.
  * 3) Render <WorldCalcHub /> anywhere.
+ * 4) Or embed a single calculator: <WorldCalcWidget id="emi" values={{ p: 2500000 }} onResult={…} />, or on
+ *    a non-React page call defineWorldCalcElement() once and write <world-calc id="emi"></world-calc>.
  */
 
-const Card = ({ title, children }) => (
-  <div className="rounded-2xl shadow-lg p-5 bg-white/80 dark:bg-zinc-900/80 backdrop-blur border border-black/5">
-    <h3 className="text-lg font-semibold mb-4 tracking-tight">{title}</h3>
-    {children}
-  </div>
-);
+// A card is also the validation scope of one calculator: Inputs with a `rule` report their
+// errors here, and <Results> in the same card shows the reasons instead of its outputs.
+const ValidationContext = createContext(null);
+const FieldContext = createContext("");
+
+const Card = ({ title, children }) => {
+  const [errors, setErrors] = useState({});
+  const report = useMemo(() => (id, err) => setErrors(prev => {
+    if (prev[id]?.label === err?.label && prev[id]?.text === err?.text) return prev;
+    const next = { ...prev };
+    if (err) next[id] = err; else delete next[id];
+    return next;
+  }), []);
+  const validation = useMemo(() => ({ errors, report }), [errors, report]);
+  return (
+    <div className="rounded-2xl shadow-lg p-5 bg-white/80 dark:bg-zinc-900/80 backdrop-blur border border-black/5">
+      <h3 className="text-lg font-semibold mb-4 tracking-tight">{title}</h3>
+      <ValidationContext.Provider value={validation}>{children}</ValidationContext.Provider>
+    </div>
+  );
+};
 
 const Field = ({ label, children }) => (
   <label className="flex flex-col gap-2 mb-3">
     <span className="text-sm text-zinc-600 dark:text-zinc-300">{label}</span>
-    {children}
+    <FieldContext.Provider value={label}>{children}</FieldContext.Provider>
   </label>
 );
 
-const Input = (props) => (
-  <input
-    {...props}
-    className={
-      "w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 " +
-      "bg-white dark:bg-zinc-800 border-zinc-200 dark:border-zinc-700"
-    }
-  />
-);
+const inputClass = (invalid) =>
+  "w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 bg-white dark:bg-zinc-800 " +
+  (invalid ? "border-red-500 dark:border-red-500" : "border-zinc-200 dark:border-zinc-700");
 
-const Select = (props) => (
-  <select
-    {...props}
-    className={
-      "w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 " +
-      "bg-white dark:bg-zinc-800 border-zinc-200 dark:border-zinc-700"
-    }
-  />
-);
+// type="number" fields accept the active locale's format ("1,00,000", "1.000,50", "12.5 lakh"):
+// the text stays as typed while editing and onChange receives the plain number string;
+// otherwise the value is shown with the locale's decimal mark so an edit re-parses the same number.
+// `rule` is a FieldRule (world_calc_core.js); number fields always reject text that isn't a number.
+const Input = ({ type, value, onChange, onBlur, rule, ...props }) => {
+  const { t, fmt, fmtDate, locale } = useI18n();
+  const label = useContext(FieldContext);
+  const report = useContext(ValidationContext)?.report;
+  const id = useId();
+  useReportInput(id, () => label ? { label, value: String(value ?? "") } : null);
+  const [draft, setDraft] = useState(null);
+  const isDate = type === "date" || type === "datetime-local";
+  const error = type === "number" || rule ? checkField(value, isDate ? { date: true, ...rule } : rule) : null;
+  const text = error && t(error.message, Object.fromEntries(Object.entries(error.params ?? {}).map(([k, v]) => [k, typeof v === "number" ? fmt(v, 6) : k === "date" ? fmtDate(v) : v])));
+  useEffect(() => { report?.(id, text ? { label, text } : null); }, [report, id, label, text]);
+  useEffect(() => () => report?.(id, null), [report, id]);
+  const common = { ...props, "aria-invalid": !!error, "aria-describedby": error ? `${id}-error` : undefined, className: inputClass(!!error) };
+  return (
+    <>
+      {type !== "number" ? <input {...common} type={type} value={value} onChange={onChange} onBlur={onBlur} /> : (
+        <input
+          {...common}
+          type="text"
+          inputMode="decimal"
+          value={draft ?? formatLocaleInput(value, locale)}
+          onChange={e => {
+            const raw = e.target.value, n = parseLocaleNumber(raw, locale);
+            setDraft(raw);
+            onChange?.({ target: { value: Number.isNaN(n) ? raw : String(n) } });
+          }}
+          onBlur={e => { setDraft(null); onBlur?.(e); }}
+        />
+      )}
+      {error && <span id={`${id}-error`} className="text-xs text-red-600 dark:text-red-400">{text}</span>}
+    </>
+  );
+};
+
+const Select = (props) => {
+  const label = useContext(FieldContext);
+  const ref = useRef(null);
+  useReportInput(useId(), () => label ? { label, value: ref.current?.selectedOptions?.[0]?.text ?? String(props.value ?? "") } : null);
+  return (
+    <select
+      {...props}
+      ref={ref}
+      className={
+        "w-full rounded-xl border px-3 py-2 outline-none focus:ring-2 focus:ring-indigo-500 " +
+        "bg-white dark:bg-zinc-800 border-zinc-200 dark:border-zinc-700"
+      }
+    />
+  );
+};
+
+// Fields and captioned Tables register a getter with the hub, read when a report is exported
+function useReportInput(id, get) {
+  const ctx = useContext(CalcContext);
+  const latest = useRef(get);
+  latest.current = get;
+  useEffect(() => ctx?.registerInput?.(id, () => latest.current()), [ctx, id]);
+}
+
+// keyboard focus is always visible: a ring instead of the browser outline
+const FOCUS_RING = "outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-2 dark:focus-visible:ring-offset-zinc-900";
 
 const Button = ({ children, ...props }) => (
   <button
     {...props}
-    className="rounded-xl px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.98]"
+    className={"rounded-xl px-4 py-2 bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.98] " + FOCUS_RING}
   >
     {children}
   </button>
 );
 
-const Stat = ({ label, value }) => (
-  <div className="flex items-baseline gap-2">
-    <span className="text-zinc-500 text-sm">{label}</span>
-    <span className="font-semibold text-lg tabular-nums">{value}</span>
-  </div>
+// Stats also report themselves to the hub, which keeps them as the calculator's results (history, scenarios);
+// in compare mode a Stat whose value differs between the columns is highlighted.
+// `label` is the English label (translated here); embedders get the result under `name` – by default the
+// label in camelCase, "EMI / Month" → "emiMonth" – with `raw`, the unformatted value (numbers as-is).
+const statKey = (label) => String(label).split(/[^A-Za-z0-9]+/).filter(Boolean)
+  .map((w, i) => i ? w[0].toUpperCase() + w.slice(1).toLowerCase() : w.toLowerCase()).join("");
+
+const Stat = ({ label, value, name, raw }) => {
+  const { t } = useI18n();
+  const ctx = useContext(CalcContext);
+  const differs = useContext(CompareContext);
+  const [copied, setCopied] = useState(false);
+  const text = t(label);
+  const key = name ?? statKey(label);
+  const result = raw !== undefined ? raw : typeof value === "number" ? value : null;
+  const rawValue = typeof result === "number" && !Number.isFinite(result) ? null : result;
+  // arrays and objects are rebuilt every render; compare them by content
+  const rawDep = rawValue !== null && typeof rawValue === "object" ? JSON.stringify(rawValue) : rawValue;
+  useEffect(() => { ctx?.reportStat(text, String(value), { key, raw: rawValue }); }, [ctx, text, value, key, rawDep]);
+  useEffect(() => () => ctx?.reportStat(text, undefined, { key }), [ctx, text, key]);
+  useEffect(() => {
+    if (!copied) return;
+    const timer = setTimeout(() => setCopied(false), 1500);
+    return () => clearTimeout(timer);
+  }, [copied]);
+  const copy = () => navigator.clipboard?.writeText(String(value)).then(() => setCopied(true), () => {});
+  return (
+    <div className={"flex items-baseline gap-2" + (differs?.has(text) ? " rounded-lg px-1.5 -mx-1.5 bg-amber-100 dark:bg-amber-900/40" : "")}>
+      <span className="text-zinc-500 text-sm">{text}</span>
+      <span className="font-semibold text-lg tabular-nums">{value}</span>
+      <button
+        type="button"
+        onClick={copy}
+        title={t("Copy")}
+        aria-label={`${t("Copy")}: ${text}`}
+        className={"text-xs rounded px-1 text-zinc-400 hover:text-indigo-600 " + FOCUS_RING}
+      >
+        {copied ? "✓" : "⧉"}
+      </button>
+    </div>
+  );
+};
+
+// Reverse-solve: the user pins a target for one output and picks the input to change; the other
+// inputs keep their values. inputs: [{ key, label, value, set, lo, hi, step?, digits?, format? }],
+// outputs: [{ key, label, format? }], compute(values keyed like inputs) → object with the output keys.
+function GoalSeek({ inputs, outputs, compute }) {
+  const { t, fmt } = useI18n();
+  const invalid = Object.keys(useContext(ValidationContext)?.errors ?? {}).length > 0;
+  const [outKey, setOutKey] = useState(outputs[0].key);
+  const [inKey, setInKey] = useState(inputs[0].key);
+  const [target, setTarget] = useState("");
+  const output = outputs.find(o => o.key === outKey) ?? outputs[0];
+  const input = inputs.find(i => i.key === inKey) ?? inputs[0];
+  const showOut = (v) => (output.format ?? fmt)(v);
+  const showIn = (v) => (input.format ?? fmt)(v);
+  const values = Object.fromEntries(inputs.map(i => [i.key, i.value]));
+  const out = invalid ? null : goalSeek({
+    f: (x) => compute({ ...values, [input.key]: x })?.[output.key],
+    target, lo: input.lo, hi: input.hi, step: input.step,
+  });
+  const apply = () => input.set(Number(out.value.toFixed(input.digits ?? 2)));
+  return (
+    <details className="mt-5 rounded-xl border border-zinc-200 dark:border-zinc-700 px-4 py-3">
+      <summary className="cursor-pointer text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Goal Seek – solve for an input")}</summary>
+      {/* helper fields: they must not hide the calculator's results or show up as its inputs in reports */}
+      <CalcContext.Provider value={null}>
+      <ValidationContext.Provider value={null}>
+        <div className="mt-3 grid sm:grid-cols-3 gap-3">
+          <Field label={t("Target Output")}>
+            <Select value={output.key} onChange={e=>setOutKey(e.target.value)}>
+              {outputs.map(o => <option key={o.key} value={o.key}>{t(o.label)}</option>)}
+            </Select>
+          </Field>
+          <Field label={t("Target Value")}><Input type="number" value={target} onChange={e=>setTarget(e.target.value)} /></Field>
+          <Field label={t("Solve For")}>
+            <Select value={input.key} onChange={e=>setInKey(e.target.value)}>
+              {inputs.map(i => <option key={i.key} value={i.key}>{t(i.label)}</option>)}
+            </Select>
+          </Field>
+        </div>
+      </ValidationContext.Provider>
+      </CalcContext.Provider>
+      <div role="status" className="text-sm">
+        {invalid ? <p className="text-zinc-500">{t("Fix the inputs above first.")}</p>
+          : !out ? <p className="text-zinc-500">{t("Enter the value you want {output} to be.", { output: t(output.label) })}</p>
+          : out.value === null ? (
+            <p className="text-red-600">
+              {t("No solution: with {input} between {lo} and {hi}, {output} only ranges from {min} to {max}.", {
+                input: t(input.label), lo: showIn(input.lo), hi: showIn(input.hi), output: t(output.label),
+                min: Number.isFinite(out.min) ? showOut(out.min) : "-", max: Number.isFinite(out.max) ? showOut(out.max) : "-",
+              })}
+            </p>
+          ) : (
+            <div className="flex flex-wrap gap-x-6 gap-y-2 items-center">
+              <span><span className="text-zinc-500">{t(input.label)} =</span> <span className="font-semibold tabular-nums">{showIn(out.value)}</span></span>
+              <span className="text-zinc-500">{t("gives {output} {value}", { output: t(output.label), value: showOut(out.achieved) })}</span>
+              <Button onClick={apply}>{t("Apply")}</Button>
+            </div>
+          )}
+      </div>
+    </details>
+  );
+}
+
+// a calculator's outputs; while any input in the card is invalid they are replaced by the reasons
+const Results = ({ children }) => {
+  const { t } = useI18n();
+  const errors = Object.values(useContext(ValidationContext)?.errors ?? {});
+  if (!errors.length) return <>{children}</>;
+  return (
+    <p role="status" className="mt-4 rounded-xl px-3 py-2 text-sm bg-amber-50 text-amber-800 dark:bg-amber-950/40 dark:text-amber-300">
+      {t("Results hidden until the inputs are fixed")}: {errors.map(e => e.label ? `${e.label} – ${e.text}` : e.text).join(" · ")}
+    </p>
+  );
+};
+
+// a `caption` (read by screen readers) also puts the table into exported reports, as shown
+const Table = ({ columns, rows, format = (v) => v, caption }) => {
+  const { t } = useI18n();
+  const ctx = useContext(CalcContext);
+  const id = useId();
+  const latest = useRef(null);
+  latest.current = () => {
+    const text = (v) => typeof v === "string" || typeof v === "number" ? String(v) : "";
+    const body = rows.map(r => Object.fromEntries(columns.map(c => [c.key, text(format(r[c.key], c.key))])));
+    // columns of buttons (Remove …) have no label and no text
+    const cols = columns.filter(c => c.label || body.some(r => r[c.key])).map(c => ({ key: c.key, label: t(c.label) }));
+    return { title: caption, columns: cols, rows: body };
+  };
+  useEffect(() => caption ? ctx?.registerTable?.(id, () => latest.current()) : undefined, [ctx, id, caption]);
+  return (
+    <div className="max-h-80 overflow-auto rounded-xl border border-zinc-200 dark:border-zinc-700">
+      <table className="w-full text-sm tabular-nums">
+        {caption && <caption className="sr-only">{caption}</caption>}
+        <thead className="sticky top-0 bg-zinc-50 dark:bg-zinc-800">
+          <tr>{columns.map(c => <th key={c.key} className="px-3 py-2 text-left font-medium text-zinc-600 dark:text-zinc-300 whitespace-nowrap">{t(c.label)}</th>)}</tr>
+        </thead>
+        <tbody>
+          {rows.map((r, i) => (
+            <tr key={i} className="border-t border-zinc-100 dark:border-zinc-800">
+              {columns.map(c => <td key={c.key} className="px-3 py-1.5 whitespace-nowrap">{format(r[c.key], c.key)}</td>)}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// ------------------------------ CHARTS ------------------------------
+// Inline SVG, no chart library. Each chart is an <svg role="img"> with a title and a one-line
+// summary, plus a collapsible data table as its text alternative. Hover (or focus + ←/→) shows
+// a tooltip. Colours are Tailwind fill/stroke classes with dark-mode variants.
+const CHART_COLORS = [
+  { fill: "fill-indigo-500 dark:fill-indigo-400", stroke: "stroke-indigo-500 dark:stroke-indigo-400", swatch: "bg-indigo-500 dark:bg-indigo-400" },
+  { fill: "fill-amber-500 dark:fill-amber-400", stroke: "stroke-amber-500 dark:stroke-amber-400", swatch: "bg-amber-500 dark:bg-amber-400" },
+  { fill: "fill-emerald-500 dark:fill-emerald-400", stroke: "stroke-emerald-500 dark:stroke-emerald-400", swatch: "bg-emerald-500 dark:bg-emerald-400" },
+  { fill: "fill-rose-500 dark:fill-rose-400", stroke: "stroke-rose-500 dark:stroke-rose-400", swatch: "bg-rose-500 dark:bg-rose-400" },
+];
+const CHART_W = 600, CHART_H = 240;
+const PAD = { l: 56, r: 12, t: 12, b: 28 };
+
+// 0 … a round number ≥ max in four steps
+const chartTicks = (max) => {
+  if (!(max > 0)) return [0, 1];
+  const raw = max / 4, mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map(k => k * mag).find(s => s >= raw);
+  return [0, 1, 2, 3, 4].map(k => k * step);
+};
+const fmtCompact = (n, locale) => Number(n).toLocaleString(locale || undefined, { notation: "compact", maximumFractionDigits: 1 });
+
+const Legend = ({ items }) => (
+  <ul className="mt-2 flex flex-wrap gap-4 text-xs text-zinc-600 dark:text-zinc-300">
+    {items.map((label, i) => (
+      <li key={label} className="flex items-center gap-1.5">
+        <span className={`inline-block w-3 h-3 rounded-sm ${CHART_COLORS[i % CHART_COLORS.length].swatch}`} />{label}
+      </li>
+    ))}
+  </ul>
 );
 
+// svg + tooltip + legend + data table; `count` items are reachable with the arrow keys
+function ChartFrame({ title, summary, width = CHART_W, height = CHART_H, count, setActive, tip, legend, columns, rows, children }) {
+  const { t } = useI18n();
+  const id = useId();
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowRight" || e.key === "ArrowLeft") {
+      e.preventDefault();
+      setActive(i => clamp((i ?? -1) + (e.key === "ArrowRight" ? 1 : -1), 0, count - 1));
+    } else if (e.key === "Escape") setActive(null);
+  };
+  return (
+    <figure className="mt-5">
+      <figcaption className="text-sm font-medium text-zinc-600 dark:text-zinc-300 mb-2">{title}</figcaption>
+      <div className="relative">
+        <svg
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-labelledby={`${id}-title ${id}-desc`}
+          tabIndex={0}
+          onKeyDown={onKeyDown}
+          onMouseLeave={()=>setActive(null)}
+          onBlur={()=>setActive(null)}
+          className="w-full h-auto text-zinc-400 dark:text-zinc-500 rounded-xl outline-none focus-visible:ring-2 focus-visible:ring-indigo-500"
+          style={{ maxWidth: width }}
+        >
+          <title id={`${id}-title`}>{title}</title>
+          <desc id={`${id}-desc`}>{summary}</desc>
+          {children}
+        </svg>
+        {tip && (
+          <div
+            className="pointer-events-none absolute z-10 -translate-x-1/2 -translate-y-full rounded-lg px-2 py-1 text-xs shadow-lg whitespace-nowrap bg-zinc-900 text-white dark:bg-zinc-100 dark:text-zinc-900"
+            style={{ left: `${tip.x / width * 100}%`, top: `${tip.y / height * 100}%` }}
+          >
+            {tip.lines.map((line, i) => <div key={i} className={i === 0 ? "font-semibold" : ""}>{line}</div>)}
+          </div>
+        )}
+      </div>
+      {legend && <Legend items={legend} />}
+      <details className="mt-2 text-sm">
+        <summary className="cursor-pointer text-xs text-zinc-500">{t("Show data")}</summary>
+        <div className="mt-2"><Table columns={columns} rows={rows} /></div>
+      </details>
+    </figure>
+  );
+}
+
+// shared x/y scaffolding for the line and bar charts: gridlines, y ticks, thinned x labels
+function Axes({ labels, ticks, x, y, locale }) {
+  const every = Math.ceil(labels.length / 8);
+  return (
+    <g className="text-[10px]" fill="currentColor">
+      {ticks.map(v => (
+        <g key={v}>
+          <line x1={PAD.l} x2={CHART_W - PAD.r} y1={y(v)} y2={y(v)} stroke="currentColor" strokeOpacity="0.25" />
+          <text x={PAD.l - 6} y={y(v)} dy="0.32em" textAnchor="end">{fmtCompact(v, locale)}</text>
+        </g>
+      ))}
+      {labels.map((l, i) => i % every === 0 && <text key={i} x={x(i)} y={CHART_H - 8} textAnchor="middle">{l}</text>)}
+    </g>
+  );
+}
+
+const chartRows = (labels, series, format) =>
+  labels.map((l, i) => Object.fromEntries([["label", l], ...series.map((s, k) => [`s${k}`, format(s.values[i])])]));
+
+/**
+ * @param {{ title: string, summary: string, labels: (string|number)[], series: { label: string, values: number[] }[],
+ *   xLabel?: string, format?: (n: number) => string }} props  values must be non-negative
+ */
+function LineChart({ title, summary, labels, series, xLabel = "", format = String }) {
+  const { locale } = useI18n();
+  const [active, setActive] = useState(null);
+  const ticks = chartTicks(Math.max(0, ...series.flatMap(s => s.values).filter(Number.isFinite)));
+  const top = ticks[ticks.length - 1], iw = CHART_W - PAD.l - PAD.r, ih = CHART_H - PAD.t - PAD.b;
+  const x = (i) => PAD.l + (labels.length < 2 ? iw / 2 : i * iw / (labels.length - 1));
+  const y = (v) => PAD.t + ih - (Number.isFinite(v) ? v : 0) / top * ih;
+  const slot = iw / Math.max(1, labels.length - 1);
+  const tip = active === null ? null : {
+    x: x(active), y: Math.min(...series.map(s => y(s.values[active]))) - 6,
+    lines: [`${xLabel} ${labels[active]}`.trim(), ...series.map(s => `${s.label}: ${format(s.values[active])}`)],
+  };
+  return (
+    <ChartFrame
+      title={title} summary={summary} count={labels.length} setActive={setActive} tip={tip}
+      legend={series.map(s => s.label)}
+      columns={[{ key: "label", label: xLabel }, ...series.map((s, k) => ({ key: `s${k}`, label: s.label }))]}
+      rows={chartRows(labels, series, format)}
+    >
+      <Axes labels={labels} ticks={ticks} x={x} y={y} locale={locale} />
+      {series.map((s, k) => (
+        <polyline
+          key={s.label} fill="none" strokeWidth="2.5" strokeLinejoin="round"
+          className={CHART_COLORS[k % CHART_COLORS.length].stroke}
+          points={s.values.map((v, i) => `${x(i)},${y(v)}`).join(" ")}
+        />
+      ))}
+      {active !== null && (
+        <g>
+          <line x1={x(active)} x2={x(active)} y1={PAD.t} y2={PAD.t + ih} stroke="currentColor" strokeDasharray="3 3" />
+          {series.map((s, k) => <circle key={k} cx={x(active)} cy={y(s.values[active])} r="4" className={CHART_COLORS[k % CHART_COLORS.length].fill} />)}
+        </g>
+      )}
+      {labels.map((_, i) => (
+        <rect key={i} x={x(i) - slot / 2} y={PAD.t} width={slot} height={ih} fill="transparent" onMouseEnter={()=>setActive(i)} onClick={()=>setActive(i)} />
+      ))}
+    </ChartFrame>
+  );
+}
+
+/** Same props as LineChart; series are stacked bottom-up in order. */
+function StackedBarChart({ title, summary, labels, series, xLabel = "", format = String }) {
+  const { locale } = useI18n();
+  const [active, setActive] = useState(null);
+  const totals = labels.map((_, i) => series.reduce((sum, s) => sum + (Number.isFinite(s.values[i]) ? s.values[i] : 0), 0));
+  const ticks = chartTicks(Math.max(0, ...totals));
+  const top = ticks[ticks.length - 1], iw = CHART_W - PAD.l - PAD.r, ih = CHART_H - PAD.t - PAD.b;
+  const slot = iw / Math.max(1, labels.length), bw = Math.max(2, slot * 0.7);
+  const x = (i) => PAD.l + slot * (i + 0.5);
+  const y = (v) => PAD.t + ih - v / top * ih;
+  const tip = active === null ? null : {
+    x: x(active), y: y(totals[active]) - 6,
+    lines: [`${xLabel} ${labels[active]}`.trim(), ...series.map(s => `${s.label}: ${format(s.values[active])}`)],
+  };
+  return (
+    <ChartFrame
+      title={title} summary={summary} count={labels.length} setActive={setActive} tip={tip}
+      legend={series.map(s => s.label)}
+      columns={[{ key: "label", label: xLabel }, ...series.map((s, k) => ({ key: `s${k}`, label: s.label }))]}
+      rows={chartRows(labels, series, format)}
+    >
+      <Axes labels={labels} ticks={ticks} x={x} y={y} locale={locale} />
+      {labels.map((_, i) => {
+        let base = 0;
+        return (
+          <g key={i} opacity={active === null || active === i ? 1 : 0.55} onMouseEnter={()=>setActive(i)} onClick={()=>setActive(i)}>
+            {series.map((s, k) => {
+              const v = Number.isFinite(s.values[i]) ? s.values[i] : 0;
+              const seg = <rect key={k} x={x(i) - bw / 2} y={y(base + v)} width={bw} height={y(base) - y(base + v)} className={CHART_COLORS[k % CHART_COLORS.length].fill} />;
+              base += v;
+              return seg;
+            })}
+            <rect x={x(i) - slot / 2} y={PAD.t} width={slot} height={ih} fill="transparent" />
+          </g>
+        );
+      })}
+    </ChartFrame>
+  );
+}
+
+/**
+ * @param {{ title: string, summary: string, slices: { label: string, value: number }[], format?: (n: number) => string }} props
+ */
+function DonutChart({ title, summary, slices, format = String }) {
+  const { t, fmt } = useI18n();
+  const [active, setActive] = useState(null);
+  const size = 220, c = size / 2, r = 80, w = 32, circ = 2 * Math.PI * r;
+  const parts = slices.filter(s => Number.isFinite(s.value) && s.value > 0);
+  const total = parts.reduce((sum, s) => sum + s.value, 0);
+  let offset = 0;
+  const focus = active === null ? null : parts[active];
+  return (
+    <ChartFrame
+      title={title} summary={summary} width={size} height={size} count={parts.length} setActive={setActive}
+      legend={parts.map(s => s.label)}
+      columns={[{ key: "label", label: "" }, { key: "value", label: "Value" }, { key: "share", label: "Share (%)" }]}
+      rows={parts.map(s => ({ label: s.label, value: format(s.value), share: fmt(s.value / total * 100, 1) }))}
+    >
+      <circle cx={c} cy={c} r={r} fill="none" stroke="currentColor" strokeOpacity="0.2" strokeWidth={w} />
+      {parts.map((s, i) => {
+        const len = s.value / total * circ;
+        const arc = (
+          <circle
+            key={s.label} cx={c} cy={c} r={r} fill="none" strokeWidth={active === i ? w + 6 : w}
+            className={CHART_COLORS[i % CHART_COLORS.length].stroke}
+            strokeDasharray={`${len} ${circ - len}`} strokeDashoffset={-offset} transform={`rotate(-90 ${c} ${c})`}
+            onMouseEnter={()=>setActive(i)} onClick={()=>setActive(i)}
+          />
+        );
+        offset += len;
+        return arc;
+      })}
+      <text x={c} y={c - 6} textAnchor="middle" className="text-[11px]" fill="currentColor">{focus ? focus.label : t("Total")}</text>
+      <text x={c} y={c + 12} textAnchor="middle" className="text-[13px] font-semibold fill-zinc-900 dark:fill-zinc-100">
+        {focus ? `${format(focus.value)} · ${fmt(focus.value / total * 100, 1)}%` : format(total)}
+      </text>
+    </ChartFrame>
+  );
+}
+
 // ------------------------------ UTILITIES ------------------------------
-const toNum = (v, def = 0) => {
-  const n = typeof v === "number" ? v : parseFloat(String(v).replace(/,/g, ""));
-  return Number.isFinite(n) ? n : def;
-};
-const clamp = (n, a, b) => Math.min(Math.max(n, a), b);
-const fmt = (n, d = 2) => {
+// `locale` "" means the browser default; components get a bound version from useI18n()
+const fmt = (n, d = 2, locale = "") => {
   if (n === undefined || n === null || Number.isNaN(n)) return "-";
   const s = Number(n);
-  return Number.isFinite(s) ? s.toLocaleString(undefined, { maximumFractionDigits: d }) : "-";
+  return Number.isFinite(s) ? s.toLocaleString(locale || undefined, { maximumFractionDigits: d }) : "-";
 };
+// very large/small converter outputs (eV, bits in a TB…) switch to exponent form instead of rounding to 0
+const fmtUnit = (n, locale = "") => {
+  const a = Math.abs(n);
+  return Number.isFinite(n) && a !== 0 && (a < 1e-6 || a >= 1e15) ? n.toExponential(6) : fmt(n, 6, locale);
+};
+// client-side file download (CSV, JSON…) via a temporary object URL
+const downloadText = (filename, text, type = "text/plain") => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+};
+// printable view in a new window; falls back to downloading the page when pop-ups are blocked
+const printPage = (title, html) => {
+  const w = window.open("", "_blank");
+  if (!w) return downloadText(`${title.trim().replace(/\s+/g, "-") || "print"}.html`, html, "text/html");
+  w.document.write(html);
+  w.document.close();
+  w.focus();
+  w.print();
+};
+const printHTML = (title, body) => printPage(title, `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHTML(title)}</title><style>
+    body { font: 13px system-ui, sans-serif; margin: 24px; color: #18181b; }
+    table { border-collapse: collapse; width: 100%; margin: 12px 0; }
+    th, td { border: 1px solid #d4d4d8; padding: 4px 8px; text-align: left; }
+    th { background: #f4f4f5; }
+    .parties { display: flex; gap: 48px; }
+    .totals { width: auto; margin-left: auto; }
+  </style></head><body>${body}</body></html>`);
+
+// ------------------------------ URL STATE ------------------------------
+// Deep links: #/<calc id>?<input>=<value>&… – the hub owns the URL, calculators
+// declare their inputs with useParam() instead of useState() and their results with <Stat>.
+const CalcContext = createContext(null);
+// labels of the Stats that differ between compare-mode columns
+const CompareContext = createContext(null);
+
+const readRoute = () => {
+  const hash = typeof window === "undefined" ? "" : window.location.hash;
+  const [path, qs = ""] = hash.replace(/^#\/?/, "").split("?");
+  const id = decodeURIComponent(path);
+  return {
+    id: getCalculators().some(c => c.id === id) ? id : getCalculators()[0].id,
+    params: Object.fromEntries(new URLSearchParams(qs)),
+  };
+};
+const buildHash = (id, params) => {
+  const qs = new URLSearchParams(params).toString();
+  return `#/${encodeURIComponent(id)}${qs ? "?" + qs : ""}`;
+};
+
+const encodeParam = (v) => typeof v === "object" && v !== null ? JSON.stringify(v) : String(v);
+const decodeParam = (raw, def) => {
+  if (raw === undefined) return def;
+  if (typeof def === "number") return raw.trim() !== "" && Number.isFinite(Number(raw)) ? Number(raw) : raw;
+  if (typeof def === "boolean") return raw === "true";
+  if (typeof def === "object" && def !== null) {
+    try { return JSON.parse(raw); } catch { return def; }
+  }
+  return raw;
+};
+
+// useState() whose value is restored from, and mirrored into, the URL of the active calculator
+function useParam(key, def) {
+  const ctx = useContext(CalcContext);
+  const [value, setValue] = useState(() => decodeParam(ctx?.params[key], def));
+  useEffect(() => { ctx?.setParam(key, encodeParam(value)); }, [ctx, key, value]);
+  return [value, setValue];
+}
+
+// an action the hub can run from a keyboard shortcut or the command palette ("swap": Alt+S)
+function useCommand(name, run) {
+  const ctx = useContext(CalcContext);
+  const latest = useRef(run);
+  latest.current = run;
+  useEffect(() => ctx?.registerCommand?.(name, () => latest.current()), [ctx, name]);
+}
+
+// ------------------------------ SETTINGS ------------------------------
+// Hub-wide preferences. Money calculators take amounts in `currency` (shown with `symbol`
+// when set); when `showIn` is set their results are also shown converted with the active
+// rate table. `lang` picks the UI strings, `locale` the number format ("" = browser default).
+const DEFAULT_PREFS = { currency: "INR", showIn: "", symbol: "", lang: "en", locale: "" };
+const DEFAULT_SETTINGS = { ...DEFAULT_PREFS, rates: BUNDLED_RATES, setSetting: () => {}, setRates: () => {} };
+const SettingsContext = createContext(DEFAULT_SETTINGS);
+
+const LANGUAGES = [["en", "English"], ["hi", "हिन्दी"]];
+const LOCALES = [
+  ["", "Browser default"],
+  ["en-IN", "India · 1,00,000.5"],
+  ["hi-IN", "हिन्दी · 1,00,000.5"],
+  ["en-US", "US · 100,000.5"],
+  ["en-GB", "UK · 100,000.5"],
+  ["de-DE", "Deutsch · 100.000,5"],
+  ["fr-FR", "Français · 100 000,5"],
+];
+const isIndianLocale = (locale) => /-IN$/.test(locale) || (!locale && typeof navigator !== "undefined" && /-IN$/.test(navigator.language));
+
+// String catalogue. Keys are the English text, so a missing translation falls back to English.
+const STRINGS = {
+  hi: {
+    // shell
+    "All popular calculators & converters in one place — fast, simple, accurate.": "एक ही जगह पर सारे लोकप्रिय कैलकुलेटर और कन्वर्टर — तेज़, सरल, सटीक।",
+    "Search: EMI, BMI, GST, Temperature, Length…": "खोजें: EMI, BMI, GST, तापमान, लंबाई…",
+    "Tip: to add a calculator, describe its inputs, formula and outputs as a spec and pass it to registerCalculator() (or add it to CALC_REGISTRY). All local math, no tracking.":
+      "टिप: नया कैलकुलेटर जोड़ना हो तो उसके इनपुट, सूत्र और परिणाम एक स्पेक में लिखकर registerCalculator() को दें (या CALC_REGISTRY में जोड़ें)। सारी गणना लोकल, कोई ट्रैकिंग नहीं।",
+    "Language": "भाषा", "Number format": "संख्या प्रारूप", "Browser default": "ब्राउज़र डिफ़ॉल्ट",
+    "Money in": "मुद्रा", "Symbol": "चिह्न", "auto": "स्वतः", "Also show in": "साथ में दिखाएँ",
+    "★ Pinned": "★ पिन किया", "☆ Pin to front": "☆ आगे पिन करें", "Scenario name": "परिदृश्य का नाम",
+    "Save Scenario": "परिदृश्य सहेजें", "Hide": "छिपाएँ", "Saved & History": "सहेजे गए व इतिहास",
+    "Export": "निर्यात", "Import": "आयात", "Import failed": "आयात विफल",
+    "Saved Scenarios": "सहेजे गए परिदृश्य", "Recent History": "हाल का इतिहास",
+    "No saved scenarios yet.": "अभी कोई परिदृश्य सहेजा नहीं गया।",
+    "Calculations you make show up here.": "आपकी गणनाएँ यहाँ दिखेंगी।",
+    "Clear history": "इतिहास साफ़ करें", "Delete": "हटाएँ",
+    // registry titles
+    "Basic Calculator": "बेसिक कैलकुलेटर", "Percentage": "प्रतिशत", "Discount": "छूट", "GST/VAT": "जीएसटी/वैट",
+    "BMI": "बीएमआई", "Age": "आयु", "Date Difference": "तारीख़ों का अंतर", "EMI": "ईएमआई", "SIP": "एसआईपी",
+    "Compound Interest": "चक्रवृद्धि ब्याज", "Currency": "मुद्रा", "Fraction → Decimal": "भिन्न → दशमलव",
+    "Base Converter": "आधार परिवर्तक", "Temperature": "तापमान", "Length": "लंबाई", "Weight": "वज़न",
+    "Time": "समय", "Speed": "गति", "Area": "क्षेत्रफल", "Volume": "आयतन", "Data Size": "डेटा आकार",
+    "Pressure": "दबाव", "Energy": "ऊर्जा", "Power": "शक्ति", "Fuel Economy": "माइलेज",
+    // card titles
+    "Percentage / Increase": "प्रतिशत / वृद्धि", "Discount / Sale Price": "छूट / बिक्री मूल्य",
+    "GST / VAT": "जीएसटी / वैट", "BMI (Body Mass Index)": "बीएमआई (बॉडी मास इंडेक्स)",
+    "Age Calculator": "आयु कैलकुलेटर", "Loan EMI Calculator": "लोन ईएमआई कैलकुलेटर",
+    "SIP Calculator (Monthly)": "एसआईपी कैलकुलेटर (मासिक)", "Currency Converter (offline)": "मुद्रा परिवर्तक (ऑफ़लाइन)",
+    "Number Base Converter": "संख्या आधार परिवर्तक", "Converter": "परिवर्तक",
+    // fields, options and results
+    "Mode": "मोड", "A op B": "A op B", "Expression": "व्यंजक", "Number A": "संख्या A", "Number B": "संख्या B",
+    "Operation": "संक्रिया", "Result": "परिणाम", "Angles": "कोण", "Radians": "रेडियन", "Degrees": "डिग्री",
+    "Expression (Enter to keep result as ans)": "व्यंजक (Enter दबाएँ — परिणाम ans बनेगा)",
+    "e.g. {expr}   or   {assign}": "जैसे {expr}   या   {assign}", "{message} at position {pos}": "{message} (स्थान {pos} पर)",
+    "clear": "हटाएँ", "Supports {ops}, {functions}, pi, e, ans and your own variables.":
+      "समर्थित: {ops}, {functions}, pi, e, ans और आपके अपने चर।",
+    "Base Amount": "मूल राशि", "Percent (%)": "प्रतिशत (%)", "Increase": "वृद्धि", "Total": "कुल",
+    "MRP / Original Price": "एमआरपी / मूल कीमत", "Discount (%)": "छूट (%)", "You Save": "आपकी बचत",
+    "Final Price": "अंतिम कीमत", "Rounding (2 dp)": "पूर्णांकन (2 दशमलव)", "Half-up (exact)": "हाफ़-अप (सटीक)",
+    "Banker's / half-even (exact)": "बैंकर्स / हाफ़-ईवन (सटीक)", "None (floating point)": "कोई नहीं (फ़्लोटिंग पॉइंट)",
+    "Amount": "राशि", "Rate (%)": "दर (%)", "Add GST": "जीएसटी जोड़ें", "Remove GST": "जीएसटी हटाएँ",
+    "Tax": "कर", "GST Part": "जीएसटी हिस्सा", "Total (Incl.)": "कुल (कर सहित)", "Base (Excl.)": "मूल (कर रहित)",
+    "Units": "इकाइयाँ", "Metric (kg, cm)": "मीट्रिक (kg, cm)", "Imperial (lb, inch)": "इम्पीरियल (lb, inch)",
+    "Weight (kg)": "वज़न (kg)", "Weight (lb)": "वज़न (lb)", "Height (cm)": "ऊँचाई (cm)", "Height (inch)": "ऊँचाई (inch)",
+    "Status": "स्थिति", "Underweight": "कम वज़न", "Normal": "सामान्य", "Overweight": "अधिक वज़न", "Obese": "मोटापा",
+    "Date of Birth": "जन्म तिथि", "Years": "वर्ष", "Months": "महीने", "Days": "दिन", "Weeks": "सप्ताह",
+    "Date A": "तारीख़ A", "Date B": "तारीख़ B", "From": "से", "To": "में", "Value": "मान", "Output": "परिणाम",
+    "⇄ Swap": "⇄ अदला-बदली", "Show all units": "सभी इकाइयाँ दिखाएँ", "Hide all units": "सभी इकाइयाँ छिपाएँ", "Unit": "इकाई",
+    "Principal": "मूलधन", "Interest (% p.a.)": "ब्याज (% प्रति वर्ष)", "Tenure Type": "अवधि का प्रकार",
+    "Tenure (Years)": "अवधि (वर्ष)", "Tenure (Months)": "अवधि (महीने)", "EMI / Month": "ईएमआई / माह",
+    "Total Interest": "कुल ब्याज", "Total Payment": "कुल भुगतान", "Part-Prepayments": "आंशिक पूर्व-भुगतान",
+    "From Month": "किस महीने से", "Repeat Every (months, 0 = once)": "हर कितने महीने (0 = एक बार)", "Remove": "हटाएँ",
+    "+ Add Prepayment": "+ पूर्व-भुगतान जोड़ें", "After Prepayment": "पूर्व-भुगतान के बाद",
+    "Reduce Tenure": "अवधि घटाएँ", "Reduce EMI": "ईएमआई घटाएँ", "Interest Saved": "बचा ब्याज",
+    "Interest After Prepayment": "पूर्व-भुगतान के बाद ब्याज", "Total Prepaid": "कुल पूर्व-भुगतान",
+    "Months After Prepayment": "पूर्व-भुगतान के बाद महीने", "Amortization Schedule": "ऋण चुकौती सारणी",
+    "View": "दृश्य", "Yearly": "वार्षिक", "Monthly": "मासिक", "Export CSV": "CSV निर्यात",
+    "Month": "माह", "Year": "वर्ष", "Opening Balance": "प्रारंभिक शेष", "Interest": "ब्याज",
+    "Prepayment": "पूर्व-भुगतान", "Closing Balance": "अंतिम शेष",
+    "Monthly Invest": "मासिक निवेश", "Return (% p.a.)": "रिटर्न (% प्रति वर्ष)", "Future Value": "भविष्य मूल्य",
+    "Invested": "निवेश", "Gains": "लाभ", "Rate (% p.a.)": "दर (% प्रति वर्ष)", "Compounds / Year": "चक्रवृद्धि / वर्ष",
+    "Time (Years)": "समय (वर्ष)", "Converted": "परिवर्तित", "Rate": "दर", "Inverse": "उलटा",
+    "Rates as of": "दरें इस तारीख़ तक", "Cross-rates against": "क्रॉस-रेट किसके सापेक्ष",
+    "Import Rates (JSON/CSV)": "दरें आयात करें (JSON/CSV)", "Use bundled rates": "अंतर्निहित दरें इस्तेमाल करें",
+    "Name": "नाम", "Numerator": "अंश", "Denominator": "हर", "Decimal": "दशमलव",
+    "From Base": "स्रोत आधार", "To Base": "लक्ष्य आधार", "Value (any length, may have a fraction)": "मान (कितना भी लंबा, भिन्न सहित)",
+    "Max Fraction Digits": "अधिकतम दशमलव अंक",
+    "\"{value}\" is not a valid base-{base} number (digits 0–{last}).": "\"{value}\" आधार-{base} की मान्य संख्या नहीं है (अंक 0–{last})।",
+    // goal seek
+    "Goal Seek – solve for an input": "लक्ष्य खोज – इनपुट हल करें", "Target Output": "लक्षित परिणाम", "Target Value": "लक्षित मान",
+    "Solve For": "किसके लिए हल करें", "Fix the inputs above first.": "पहले ऊपर के इनपुट ठीक करें।",
+    "Enter the value you want {output} to be.": "{output} का जो मान चाहिए वह डालें।",
+    "No solution: with {input} between {lo} and {hi}, {output} only ranges from {min} to {max}.":
+      "कोई हल नहीं: {input} को {lo} से {hi} के बीच बदलने पर {output} केवल {min} से {max} तक जाता है।",
+    "gives {output} {value}": "इससे {output} {value} होगा", "Apply": "लागू करें",
+    // keyboard & accessibility
+    "Command palette": "कमांड पैलेट", "Commands": "कमांड", "Jump to a calculator or run a command…": "किसी कैलकुलेटर पर जाएँ या कमांड चलाएँ…",
+    "No matches": "कुछ नहीं मिला", "Swap units": "इकाइयाँ अदला-बदली करें", "Copy results": "परिणाम कॉपी करें",
+    "Results copied": "परिणाम कॉपी हो गए", "Nothing to copy": "कॉपी करने को कुछ नहीं", "Copy failed": "कॉपी नहीं हो सका",
+    "Units swapped": "इकाइयाँ बदल दी गईं", "Calculators": "कैलकुलेटर", "Search calculators": "कैलकुलेटर खोजें",
+    "Skip to calculator": "कैलकुलेटर पर जाएँ",
+    // compare
+    "⇆ Compare": "⇆ तुलना करें", "Exit Compare": "तुलना बंद करें", "Scenario": "परिदृश्य", "Copy inputs from…": "इनपुट कॉपी करें…",
+    "+ Add Scenario": "+ परिदृश्य जोड़ें", "Comparison": "तुलना", "No results yet.": "अभी कोई परिणाम नहीं।",
+    "Highlighted results differ between scenarios; Δ is the change against scenario A.": "हाइलाइट किए गए परिणाम परिदृश्यों में अलग हैं; Δ परिदृश्य A की तुलना में बदलाव है।",
+    // plugins
+    "Loading…": "लोड हो रहा है…", "Calculator unavailable": "कैलकुलेटर उपलब्ध नहीं", "Could not load this calculator": "यह कैलकुलेटर लोड नहीं हो सका",
+    // validation
+    "Required": "आवश्यक", "Enter a number": "संख्या डालें", "Must be a whole number": "पूर्ण संख्या होनी चाहिए",
+    "Must be at least {min}": "कम से कम {min} होना चाहिए", "Must be more than {min}": "{min} से अधिक होना चाहिए",
+    "Must be at most {max}": "अधिकतम {max} हो सकता है", "Must not be 0": "0 नहीं हो सकता", "Enter a valid date": "सही तारीख़ डालें",
+    "Must be on or after {date}": "{date} या उसके बाद की होनी चाहिए", "Must be on or before {date}": "{date} या उससे पहले की होनी चाहिए",
+    "Results hidden until the inputs are fixed": "इनपुट ठीक होने तक परिणाम छिपे हैं",
+    // charts
+    "Show data": "डेटा दिखाएँ", "Share (%)": "हिस्सा (%)", "Principal vs Interest by Year": "वर्षवार मूलधन बनाम ब्याज",
+    "years": "वर्ष", "Growth Over Time": "समय के साथ वृद्धि", "Corpus Over Time": "समय के साथ कोष", "Tax Share": "कर का हिस्सा",
+    // SIP / SWP
+    "SIP / SWP Planner": "एसआईपी / एसडब्ल्यूपी प्लानर", "SIP (step-up, lumpsum)": "एसआईपी (स्टेप-अप, एकमुश्त)",
+    "Goal Planner": "लक्ष्य योजना", "SWP (withdrawals)": "एसडब्ल्यूपी (निकासी)", "Target (today's value)": "लक्ष्य (आज का मूल्य)",
+    "Corpus": "कोष", "Monthly Withdrawal": "मासिक निकासी", "Yearly Increase (%)": "वार्षिक वृद्धि (%)",
+    "Annual Step-up (%)": "वार्षिक स्टेप-अप (%)", "Lumpsum at Start": "शुरुआती एकमुश्त राशि", "Inflation (% p.a.)": "महँगाई (% प्रति वर्ष)",
+    "In Today's Money": "आज के मूल्य में", "Monthly SIP Needed": "आवश्यक मासिक एसआईपी", "Target in Future Money": "भविष्य के मूल्य में लक्ष्य",
+    "Enter a horizon of at least one month.": "कम से कम एक महीने की अवधि डालें।", "Corpus Lasts": "कोष कितना चलेगा",
+    "100+ years": "100+ वर्ष", "Total Withdrawn": "कुल निकासी", "Left after 100 years": "100 वर्ष बाद शेष",
+    "Year-by-Year": "वर्ष-दर-वर्ष", "Monthly SIP": "मासिक एसआईपी", "Real Value": "वास्तविक मूल्य",
+    "Withdrawn": "निकाला", "Growth": "वृद्धि",
+    // date tools
+    "Add to Date": "तारीख़ में जोड़ें", "Time Zones": "समय क्षेत्र", "Age on": "इस तारीख़ को आयु",
+    "Next Birthday": "अगला जन्मदिन", "Days to Go": "बाक़ी दिन", "Turning": "होने वाली आयु",
+    "Weekend": "सप्ताहांत", "Saturday + Sunday": "शनिवार + रविवार", "Sunday only": "केवल रविवार",
+    "Friday + Saturday": "शुक्रवार + शनिवार", "No weekend": "कोई सप्ताहांत नहीं",
+    "Import Holidays (CSV/JSON)": "छुट्टियाँ आयात करें (CSV/JSON)", "Clear holidays": "छुट्टियाँ हटाएँ", "holidays": "छुट्टियाँ",
+    "One holiday per line: 2026-01-26,Republic Day (DD-MM-YYYY also works) or a JSON array of { date, name }.":
+      "हर पंक्ति में एक छुट्टी: 2026-01-26,गणतंत्र दिवस (DD-MM-YYYY भी चलेगा) या { date, name } की JSON सूची।",
+    "Include Time": "समय सहित", "Hours": "घंटे", "Minutes": "मिनट", "Breakdown": "विवरण",
+    "y": "व", "m": "मा", "d": "दि", "h": "घं", "min": "मि",
+    "Working Days (both dates included)": "कार्य दिवस (दोनों तारीख़ें शामिल)", "Working Days": "कार्य दिवस",
+    "Weekend Days": "सप्ताहांत के दिन", "Holidays": "छुट्टियाँ", "Add / Subtract Date & Time": "तारीख़ व समय जोड़ें / घटाएँ",
+    "Calendar": "कैलेंडर", "Start": "शुरुआत", "Add": "जोड़ें", "Subtract": "घटाएँ",
+    "Time Zone / Meeting Planner": "समय क्षेत्र / मीटिंग प्लानर", "Date & Time": "तारीख़ व समय",
+    "In Time Zone": "किस समय क्षेत्र में", "Add Time Zone": "समय क्षेत्र जोड़ें", "Cities": "शहर", "All time zones": "सभी समय क्षेत्र",
+    "City / Zone": "शहर / क्षेत्र", "Local Time": "स्थानीय समय", "Offset": "अंतर", "Day": "दिन",
+    "9–18 Mon–Fri": "9–18 सोम–शुक्र", "Enter a date and time.": "तारीख़ और समय डालें।",
+    // GST invoice
+    "Type": "प्रकार", "Single Amount": "एकल राशि", "Invoice": "बीजक", "Tax Invoice": "कर बीजक", "Invoice No.": "बीजक सं.",
+    "Date": "तारीख़", "Seller (name, GSTIN)": "विक्रेता (नाम, GSTIN)", "Buyer (name, GSTIN)": "क्रेता (नाम, GSTIN)",
+    "Seller": "विक्रेता", "Buyer": "क्रेता", "Supply": "आपूर्ति", "Intra-state (CGST + SGST)": "राज्य के भीतर (CGST + SGST)",
+    "Inter-state (IGST)": "अंतर-राज्यीय (IGST)", "Items": "वस्तुएँ", "Description": "विवरण", "Qty": "मात्रा",
+    "Unit Price": "इकाई मूल्य", "Taxable Value": "कर योग्य मूल्य", "Line Total": "पंक्ति योग", "+ Add Item": "+ वस्तु जोड़ें",
+    "Tax Summary": "कर सारांश", "Round Off": "पूर्णांकन", "Invoice Total": "बीजक योग", "Export JSON": "JSON निर्यात", "Print": "प्रिंट",
+    // income tax
+    "Income Tax (India)": "आयकर (भारत)", "Income Tax (India) – Old vs New Regime": "आयकर (भारत) – पुरानी बनाम नई व्यवस्था",
+    "Financial Year": "वित्त वर्ष", "Below 60": "60 से कम", "60 – 79": "60 – 79", "80 and above": "80 और अधिक",
+    "Gross Salary / Year": "सकल वेतन / वर्ष", "Other Income / Year": "अन्य आय / वर्ष",
+    "Old Regime Deductions (yearly)": "पुरानी व्यवस्था की कटौतियाँ (वार्षिक)", "Basic + DA": "मूल वेतन + डीए",
+    "HRA Received": "प्राप्त एचआरए", "Rent Paid": "चुकाया किराया", "Metro City": "महानगर", "Yes": "हाँ", "No": "नहीं",
+    "max": "अधिकतम", "80D – Self & Family": "80D – स्वयं व परिवार", "80D – Parents": "80D – माता-पिता", "Parents 60+": "माता-पिता 60+",
+    "Other Deductions (80CCD(1B), 24b…)": "अन्य कटौतियाँ (80CCD(1B), 24b…)",
+    "Old Regime": "पुरानी व्यवस्था", "New Regime": "नई व्यवस्था", "Old Regime Tax": "पुरानी व्यवस्था में कर",
+    "New Regime Tax": "नई व्यवस्था में कर", "Better Regime": "बेहतर व्यवस्था", "Both equal": "दोनों बराबर", "saves": "बचत",
+    "Gross Income": "सकल आय", "Standard Deduction": "मानक कटौती", "HRA Exemption": "एचआरए छूट",
+    "Deductions (80C, 80D…)": "कटौतियाँ (80C, 80D…)", "Taxable Income": "कर योग्य आय", "Tax on Slabs": "स्लैब पर कर",
+    "Rebate u/s 87A": "धारा 87A छूट", "Surcharge": "अधिभार", "Health & Education Cess": "स्वास्थ्य व शिक्षा उपकर",
+    "Total Tax": "कुल कर", "Effective Rate (%)": "प्रभावी दर (%)", "Slab": "स्लैब", "Slab-wise Tax": "स्लैब-वार कर",
+    "Resident individuals. The new regime ignores HRA and Chapter VI-A deductions. Indicative only — check with the current Finance Act.":
+      "निवासी व्यक्तियों के लिए। नई व्यवस्था में एचआरए और अध्याय VI-A की कटौतियाँ नहीं मिलतीं। केवल अनुमान — मौजूदा वित्त अधिनियम से जाँच लें।",
+    "Old vs New Regime": "पुरानी बनाम नई व्यवस्था",
+    // reports
+    "Copy": "कॉपी करें", "Export report…": "रिपोर्ट निर्यात करें…", "Markdown": "मार्कडाउन", "Print report": "रिपोर्ट प्रिंट करें",
+    "Inputs": "इनपुट", "Results": "परिणाम", "Input": "इनपुट", "Invoice Lines": "बीजक की पंक्तियाँ",
+    "All Units": "सभी इकाइयाँ", "Cross-rates": "क्रॉस-रेट",
+    // health
+    "BMR / Calories": "बीएमआर / कैलोरी", "Body Fat": "शरीर की वसा", "Ideal Weight": "आदर्श वज़न", "Water & Protein": "पानी व प्रोटीन",
+    "Imperial (lb, ft + in)": "इम्पीरियल (lb, फ़ुट + इंच)", "Height (ft)": "लंबाई (फ़ुट)", "Height (in)": "लंबाई (इंच)",
+    "Sex": "लिंग", "Male": "पुरुष", "Female": "महिला", "Age (years)": "आयु (वर्ष)", "Activity Level": "शारीरिक गतिविधि",
+    "Sedentary (little or no exercise)": "निष्क्रिय (कम या कोई व्यायाम नहीं)", "Light (1–3 days a week)": "हल्की (हफ़्ते में 1–3 दिन)",
+    "Moderate (3–5 days a week)": "मध्यम (हफ़्ते में 3–5 दिन)", "Active (6–7 days a week)": "सक्रिय (हफ़्ते में 6–7 दिन)",
+    "Very active (hard training or physical job)": "बहुत सक्रिय (कड़ा अभ्यास या मेहनत का काम)",
+    "BMI Cutoffs": "बीएमआई सीमाएँ", "WHO (international)": "डब्ल्यूएचओ (अंतरराष्ट्रीय)", "Asian (WHO Asia-Pacific)": "एशियाई (डब्ल्यूएचओ एशिया-प्रशांत)",
+    "BMR & Daily Calories (TDEE)": "बीएमआर व दैनिक कैलोरी (टीडीईई)", "kcal/day": "kcal/दिन", "Formula": "सूत्र",
+    "Harris-Benedict (revised)": "हैरिस-बेनेडिक्ट (संशोधित)", "BMR": "बीएमआर", "Maintenance (TDEE)": "वज़न बनाए रखने हेतु (टीडीईई)",
+    "Lose ~0.5 kg / week": "~0.5 kg / हफ़्ता घटाने हेतु", "Gain ~0.5 kg / week": "~0.5 kg / हफ़्ता बढ़ाने हेतु",
+    "Body Fat (US Navy method)": "शरीर की वसा (यूएस नेवी विधि)", "Neck": "गर्दन", "Waist (at navel)": "कमर (नाभि पर)", "Hip": "कूल्हा",
+    "Category": "श्रेणी", "Fat Mass": "वसा का वज़न", "Lean Mass": "वसा-रहित वज़न",
+    "Essential fat": "आवश्यक वसा", "Athletes": "खिलाड़ी", "Fitness": "फ़िट", "Average": "औसत",
+    "The waist must be larger than the neck.": "कमर गर्दन से बड़ी होनी चाहिए।",
+    "Waist + hip must be larger than the neck.": "कमर + कूल्हा गर्दन से बड़ा होना चाहिए।",
+    "Ideal Body Weight": "आदर्श शारीरिक वज़न", "Healthy BMI Range": "स्वस्थ बीएमआई के अनुसार वज़न",
+    "The formulas are made for adults from 5 ft (152 cm); below that they are extrapolated.":
+      "ये सूत्र 5 फ़ुट (152 cm) से लंबे वयस्कों के लिए हैं; इससे कम लंबाई पर अनुमान भर हैं।",
+    "Daily Water & Protein": "दैनिक पानी व प्रोटीन", "Water": "पानी", "glasses": "गिलास", "Protein": "प्रोटीन",
+    "Protein per kg": "प्रति kg प्रोटीन",
+    "For healthy adults; pregnancy, kidney disease or hot weather change these – ask your doctor.":
+      "स्वस्थ वयस्कों के लिए; गर्भावस्था, गुर्दे की बीमारी या गर्म मौसम में ज़रूरत बदलती है – डॉक्टर से पूछें।",
+    // fractions
+    "Fractions": "भिन्न", "Fraction Toolkit": "भिन्न टूलकिट", "Decimal → Fraction": "दशमलव → भिन्न", "Arithmetic": "अंकगणित",
+    "GCD / LCM": "म.स. / ल.स.", "Whole Number": "पूर्ण संख्या", "Max Denominator": "अधिकतम हर", "exact": "सटीक",
+    "Whole numbers (comma or space separated)": "पूर्ण संख्याएँ (अल्पविराम या स्पेस से अलग)", "Simplest Form": "सरलतम रूप",
+    "Mixed Number": "मिश्र भिन्न", "Percent": "प्रतिशत", "Fraction": "भिन्न", "Error": "त्रुटि", "Continued Fraction": "सतत भिन्न",
+    "GCD (HCF)": "महत्तम समापवर्तक (म.स.)", "LCM": "लघुत्तम समापवर्त्य (ल.स.)", "Not a fraction or decimal:": "भिन्न या दशमलव नहीं है:",
+    "Cannot divide by zero.": "शून्य से भाग नहीं हो सकता।", "Enter whole numbers only.": "केवल पूर्ण संख्याएँ डालें।",
+    "Fractions take 3/4, mixed numbers like 1 1/2, decimals and repeating decimals with the repeating part in brackets: 0.1(6) = 1/6.":
+      "भिन्न 3/4, मिश्र भिन्न 1 1/2, दशमलव और आवर्ती दशमलव (दोहराया भाग कोष्ठक में) लिखें: 0.1(6) = 1/6।",
+    // statistics
+    "Statistics": "सांख्यिकी", "Data (list or CSV with a header row)": "डेटा (सूची या हेडर पंक्ति वाली CSV)", "or": "या",
+    "Column": "कॉलम", "Percentile": "पर्सेंटाइल", "Histogram Bins": "हिस्टोग्राम के खाने", "Import CSV": "CSV आयात करें",
+    "Enter at least one number.": "कम से कम एक संख्या डालें।", "Count": "गिनती", "Sum": "योग", "Mean": "माध्य",
+    "Median": "माध्यिका", "none": "कोई नहीं", "Range": "परास", "Min": "न्यूनतम", "Max": "अधिकतम", "IQR": "अंतर-चतुर्थक परास",
+    "SD (sample)": "मानक विचलन (नमूना)", "SD (population)": "मानक विचलन (समष्टि)",
+    "Variance (sample)": "प्रसरण (नमूना)", "Variance (population)": "प्रसरण (समष्टि)",
+    "cells skipped (not numbers)": "सेल छोड़े गए (संख्या नहीं)", "Histogram": "हिस्टोग्राम", "bins": "खाने",
+    "Linear Regression": "रैखिक समाश्रयण", "Row number (1, 2, 3…)": "पंक्ति संख्या (1, 2, 3…)", "Line": "रेखा",
+    "Slope": "ढलान", "Intercept": "अंतःखंड", "Pairs": "जोड़े",
+    "Needs at least two (x, y) pairs with different x values.": "अलग-अलग x वाले कम से कम दो (x, y) जोड़े चाहिए।",
+    // search
+    "Categories": "श्रेणियाँ", "All": "सभी", "Finance": "वित्त", "Health": "स्वास्थ्य", "Date/Time": "तारीख़/समय",
+    "Converters": "परिवर्तक", "Math": "गणित",
+  },
+};
+
+// t(), fmt(), fmtUnit() and fmtDate() bound to the hub's language and number locale
+function useI18n() {
+  const { lang, locale } = useContext(SettingsContext);
+  return useMemo(() => ({
+    lang,
+    locale,
+    // t("Must be at least {min}", { min: 1 }) fills {placeholders} after translating
+    t: (key, params) => {
+      const text = STRINGS[lang]?.[key] ?? key;
+      return params ? text.replace(/\{(\w+)\}/g, (m, k) => params[k] ?? m) : text;
+    },
+    fmt: (n, d = 2) => fmt(n, d, locale),
+    fmtUnit: (n) => fmtUnit(n, locale),
+    // "2026-10-18" → "Sun, 18 Oct 2026" (weekday and month names follow the UI language)
+    fmtDate: (iso) => parseDate(iso)?.toLocaleDateString(lang === "hi" ? "hi-IN" : locale || undefined, {
+      weekday: "short", day: "numeric", month: "short", year: "numeric",
+    }) ?? "-",
+  }), [lang, locale]);
+}
+
+const currencySymbol = (code) => {
+  try {
+    return new Intl.NumberFormat("en", { style: "currency", currency: code, currencyDisplay: "narrowSymbol" })
+      .formatToParts(0).find(p => p.type === "currency")?.value || code;
+  } catch {
+    return code;
+  }
+};
+
+// money(n) → "₹ 12,50,000 (12.5 lakh)" (+ " ≈ $ 14,602.8" when a second currency is chosen);
+// the lakh/crore words appear for Indian number formats
+function useMoney() {
+  const { currency, showIn, symbol, rates, lang, locale } = useContext(SettingsContext);
+  return useMemo(() => {
+    const sym = symbol || currencySymbol(currency);
+    const indian = isIndianLocale(locale);
+    const money = (n, d = 2) => {
+      let main = `${sym} ${fmt(n, d, locale)}`;
+      if (indian && Math.abs(n) >= 1e5) main += ` (${formatIndianWords(n, { lang })})`;
+      if (!showIn || showIn === currency || !Number.isFinite(n)) return main;
+      return `${main} ≈ ${currencySymbol(showIn)} ${fmt(convertCurrency(rates, n, currency, showIn), d, locale)}`;
+    };
+    return { sym, money };
+  }, [currency, showIn, symbol, rates, lang, locale]);
+}
 
 // ------------------------------ CALCULATORS ------------------------------
 
 function BasicCalculator() {
-  const [a, setA] = useState(0);
-  const [b, setB] = useState(0);
-  const [op, setOp] = useState("+");
-  const result = useMemo(() => {
-    const x = toNum(a), y = toNum(b);
-    switch (op) {
-      case "+": return x + y;
-      case "-": return x - y;
-      case "×": return x * y;
-      case "÷": return y === 0 ? NaN : x / y;
-      default: return NaN;
-    }
-  }, [a, b, op]);
-  return (
-    <Card title="Basic Calculator">
-      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
-        <Field label="Number A"><Input type="number" value={a} onChange={e=>setA(e.target.value)} /></Field>
-        <Field label="Operation">
-          <Select value={op} onChange={(e)=>setOp(e.target.value)}>
-            {['+','-','×','÷'].map(s=> <option key={s}>{s}</option>)}
-          </Select>
-        </Field>
-        <Field label="Number B"><Input type="number" value={b} onChange={e=>setB(e.target.value)} /></Field>
-      </div>
-      <div className="mt-4"><Stat label="Result" value={fmt(result, 6)} /></div>
+  const { t, fmt } = useI18n();
+  const [mode, setMode] = useParam("mode", "A op B");
+  const [a, setA] = useParam("a", 0);
+  const [b, setB] = useParam("b", 0);
+  const [op, setOp] = useParam("op", "+");
+  const result = useMemo(() => calcBasic({ a, b, op }), [a, b, op]);
+  return (
+    <Card title={t("Basic Calculator")}>
+      <Field label={t("Mode")}>
+        <Select value={mode} onChange={e=>setMode(e.target.value)}>
+          <option value="A op B">{t("A op B")}</option>
+          <option value="Expression">{t("Expression")}</option>
+        </Select>
+      </Field>
+      {mode === "Expression" ? <ExpressionMode /> : (
+        <>
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+            <Field label={t("Number A")}><Input type="number" value={a} onChange={e=>setA(e.target.value)} rule={{ required: true }} /></Field>
+            <Field label={t("Operation")}>
+              <Select value={op} onChange={(e)=>setOp(e.target.value)}>
+                {['+','-','×','÷'].map(s=> <option key={s}>{s}</option>)}
+              </Select>
+            </Field>
+            <Field label={t("Number B")}><Input type="number" value={b} onChange={e=>setB(e.target.value)} rule={{ required: true, nonZero: op === "÷" }} /></Field>
+          </div>
+          <Results><div className="mt-4"><Stat label="Result" value={fmt(result, 6)} raw={result} /></div></Results>
+        </>
+      )}
     </Card>
   );
 }
 
-function PercentageCalculator() {
-  const [base, setBase] = useState(100);
-  const [pct, setPct] = useState(10);
-  const inc = useMemo(()=> toNum(base) * (toNum(pct)/100), [base, pct]);
-  const total = useMemo(()=> toNum(base) + inc, [base, inc]);
+// typed expressions: Enter commits the line – its result becomes `ans`, `name = …` stores a variable
+function ExpressionMode() {
+  const { t, fmt } = useI18n();
+  const [expr, setExpr] = useParam("expr", "");
+  const [angle, setAngle] = useParam("angle", "rad");
+  const [ans, setAns] = useParam("ans", 0);
+  const [vars, setVars] = useParam("vars", {});
+  const [tape, setTape] = useState([]);
+  const out = useMemo(() => expr.trim() ? evaluateExpression(expr, { ans, vars, angle }) : null, [expr, ans, vars, angle]);
+  const commit = () => {
+    if (!out || out.error) return;
+    if (out.assign) setVars(v => ({ ...v, [out.assign]: out.value }));
+    setAns(out.value);
+    setTape(list => [{ expr, value: out.value }, ...list].slice(0, 10));
+    setExpr("");
+  };
   return (
-    <Card title="Percentage / Increase">
-      <div className="grid sm:grid-cols-2 gap-3">
-        <Field label="Base Amount"><Input type="number" value={base} onChange={e=>setBase(e.target.value)} /></Field>
-        <Field label="Percent (%)"><Input type="number" value={pct} onChange={e=>setPct(e.target.value)} /></Field>
+    <>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <div className="sm:col-span-3">
+          <Field label={t("Expression (Enter to keep result as ans)")}>
+            <Input
+              value={expr}
+              onChange={e=>setExpr(e.target.value)}
+              onKeyDown={e=>{ if (e.key === "Enter") commit(); }}
+              placeholder={t("e.g. {expr}   or   {assign}", { expr: "(2 + 3)^2 * sqrt(16) - 10%", assign: "r = 7.5/12" })}
+              spellCheck={false}
+            />
+          </Field>
+        </div>
+        <Field label={t("Angles")}>
+          <Select value={angle} onChange={e=>setAngle(e.target.value)}>
+            <option value="rad">{t("Radians")}</option>
+            <option value="deg">{t("Degrees")}</option>
+          </Select>
+        </Field>
       </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="Increase" value={fmt(inc)} />
-        <Stat label="Total" value={fmt(total)} />
+      {out?.error && (
+        <div className="text-sm text-red-600 mb-3">
+          <pre className="font-mono">{expr}{"\n"}{" ".repeat(out.error.pos)}^</pre>
+          <p>{t("{message} at position {pos}", { message: out.error.message, pos: out.error.pos + 1 })}</p>
+        </div>
+      )}
+      <div className="mt-2 flex flex-wrap gap-6">
+        <Stat name="result" label={out?.assign ? `${out.assign} =` : "Result"} value={out && !out.error ? fmt(out.value, 10) : "-"} raw={out && !out.error ? out.value : null} />
+        <Stat label="ans" value={fmt(ans, 10)} raw={ans} />
       </div>
-    </Card>
+      {Object.keys(vars).length > 0 && (
+        <div className="mt-3 text-sm text-zinc-600 dark:text-zinc-300 font-mono">
+          {Object.entries(vars).map(([k, v]) => <span key={k} className="mr-4">{k} = {fmt(v, 10)}</span>)}
+          <button className="text-xs text-zinc-500 hover:text-red-600" onClick={()=>setVars({})}>{t("clear")}</button>
+        </div>
+      )}
+      {tape.length > 0 && (
+        <ul className="mt-3 text-sm font-mono text-zinc-500">
+          {tape.map((line, i) => <li key={i}>{line.expr} = {fmt(line.value, 10)}</li>)}
+        </ul>
+      )}
+      <p className="mt-3 text-xs text-zinc-500">
+        {t("Supports {ops}, {functions}, pi, e, ans and your own variables.", {
+          ops: "+ − × ÷ ^, ( ), % (200 + 10% = 220)",
+          functions: "sqrt cbrt abs ln log log2 exp sin cos tan asin acos atan round floor ceil min max",
+        })}
+      </p>
+    </>
   );
 }
 
-function DiscountCalculator() {
-  const [mrp, setMrp] = useState(1000);
-  const [off, setOff] = useState(15);
-  const disc = useMemo(()=> toNum(mrp) * (toNum(off)/100), [mrp, off]);
-  const pay = useMemo(()=> toNum(mrp) - disc, [mrp, disc]);
+// money calculators round with an explicit rule; "" keeps plain floating point
+const ROUNDING_OPTIONS = [["half-up", "Half-up (exact)"], ["half-even", "Banker's / half-even (exact)"], ["", "None (floating point)"]];
+const RoundingField = ({ value, onChange }) => {
+  const { t } = useI18n();
   return (
-    <Card title="Discount / Sale Price">
-      <div className="grid sm:grid-cols-2 gap-3">
-        <Field label="MRP / Original Price"><Input type="number" value={mrp} onChange={e=>setMrp(e.target.value)} /></Field>
-        <Field label="Discount (%)"><Input type="number" value={off} onChange={e=>setOff(e.target.value)} /></Field>
+    <Field label={t("Rounding (2 dp)")}>
+      <Select value={value} onChange={e=>onChange(e.target.value)}>
+        {ROUNDING_OPTIONS.map(([v, name]) => <option key={v} value={v}>{t(name)}</option>)}
+      </Select>
+    </Field>
+  );
+};
+
+const GST_SLABS = [0, 0.25, 3, 5, 12, 18, 28, 40];
+const NEW_INVOICE_ITEM = { description: "", hsn: "", qty: 1, price: 0, discountPct: 0, rate: 18 };
+
+function InvoiceMode({ rounding }) {
+  const { t, fmt } = useI18n();
+  const { sym, money } = useMoney();
+  const [items, setItems] = useParam("items", [{ description: "Item 1", hsn: "", qty: 1, price: 1000, discountPct: 0, rate: 18 }]);
+  const [supply, setSupply] = useParam("supply", "intra");
+  const [invoiceNo, setInvoiceNo] = useParam("invoiceNo", "");
+  const [invoiceDate, setInvoiceDate] = useParam("invoiceDate", new Date().toISOString().slice(0, 10));
+  const [seller, setSeller] = useParam("seller", "");
+  const [buyer, setBuyer] = useParam("buyer", "");
+  const inv = useMemo(()=> calcInvoice({ items, supply, rounding: rounding || "half-up" }), [items, supply, rounding]);
+  const updateItem = (i, key, value) => setItems(list => list.map((it, j) => j === i ? { ...it, [key]: value } : it));
+  const hidden = supply === "inter" ? ["cgst", "sgst"] : ["igst"];
+  const columns = INVOICE_COLUMNS.filter(c => !hidden.includes(c.key));
+  const summaryColumns = INVOICE_SUMMARY_COLUMNS.filter(c => !hidden.includes(c.key));
+  const plain = (v, key) => typeof v === "number" && !["index", "qty", "rate"].includes(key) ? fmt(v, 2) : v;
+  const totals = [
+    ["Taxable Value", inv.taxable],
+    ...(supply === "inter" ? [["IGST", inv.igst]] : [["CGST", inv.cgst], ["SGST", inv.sgst]]),
+    ["Round Off", inv.roundOff],
+    ["Invoice Total", inv.total],
+  ];
+  const fileBase = `invoice${invoiceNo ? "-" + invoiceNo.replace(/[^\w-]+/g, "_") : ""}`;
+
+  const exportCSV = () => downloadText(`${fileBase}.csv`, [
+    toCSV(columns, inv.lines),
+    "",
+    toCSV(summaryColumns, inv.summary),
+    "",
+    toCSV([{ key: "label", label: "" }, { key: "value", label: "Amount" }], totals.map(([label, value]) => ({ label, value }))),
+  ].join("\n"), "text/csv");
+  const exportJSON = () => downloadText(`${fileBase}.json`, JSON.stringify({ invoiceNo, invoiceDate, seller, buyer, supply, ...inv }, null, 2), "application/json");
+  const print = () => {
+    const row = (cells, tag = "td") => `<tr>${cells.map(c => `<${tag}>${escapeHTML(c)}</${tag}>`).join("")}</tr>`;
+    const table = (cols, rows) =>
+      `<table><thead>${row(cols.map(c => t(c.label)), "th")}</thead><tbody>${rows.map(r => row(cols.map(c => plain(r[c.key], c.key)))).join("")}</tbody></table>`;
+    printHTML(`${t("Tax Invoice")} ${invoiceNo}`, `
+      <h1>${escapeHTML(t("Tax Invoice"))} ${escapeHTML(invoiceNo)}</h1>
+      <p>${escapeHTML(t("Date"))}: ${escapeHTML(invoiceDate)} · ${escapeHTML(t(supply === "inter" ? "Inter-state (IGST)" : "Intra-state (CGST + SGST)"))}</p>
+      <div class="parties"><div><b>${escapeHTML(t("Seller"))}</b><br>${escapeHTML(seller).replace(/\n/g, "<br>")}</div>
+      <div><b>${escapeHTML(t("Buyer"))}</b><br>${escapeHTML(buyer).replace(/\n/g, "<br>")}</div></div>
+      ${table(columns, inv.lines)}
+      <h2>${escapeHTML(t("Tax Summary"))}</h2>
+      ${table(summaryColumns, inv.summary)}
+      <table class="totals">${totals.map(([label, value]) => row([t(label), money(value)])).join("")}</table>`);
+  };
+
+  return (
+    <>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("Invoice No.")}><Input value={invoiceNo} onChange={e=>setInvoiceNo(e.target.value)} /></Field>
+        <Field label={t("Date")}><Input type="date" value={invoiceDate} onChange={e=>setInvoiceDate(e.target.value)} rule={{ required: true }} /></Field>
+        <Field label={t("Seller (name, GSTIN)")}><Input value={seller} onChange={e=>setSeller(e.target.value)} /></Field>
+        <Field label={t("Buyer (name, GSTIN)")}><Input value={buyer} onChange={e=>setBuyer(e.target.value)} /></Field>
+        <Field label={t("Supply")}>
+          <Select value={supply} onChange={e=>setSupply(e.target.value)}>
+            <option value="intra">{t("Intra-state (CGST + SGST)")}</option>
+            <option value="inter">{t("Inter-state (IGST)")}</option>
+          </Select>
+        </Field>
       </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="You Save" value={fmt(disc)} />
-        <Stat label="Final Price" value={fmt(pay)} />
+
+      <h3 className="mt-5 mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Items")}</h3>
+      {items.map((it, i) => (
+        <div key={i} className="grid grid-cols-2 sm:grid-cols-7 gap-3 items-end">
+          <Field label={t("Description")}><Input value={it.description} onChange={e=>updateItem(i, "description", e.target.value)} /></Field>
+          <Field label={t("HSN/SAC")}><Input value={it.hsn} onChange={e=>updateItem(i, "hsn", e.target.value)} /></Field>
+          <Field label={t("Qty")}><Input type="number" value={it.qty} onChange={e=>updateItem(i, "qty", e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+          <Field label={`${t("Unit Price")} (${sym})`}><Input type="number" value={it.price} onChange={e=>updateItem(i, "price", e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+          <Field label={t("Discount (%)")}><Input type="number" value={it.discountPct} onChange={e=>updateItem(i, "discountPct", e.target.value)} rule={{ min: 0, max: 100 }} /></Field>
+          <Field label={t("GST %")}>
+            <Select value={String(it.rate)} onChange={e=>updateItem(i, "rate", e.target.value)}>
+              {GST_SLABS.map(r => <option key={r} value={String(r)}>{r}%</option>)}
+            </Select>
+          </Field>
+          <div className="mb-3">
+            <button className="text-sm text-zinc-500 hover:text-red-600" onClick={()=>setItems(list => list.filter((_, j) => j !== i))}>{t("Remove")}</button>
+          </div>
+        </div>
+      ))}
+      <Button onClick={()=>setItems(list => [...list, { ...NEW_INVOICE_ITEM }])}>{t("+ Add Item")}</Button>
+
+      <Results>
+        <div className="mt-5">
+          <Table caption={t("Invoice Lines")} columns={columns} rows={inv.lines} format={plain} />
+        </div>
+        <div className="mt-5 grid sm:grid-cols-2 gap-4 items-start">
+          <div>
+            <h3 className="mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Tax Summary")}</h3>
+            <Table caption={t("Tax Summary")} columns={summaryColumns} rows={inv.summary} format={plain} />
+          </div>
+          <div className="flex flex-wrap gap-6">
+            {totals.map(([label, value]) => <Stat key={label} label={label} value={money(value)} raw={value} />)}
+          </div>
+        </div>
+        <DonutChart
+          title={t("Tax Share")}
+          summary={`${t("Taxable Value")} ${money(inv.taxable)}, GST ${money(inv.tax)}`}
+          slices={[
+            { label: t("Taxable Value"), value: inv.taxable },
+            ...(supply === "inter" ? [{ label: "IGST", value: inv.igst }] : [{ label: "CGST", value: inv.cgst }, { label: "SGST", value: inv.sgst }]),
+          ]}
+          format={money}
+        />
+      </Results>
+      <div className="mt-4 flex flex-wrap gap-3">
+        <Button onClick={exportCSV}>{t("Export CSV")}</Button>
+        <Button onClick={exportJSON}>{t("Export JSON")}</Button>
+        <Button onClick={print}>{t("Print")}</Button>
       </div>
-    </Card>
+    </>
   );
 }
 
 function GSTCalculator() {
-  const [amount, setAmount] = useState(1000);
-  const [rate, setRate] = useState(18);
-  const [mode, setMode] = useState("Add GST");
-  const calc = useMemo(()=>{
-    const a = toNum(amount), r = toNum(rate)/100;
-    if (mode === "Add GST") {
-      const tax = a * r; return { tax, total: a + tax };
-    } else {
-      // remove GST from inclusive amount
-      const base = a / (1 + r); const tax = a - base; return { tax, total: base };
-    }
-  }, [amount, rate, mode]);
+  const { t } = useI18n();
+  const { money } = useMoney();
+  const [kind, setKind] = useParam("kind", "Single Amount");
+  const [amount, setAmount] = useParam("amount", 1000);
+  const [rate, setRate] = useParam("rate", 18);
+  const [mode, setMode] = useParam("mode", "Add GST");
+  const [round, setRound] = useParam("round", "half-up");
+  const calc = useMemo(()=> calcGST({ amount, rate, mode: mode === "Add GST" ? "add" : "remove", rounding: round || undefined }), [amount, rate, mode, round]);
   return (
-    <Card title="GST / VAT">
-      <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="Amount"><Input type="number" value={amount} onChange={e=>setAmount(e.target.value)} /></Field>
-        <Field label="Rate (%)"><Input type="number" value={rate} onChange={e=>setRate(e.target.value)} /></Field>
-        <Field label="Mode">
-          <Select value={mode} onChange={(e)=>setMode(e.target.value)}>
-            <option>Add GST</option>
-            <option>Remove GST</option>
+    <Card title={t("GST / VAT")}>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("Type")}>
+          <Select value={kind} onChange={e=>setKind(e.target.value)}>
+            <option value="Single Amount">{t("Single Amount")}</option>
+            <option value="Invoice">{t("Invoice")}</option>
           </Select>
         </Field>
+        {kind !== "Invoice" && (
+          <>
+            <Field label={t("Amount")}><Input type="number" value={amount} onChange={e=>setAmount(e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+            <Field label={t("Rate (%)")}><Input type="number" value={rate} onChange={e=>setRate(e.target.value)} rule={{ required: true, min: 0, max: 100 }} /></Field>
+            <Field label={t("Mode")}>
+              <Select value={mode} onChange={(e)=>setMode(e.target.value)}>
+                <option value="Add GST">{t("Add GST")}</option>
+                <option value="Remove GST">{t("Remove GST")}</option>
+              </Select>
+            </Field>
+          </>
+        )}
+        <RoundingField value={round} onChange={setRound} />
       </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label={mode === 'Add GST' ? 'Tax' : 'GST Part'} value={fmt(calc.tax)} />
-        <Stat label={mode === 'Add GST' ? 'Total (Incl.)' : 'Base (Excl.)'} value={fmt(calc.total)} />
-      </div>
+      {kind === "Invoice" ? <div className="mt-4"><InvoiceMode rounding={round} /></div> : (
+        <Results>
+          <div className="mt-4 flex flex-wrap gap-6">
+            <Stat label={mode === 'Add GST' ? 'Tax' : 'GST Part'} value={money(calc.tax)} raw={calc.tax} />
+            <Stat label={mode === 'Add GST' ? 'Total (Incl.)' : 'Base (Excl.)'} value={money(calc.total)} raw={calc.total} />
+          </div>
+          <DonutChart
+            title={t("Tax Share")}
+            summary={`${t("Tax")} ${money(calc.tax)}`}
+            slices={[{ label: t("Base (Excl.)"), value: mode === "Add GST" ? toNum(amount) : calc.total }, { label: t("Tax"), value: calc.tax }]}
+            format={money}
+          />
+        </Results>
+      )}
     </Card>
   );
 }
 
-function BMICalculator() {
-  const [unit, setUnit] = useState("Metric (kg, cm)");
-  const [w, setW] = useState(70);
-  const [h, setH] = useState(170);
-  const bmi = useMemo(()=>{
-    if (unit.startsWith("Metric")) {
-      const m = toNum(h)/100; return toNum(w)/(m*m);
-    } else {
-      // Imperial: lbs, inches
-      return (toNum(w) / (toNum(h) * toNum(h))) * 703;
-    }
-  }, [unit, w, h]);
-  const status = useMemo(()=>{
-    if (!Number.isFinite(bmi)) return "-";
-    if (bmi < 18.5) return "Underweight";
-    if (bmi < 25) return "Normal";
-    if (bmi < 30) return "Overweight";
-    return "Obese";
-  }, [bmi]);
-  return (
-    <Card title="BMI (Body Mass Index)">
-      <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="Units">
-          <Select value={unit} onChange={e=>setUnit(e.target.value)}>
-            <option>Metric (kg, cm)</option>
-            <option>Imperial (lb, inch)</option>
+function IncomeTaxCalculator() {
+  const { t, fmt } = useI18n();
+  const { sym, money } = useMoney();
+  const [fy, setFy] = useParam("fy", "2025-26");
+  const [age, setAge] = useParam("age", "below60");
+  const [salary, setSalary] = useParam("salary", 1500000);
+  const [other, setOther] = useParam("other", 0);
+  const [basic, setBasic] = useParam("basic", 600000);
+  const [hra, setHra] = useParam("hra", 240000);
+  const [rent, setRent] = useParam("rent", 0);
+  const [metro, setMetro] = useParam("metro", false);
+  const [d80C, setD80C] = useParam("d80C", 150000);
+  const [d80D, setD80D] = useParam("d80D", 25000);
+  const [d80DParents, setD80DParents] = useParam("d80DParents", 0);
+  const [parentsSenior, setParentsSenior] = useParam("parentsSenior", false);
+  const [otherDed, setOtherDed] = useParam("otherDed", 0);
+  const out = useMemo(()=> compareTaxRegimes({
+    fy, age, salary, otherIncome: other, basic, hra, rent, metro, d80C, d80D, d80DParents, parentsSenior, otherDeductions: otherDed,
+  }), [fy, age, salary, other, basic, hra, rent, metro, d80C, d80D, d80DParents, parentsSenior, otherDed]);
+  const year = INCOME_TAX_YEARS[fy];
+  const lines = [
+    ["gross", "Gross Income"], ["standardDeduction", "Standard Deduction"], ["hraExemption", "HRA Exemption"],
+    ["deductions", "Deductions (80C, 80D…)"], ["taxable", "Taxable Income"], ["slabTax", "Tax on Slabs"],
+    ["rebate", "Rebate u/s 87A"], ["surcharge", "Surcharge"], ["cess", "Health & Education Cess"], ["total", "Total Tax"],
+  ];
+  const slabCols = [{ key: "range", label: "Slab" }, { key: "rate", label: "Rate (%)" }, { key: "tax", label: "Tax" }];
+  const slabRows = (r) => r.slabs.map(s => ({ range: `${fmt(s.from, 0)} – ${fmt(s.to, 0)}`, rate: s.rate, tax: fmt(s.tax, 0) }));
+  return (
+    <Card title={t("Income Tax (India) – Old vs New Regime")}>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("Financial Year")}>
+          <Select value={fy} onChange={e=>setFy(e.target.value)}>
+            {Object.entries(INCOME_TAX_YEARS).map(([key, y]) => <option key={key} value={key}>{y.label}</option>)}
           </Select>
         </Field>
-        <Field label={unit.startsWith('Metric') ? 'Weight (kg)' : 'Weight (lb)'}>
-          <Input type="number" value={w} onChange={e=>setW(e.target.value)} />
-        </Field>
-        <Field label={unit.startsWith('Metric') ? 'Height (cm)' : 'Height (inch)'}>
-          <Input type="number" value={h} onChange={e=>setH(e.target.value)} />
+        <Field label={t("Age")}>
+          <Select value={age} onChange={e=>setAge(e.target.value)}>
+            <option value="below60">{t("Below 60")}</option>
+            <option value="senior">{t("60 – 79")}</option>
+            <option value="superSenior">{t("80 and above")}</option>
+          </Select>
         </Field>
+        <Field label={`${t("Gross Salary / Year")} (${sym})`}><Input type="number" value={salary} onChange={e=>setSalary(e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+        <Field label={`${t("Other Income / Year")} (${sym})`}><Input type="number" value={other} onChange={e=>setOther(e.target.value)} rule={{ min: 0 }} /></Field>
       </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="BMI" value={fmt(bmi, 2)} />
-        <Stat label="Status" value={status} />
+
+      <h3 className="mt-5 mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Old Regime Deductions (yearly)")}</h3>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("Basic + DA")}><Input type="number" value={basic} onChange={e=>setBasic(e.target.value)} rule={{ min: 0 }} /></Field>
+        <Field label={t("HRA Received")}><Input type="number" value={hra} onChange={e=>setHra(e.target.value)} rule={{ min: 0 }} /></Field>
+        <Field label={t("Rent Paid")}><Input type="number" value={rent} onChange={e=>setRent(e.target.value)} rule={{ min: 0 }} /></Field>
+        <Field label={t("Metro City")}>
+          <Select value={String(metro)} onChange={e=>setMetro(e.target.value === "true")}>
+            <option value="false">{t("No")}</option>
+            <option value="true">{t("Yes")}</option>
+          </Select>
+        </Field>
+        <Field label={`80C (${t("max")} ${fmt(year?.limits["80C"], 0)})`}><Input type="number" value={d80C} onChange={e=>setD80C(e.target.value)} rule={{ min: 0 }} /></Field>
+        <Field label={t("80D – Self & Family")}><Input type="number" value={d80D} onChange={e=>setD80D(e.target.value)} rule={{ min: 0 }} /></Field>
+        <Field label={t("80D – Parents")}><Input type="number" value={d80DParents} onChange={e=>setD80DParents(e.target.value)} rule={{ min: 0 }} /></Field>
+        <Field label={t("Parents 60+")}>
+          <Select value={String(parentsSenior)} onChange={e=>setParentsSenior(e.target.value === "true")}>
+            <option value="false">{t("No")}</option>
+            <option value="true">{t("Yes")}</option>
+          </Select>
+        </Field>
+        <Field label={t("Other Deductions (80CCD(1B), 24b…)")}><Input type="number" value={otherDed} onChange={e=>setOtherDed(e.target.value)} rule={{ min: 0 }} /></Field>
       </div>
+
+      {out && (
+        <Results>
+          <div className="mt-4 flex flex-wrap gap-6">
+            <Stat label="Old Regime Tax" value={money(out.old.total, 0)} raw={out.old.total} />
+            <Stat label="New Regime Tax" value={money(out.new.total, 0)} raw={out.new.total} />
+            <Stat
+              label="Better Regime"
+              value={out.better === "same" ? t("Both equal") : `${t(out.better === "old" ? "Old Regime" : "New Regime")} · ${t("saves")} ${money(out.saving, 0)}`}
+              raw={out.better}
+            />
+          </div>
+          <div className="mt-5">
+            <Table
+              caption={t("Old vs New Regime")}
+              columns={[{ key: "label", label: "" }, { key: "old", label: "Old Regime" }, { key: "new", label: "New Regime" }]}
+              rows={[
+                ...lines.map(([key, label]) => ({ label: t(label), old: fmt(out.old[key], 0), new: fmt(out.new[key], 0) })),
+                { label: t("Effective Rate (%)"), old: fmt(out.old.effectiveRate), new: fmt(out.new.effectiveRate) },
+              ]}
+            />
+          </div>
+          <div className="mt-5 grid sm:grid-cols-2 gap-4">
+            <div>
+              <h3 className="mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Old Regime")} – {t("Slab-wise Tax")}</h3>
+              <Table caption={`${t("Old Regime")} – ${t("Slab-wise Tax")}`} columns={slabCols} rows={slabRows(out.old)} />
+            </div>
+            <div>
+              <h3 className="mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("New Regime")} – {t("Slab-wise Tax")}</h3>
+              <Table caption={`${t("New Regime")} – ${t("Slab-wise Tax")}`} columns={slabCols} rows={slabRows(out.new)} />
+            </div>
+          </div>
+          <p className="mt-3 text-xs text-zinc-500">{t("Resident individuals. The new regime ignores HRA and Chapter VI-A deductions. Indicative only — check with the current Finance Act.")}</p>
+        </Results>
+      )}
     </Card>
   );
 }
 
-function AgeCalculator() {
-  const [dob, setDob] = useState("1995-01-01");
-  const diff = useMemo(()=>{
-    const d = new Date(dob);
-    if (isNaN(d)) return null;
-    const now = new Date();
-    let years = now.getFullYear() - d.getFullYear();
-    let months = now.getMonth() - d.getMonth();
-    let days = now.getDate() - d.getDate();
-    if (days < 0) {
-      const prevMonth = new Date(now.getFullYear(), now.getMonth(), 0).getDate();
-      days += prevMonth; months -= 1;
-    }
-    if (months < 0) { months += 12; years -= 1; }
-    return { years, months, days };
-  }, [dob]);
+// Weight and height as every health calculator takes them: one unit switch, and height in cm or in
+// feet + inches. `height` is what the core expects (cm, or total inches); `setHeight` takes the same.
+function useBody() {
+  const [unit, setUnit] = useParam("unit", "Metric (kg, cm)");
+  const [w, setW] = useParam("w", 70);
+  const [h, setH] = useParam("h", 170);
+  const metric = unit.startsWith("Metric");
+  // links from before feet + inches carried an imperial height in inches in `h`
+  const split = inchesToFeetInches(metric ? 67 : toNum(h));
+  const [ft, setFt] = useParam("ft", split.feet);
+  const [inch, setInch] = useParam("in", split.inches);
+  return {
+    unit, setUnit, metric, system: metric ? "metric" : "imperial",
+    w, setW, h, setH, ft, setFt, inch, setInch,
+    height: metric ? h : feetInchesToInches(ft, inch),
+    setHeight: (v) => {
+      if (metric) return setH(v);
+      const { feet, inches } = inchesToFeetInches(v);
+      setFt(feet);
+      setInch(inches);
+    },
+  };
+}
+
+const POSITIVE = { required: true, min: 0, exclusiveMin: true };
+
+function BodyFields({ body, weight = true, height = true }) {
+  const { t } = useI18n();
+  const { metric } = body;
   return (
-    <Card title="Age Calculator">
-      <Field label="Date of Birth"><Input type="date" value={dob} onChange={e=>setDob(e.target.value)} /></Field>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="Years" value={diff ? diff.years : '-'} />
-        <Stat label="Months" value={diff ? diff.months : '-'} />
-        <Stat label="Days" value={diff ? diff.days : '-'} />
+    <>
+      <Field label={t("Units")}>
+        <Select value={body.unit} onChange={e=>body.setUnit(e.target.value)}>
+          <option value="Metric (kg, cm)">{t("Metric (kg, cm)")}</option>
+          <option value="Imperial (lb, inch)">{t("Imperial (lb, ft + in)")}</option>
+        </Select>
+      </Field>
+      {weight && (
+        <Field label={t(metric ? "Weight (kg)" : "Weight (lb)")}>
+          <Input type="number" value={body.w} onChange={e=>body.setW(e.target.value)} rule={POSITIVE} />
+        </Field>
+      )}
+      {height && (metric ? (
+        <Field label={t("Height (cm)")}>
+          <Input type="number" value={body.h} onChange={e=>body.setH(e.target.value)} rule={POSITIVE} />
+        </Field>
+      ) : (
+        <div className="grid grid-cols-2 gap-3">
+          <Field label={t("Height (ft)")}>
+            <Input type="number" value={body.ft} onChange={e=>body.setFt(e.target.value)} rule={{ required: true, min: 0, max: 9, integer: true }} />
+          </Field>
+          <Field label={t("Height (in)")}>
+            <Input type="number" value={body.inch} onChange={e=>body.setInch(e.target.value)} rule={{ required: true, min: 0, max: 11.9 }} />
+          </Field>
+        </div>
+      ))}
+    </>
+  );
+}
+
+const SexField = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <Field label={t("Sex")}>
+      <Select value={value} onChange={onChange}>
+        <option value="male">{t("Male")}</option>
+        <option value="female">{t("Female")}</option>
+      </Select>
+    </Field>
+  );
+};
+
+const AgeField = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return <Field label={t("Age (years)")}><Input type="number" value={value} onChange={onChange} rule={{ required: true, min: 18, max: 120 }} /></Field>;
+};
+
+const ActivityField = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <Field label={t("Activity Level")}>
+      <Select value={value} onChange={onChange}>
+        {Object.entries(ACTIVITY_LEVELS).map(([id, a]) => <option key={id} value={id}>{t(a.label)}</option>)}
+      </Select>
+    </Field>
+  );
+};
+
+const CutoffsField = ({ value, onChange }) => {
+  const { t } = useI18n();
+  return (
+    <Field label={t("BMI Cutoffs")}>
+      <Select value={value} onChange={onChange}>
+        <option value="who">{t("WHO (international)")}</option>
+        <option value="asian">{t("Asian (WHO Asia-Pacific)")}</option>
+      </Select>
+    </Field>
+  );
+};
+
+function BMICalculator() {
+  const { t, fmt } = useI18n();
+  const body = useBody();
+  const [cutoffs, setCutoffs] = useParam("cutoffs", "who");
+  const { metric, system } = body;
+  const { bmi, status } = useMemo(()=> calcBMI({ unit: system, weight: body.w, height: body.height, cutoffs }), [system, body.w, body.height, cutoffs]);
+  const [under, normal, over] = BMI_CUTOFFS[cutoffs] ?? BMI_CUTOFFS.who;
+  return (
+    <Card title={t("BMI (Body Mass Index)")}>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <BodyFields body={body} />
+        <CutoffsField value={cutoffs} onChange={e=>setCutoffs(e.target.value)} />
       </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="BMI" value={fmt(bmi, 2)} raw={bmi} />
+          <Stat label="Status" value={t(status)} raw={status} />
+        </div>
+        <p className="mt-2 text-xs text-zinc-500">
+          {t("Normal")}: {fmt(under, 1)} – {fmt(normal, 1)} · {t("Overweight")}: {fmt(normal, 1)} – {fmt(over, 1)} · {t("Obese")}: ≥ {fmt(over, 1)}
+        </p>
+      </Results>
+      <GoalSeek
+        outputs={[{ key: "bmi", label: "BMI" }]}
+        inputs={[
+          { key: "weight", label: metric ? "Weight (kg)" : "Weight (lb)", value: body.w, set: body.setW, lo: 1, hi: metric ? 700 : 1500, digits: 1 },
+          { key: "height", label: metric ? "Height (cm)" : "Height (inch)", value: body.height, set: body.setHeight, lo: metric ? 30 : 12, hi: metric ? 300 : 120, digits: 1 },
+        ]}
+        compute={(v) => calcBMI({ unit: system, weight: body.w, height: body.height, cutoffs, ...v })}
+      />
     </Card>
   );
 }
 
-function DateDiffCalculator() {
-  const [a, setA] = useState("");
-  const [b, setB] = useState("");
-  const out = useMemo(()=>{
-    const d1 = new Date(a), d2 = new Date(b);
-    if (isNaN(d1) || isNaN(d2)) return null;
-    const ms = Math.abs(d2 - d1);
-    const days = Math.floor(ms / (1000*60*60*24));
-    const weeks = days / 7;
-    return { days, weeks };
-  }, [a, b]);
-  return (
-    <Card title="Date Difference">
-      <div className="grid sm:grid-cols-2 gap-3">
-        <Field label="Date A"><Input type="date" value={a} onChange={e=>setA(e.target.value)} /></Field>
-        <Field label="Date B"><Input type="date" value={b} onChange={e=>setB(e.target.value)} /></Field>
-      </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="Days" value={out ? out.days : '-'} />
-        <Stat label="Weeks" value={out ? fmt(out.weeks, 2) : '-'} />
+function BMRCalculator() {
+  const { t, fmt } = useI18n();
+  const body = useBody();
+  const [sex, setSex] = useParam("sex", "male");
+  const [age, setAge] = useParam("age", 30);
+  const [formula, setFormula] = useParam("formula", "mifflin");
+  const [activity, setActivity] = useParam("activity", "sedentary");
+  const out = useMemo(()=> calcBMR({ unit: body.system, weight: body.w, height: body.height, age, sex, formula, activity }), [body.system, body.w, body.height, age, sex, formula, activity]);
+  const kcal = (v) => out ? `${fmt(v, 0)} ${t("kcal/day")}` : "-";
+  return (
+    <Card title={t("BMR & Daily Calories (TDEE)")}>
+      <div className="grid sm:grid-cols-3 gap-3">
+        <SexField value={sex} onChange={e=>setSex(e.target.value)} />
+        <AgeField value={age} onChange={e=>setAge(e.target.value)} />
+        <BodyFields body={body} />
+        <Field label={t("Formula")}>
+          <Select value={formula} onChange={e=>setFormula(e.target.value)}>
+            <option value="mifflin">Mifflin-St Jeor</option>
+            <option value="harris">{t("Harris-Benedict (revised)")}</option>
+          </Select>
+        </Field>
+        <ActivityField value={activity} onChange={e=>setActivity(e.target.value)} />
       </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="BMR" value={kcal(out?.bmr)} raw={out?.bmr} />
+          <Stat label="Maintenance (TDEE)" value={kcal(out?.tdee)} raw={out?.tdee} />
+          <Stat name="loseHalfKgPerWeek" label="Lose ~0.5 kg / week" value={kcal(out?.tdee - 500)} raw={out?.tdee - 500} />
+          <Stat name="gainHalfKgPerWeek" label="Gain ~0.5 kg / week" value={kcal(out?.tdee + 500)} raw={out?.tdee + 500} />
+        </div>
+      </Results>
     </Card>
   );
 }
 
-function TemperatureConverter() {
-  const [from, setFrom] = useState("Celsius");
-  const [to, setTo] = useState("Fahrenheit");
-  const [val, setVal] = useState(25);
-  const convert = (v, f, t) => {
-    v = toNum(v);
-    // convert to C first
-    let c = v;
-    if (f === "Fahrenheit") c = (v - 32) * 5/9;
-    if (f === "Kelvin") c = v - 273.15;
-    // from C to target
-    if (t === "Celsius") return c;
-    if (t === "Fahrenheit") return (c * 9/5) + 32;
-    if (t === "Kelvin") return c + 273.15;
-    return NaN;
-  };
-  const out = useMemo(()=> convert(val, from, to), [val, from, to]);
+function BodyFatCalculator() {
+  const { t, fmt } = useI18n();
+  const body = useBody();
+  const [sex, setSex] = useParam("sex", "male");
+  const [neck, setNeck] = useParam("neck", 38);
+  const [waist, setWaist] = useParam("waist", 86);
+  const [hip, setHip] = useParam("hip", 98);
+  const out = useMemo(()=> calcBodyFatNavy({ unit: body.system, sex, height: body.height, neck, waist, hip, weight: body.w }), [body.system, sex, body.height, neck, waist, hip, body.w]);
+  const len = body.metric ? "cm" : "inch";
+  const mass = (v) => out ? `${fmt(v, 1)} ${body.metric ? "kg" : "lb"}` : "-";
   return (
-    <Card title="Temperature Converter">
+    <Card title={t("Body Fat (US Navy method)")}>
       <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From"><Select value={from} onChange={e=>setFrom(e.target.value)}>{["Celsius","Fahrenheit","Kelvin"].map(x=> <option key={x}>{x}</option>)}</Select></Field>
-        <Field label="To"><Select value={to} onChange={e=>setTo(e.target.value)}>{["Celsius","Fahrenheit","Kelvin"].map(x=> <option key={x}>{x}</option>)}</Select></Field>
-        <Field label="Value"><Input type="number" value={val} onChange={e=>setVal(e.target.value)} /></Field>
+        <SexField value={sex} onChange={e=>setSex(e.target.value)} />
+        <BodyFields body={body} />
+        <Field label={`${t("Neck")} (${len})`}><Input type="number" value={neck} onChange={e=>setNeck(e.target.value)} rule={POSITIVE} /></Field>
+        <Field label={`${t("Waist (at navel)")} (${len})`}><Input type="number" value={waist} onChange={e=>setWaist(e.target.value)} rule={POSITIVE} /></Field>
+        {sex === "female" && (
+          <Field label={`${t("Hip")} (${len})`}><Input type="number" value={hip} onChange={e=>setHip(e.target.value)} rule={POSITIVE} /></Field>
+        )}
       </div>
-      <div className="mt-4"><Stat label="Output" value={fmt(out, 3)} /></div>
+      <Results>
+        {out ? (
+          <div className="mt-4 flex flex-wrap gap-6">
+            <Stat label="Body Fat" value={`${fmt(out.bodyFat, 1)}%`} raw={out.bodyFat} />
+            <Stat label="Category" value={t(out.category)} raw={out.category} />
+            <Stat label="Fat Mass" value={mass(out.fatMass)} raw={out.fatMass} />
+            <Stat label="Lean Mass" value={mass(out.leanMass)} raw={out.leanMass} />
+          </div>
+        ) : (
+          <p className="mt-4 text-sm text-zinc-500">{t(sex === "male" ? "The waist must be larger than the neck." : "Waist + hip must be larger than the neck.")}</p>
+        )}
+      </Results>
     </Card>
   );
 }
 
-function LengthConverter() {
-  const units = [
-    { id: "mm", toM: v=>v/1000, fromM: v=>v*1000 },
-    { id: "cm", toM: v=>v/100, fromM: v=>v*100 },
-    { id: "m", toM: v=>v, fromM: v=>v },
-    { id: "km", toM: v=>v*1000, fromM: v=>v/1000 },
-    { id: "inch", toM: v=>v*0.0254, fromM: v=>v/0.0254 },
-    { id: "ft", toM: v=>v*0.3048, fromM: v=>v/0.3048 },
-  ];
-  const [from, setFrom] = useState("m");
-  const [to, setTo] = useState("ft");
-  const [val, setVal] = useState(1);
-  const out = useMemo(()=>{
-    const v = toNum(val);
-    const f = units.find(u=>u.id===from); const t = units.find(u=>u.id===to);
-    if (!f || !t) return NaN;
-    return t.fromM(f.toM(v));
-  }, [val, from, to]);
-  return (
-    <Card title="Length Converter">
+function IdealWeightCalculator() {
+  const { t, fmt } = useI18n();
+  const body = useBody();
+  const [sex, setSex] = useParam("sex", "male");
+  const [cutoffs, setCutoffs] = useParam("cutoffs", "who");
+  const out = useMemo(()=> calcIdealWeight({ unit: body.system, sex, height: body.height, cutoffs }), [body.system, sex, body.height, cutoffs]);
+  const mass = (v) => out ? `${fmt(v, 1)} ${body.metric ? "kg" : "lb"}` : "-";
+  return (
+    <Card title={t("Ideal Body Weight")}>
       <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From"><Select value={from} onChange={e=>setFrom(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="To"><Select value={to} onChange={e=>setTo(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="Value"><Input type="number" value={val} onChange={e=>setVal(e.target.value)} /></Field>
+        <SexField value={sex} onChange={e=>setSex(e.target.value)} />
+        <BodyFields body={body} weight={false} />
+        <CutoffsField value={cutoffs} onChange={e=>setCutoffs(e.target.value)} />
       </div>
-      <div className="mt-4"><Stat label="Output" value={fmt(out, 6)} /></div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="Devine" value={mass(out?.devine)} raw={out?.devine} />
+          <Stat label="Robinson" value={mass(out?.robinson)} raw={out?.robinson} />
+          <Stat label="Miller" value={mass(out?.miller)} raw={out?.miller} />
+          <Stat label="Hamwi" value={mass(out?.hamwi)} raw={out?.hamwi} />
+          <Stat label="Healthy BMI Range" value={out ? `${mass(out.healthyMin)} – ${mass(out.healthyMax)}` : "-"} raw={out ? [out.healthyMin, out.healthyMax] : null} />
+        </div>
+        <p className="mt-2 text-xs text-zinc-500">{t("The formulas are made for adults from 5 ft (152 cm); below that they are extrapolated.")}</p>
+      </Results>
     </Card>
   );
 }
 
-function WeightConverter() {
-  const units = [
-    { id: "g", toKg: v=>v/1000, fromKg: v=>v*1000 },
-    { id: "kg", toKg: v=>v, fromKg: v=>v },
-    { id: "lb", toKg: v=>v*0.45359237, fromKg: v=>v/0.45359237 },
-  ];
-  const [from, setFrom] = useState("kg");
-  const [to, setTo] = useState("lb");
-  const [val, setVal] = useState(1);
-  const out = useMemo(()=>{
-    const v = toNum(val);
-    const f = units.find(u=>u.id===from); const t = units.find(u=>u.id===to);
-    if (!f || !t) return NaN;
-    return t.fromKg(f.toKg(v));
-  }, [val, from, to]);
-  return (
-    <Card title="Weight Converter">
+function DailyTargetsCalculator() {
+  const { t, fmt } = useI18n();
+  const body = useBody();
+  const [sex, setSex] = useParam("sex", "male");
+  const [age, setAge] = useParam("age", 30);
+  const [activity, setActivity] = useParam("activity", "sedentary");
+  const out = useMemo(()=> calcDailyTargets({ unit: body.system, weight: body.w, age, sex, activity }), [body.system, body.w, age, sex, activity]);
+  return (
+    <Card title={t("Daily Water & Protein")}>
       <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From"><Select value={from} onChange={e=>setFrom(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="To"><Select value={to} onChange={e=>setTo(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="Value"><Input type="number" value={val} onChange={e=>setVal(e.target.value)} /></Field>
+        <SexField value={sex} onChange={e=>setSex(e.target.value)} />
+        <AgeField value={age} onChange={e=>setAge(e.target.value)} />
+        <BodyFields body={body} height={false} />
+        <ActivityField value={activity} onChange={e=>setActivity(e.target.value)} />
       </div>
-      <div className="mt-4"><Stat label="Output" value={fmt(out, 6)} /></div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="Water" value={out ? `${fmt(out.waterLitres, 1)} L (${fmt(out.waterLitres * 4, 0)} ${t("glasses")})` : "-"} raw={out?.waterLitres} />
+          <Stat label="Protein" value={out ? `${fmt(out.proteinGrams, 0)} g` : "-"} raw={out?.proteinGrams} />
+          <Stat label="Protein per kg" value={out ? `${fmt(out.proteinPerKg, 1)} g` : "-"} raw={out?.proteinPerKg} />
+        </div>
+        <p className="mt-2 text-xs text-zinc-500">{t("For healthy adults; pregnancy, kidney disease or hot weather change these – ask your doctor.")}</p>
+      </Results>
     </Card>
   );
 }
 
-function TimeConverter() {
-  const units = [
-    { id: "sec", toS: v=>v, fromS: v=>v },
-    { id: "min", toS: v=>v*60, fromS: v=>v/60 },
-    { id: "hr", toS: v=>v*3600, fromS: v=>v/3600 },
-    { id: "day", toS: v=>v*86400, fromS: v=>v/86400 },
-  ];
-  const [from, setFrom] = useState("min");
-  const [to, setTo] = useState("sec");
-  const [val, setVal] = useState(5);
-  const out = useMemo(()=>{
-    const v = toNum(val);
-    const f = units.find(u=>u.id===from); const t = units.find(u=>u.id===to);
-    if (!f || !t) return NaN; return t.fromS(f.toS(v));
-  }, [val, from, to]);
-  return (
-    <Card title="Time Converter">
+function AgeCalculator() {
+  const { t, fmtDate } = useI18n();
+  const [dob, setDob] = useParam("dob", "1995-01-01");
+  const [on, setOn] = useParam("on", formatDay(new Date()));
+  const diff = useMemo(()=> calcAge({ dob, now: on }), [dob, on]);
+  const next = useMemo(()=> nextBirthday({ dob, now: on }), [dob, on]);
+  return (
+    <Card title={t("Age Calculator")}>
+      <div className="grid sm:grid-cols-2 gap-3">
+        <Field label={t("Date of Birth")}><Input type="date" value={dob} onChange={e=>setDob(e.target.value)} rule={{ required: true, maxDate: on }} /></Field>
+        <Field label={t("Age on")}><Input type="date" value={on} onChange={e=>setOn(e.target.value)} rule={{ required: true }} /></Field>
+      </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="Years" value={diff ? diff.years : '-'} />
+          <Stat label="Months" value={diff ? diff.months : '-'} />
+          <Stat label="Days" value={diff ? diff.days : '-'} />
+          <Stat label="Next Birthday" value={next ? fmtDate(next.date) : '-'} raw={next?.date ?? null} />
+          <Stat label="Days to Go" value={next ? next.days : '-'} />
+          <Stat label="Turning" value={next ? next.turning : '-'} />
+        </div>
+      </Results>
+    </Card>
+  );
+}
+
+const WEEKENDS = [["0,6", "Saturday + Sunday"], ["0", "Sunday only"], ["5,6", "Friday + Saturday"], ["", "No weekend"]];
+const weekendDays = (v) => String(v).split(",").filter(Boolean).map(Number);
+
+// weekend pattern + importable holiday list, shared by the working-day tools
+function WorkingDayFields({ weekend, setWeekend, holidays, setHolidays }) {
+  const { t, fmtDate } = useI18n();
+  const [importError, setImportError] = useState("");
+  const fileInput = useRef(null);
+  const importHolidays = async (file) => {
+    if (!file) return;
+    try {
+      setHolidays(parseHolidayList(await file.text()));
+      setImportError("");
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+  return (
+    <>
+      <div className="grid sm:grid-cols-3 gap-3 items-end">
+        <Field label={t("Weekend")}>
+          <Select value={weekend} onChange={e=>setWeekend(e.target.value)}>
+            {WEEKENDS.map(([v, name]) => <option key={v} value={v}>{t(name)}</option>)}
+          </Select>
+        </Field>
+        <div className="mb-3 flex flex-wrap gap-3 items-center sm:col-span-2">
+          <Button onClick={()=>fileInput.current?.click()}>{t("Import Holidays (CSV/JSON)")}</Button>
+          {holidays.length > 0 && (
+            <button className="text-sm text-zinc-500 hover:text-red-600" onClick={()=>setHolidays([])}>{t("Clear holidays")}</button>
+          )}
+          <input ref={fileInput} type="file" accept=".json,.csv,.txt,application/json,text/csv,text/plain" className="hidden" onChange={e=>{ importHolidays(e.target.files[0]); e.target.value = ""; }} />
+        </div>
+      </div>
+      {importError && <p className="text-sm text-red-600 mb-3">{t("Import failed")}: {importError}</p>}
+      {holidays.length > 0 && (
+        <p className="text-xs text-zinc-500 mb-3">
+          {holidays.length} {t("holidays")}: {holidays.slice(0, 6).map(h => `${fmtDate(h.date)}${h.name ? ` (${h.name})` : ""}`).join(" · ")}{holidays.length > 6 && " …"}
+        </p>
+      )}
+      <p className="text-xs text-zinc-500">{t("One holiday per line: 2026-01-26,Republic Day (DD-MM-YYYY also works) or a JSON array of { date, name }.")}</p>
+    </>
+  );
+}
+
+function DateDiffCalculator() {
+  const { t, fmt } = useI18n();
+  const [a, setA] = useParam("a", "");
+  const [b, setB] = useParam("b", "");
+  const [withTime, setWithTime] = useParam("time", false);
+  const [weekend, setWeekend] = useParam("weekend", "0,6");
+  const [holidays, setHolidays] = useParam("holidays", []);
+  const out = useMemo(()=> calcDateDiff({ a, b }), [a, b]);
+  const work = useMemo(()=> countWorkingDays({ a: a.slice(0, 10), b: b.slice(0, 10), weekend: weekendDays(weekend), holidays }), [a, b, weekend, holidays]);
+  const toggleTime = (on) => {
+    const conv = (v) => !v ? v : on ? `${v.slice(0, 10)}T00:00` : v.slice(0, 10);
+    setA(conv); setB(conv); setWithTime(on);
+  };
+  const parts = out?.breakdown;
+  return (
+    <Card title={t("Date Difference")}>
       <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From"><Select value={from} onChange={e=>setFrom(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="To"><Select value={to} onChange={e=>setTo(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="Value"><Input type="number" value={val} onChange={e=>setVal(e.target.value)} /></Field>
+        <Field label={t("Date A")}><Input type={withTime ? "datetime-local" : "date"} value={a} onChange={e=>setA(e.target.value)} /></Field>
+        <Field label={t("Date B")}><Input type={withTime ? "datetime-local" : "date"} value={b} onChange={e=>setB(e.target.value)} /></Field>
+        <Field label={t("Include Time")}>
+          <Select value={String(withTime)} onChange={e=>toggleTime(e.target.value === "true")}>
+            <option value="false">{t("No")}</option>
+            <option value="true">{t("Yes")}</option>
+          </Select>
+        </Field>
       </div>
-      <div className="mt-4"><Stat label="Output" value={fmt(out, 6)} /></div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="Days" value={out ? out.days : '-'} />
+          <Stat label="Weeks" value={out ? fmt(out.weeks, 2) : '-'} raw={out?.weeks} />
+          <Stat label="Hours" value={out ? fmt(out.hours, 2) : '-'} raw={out?.hours} />
+          <Stat
+            label="Breakdown"
+            value={parts ? `${parts.years} ${t("y")} ${parts.months} ${t("m")} ${parts.days} ${t("d")}${withTime ? ` ${parts.hours} ${t("h")} ${parts.minutes} ${t("min")}` : ""}` : '-'}
+            raw={parts ?? null}
+          />
+        </div>
+      </Results>
+
+      <h3 className="mt-6 mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Working Days (both dates included)")}</h3>
+      <WorkingDayFields weekend={weekend} setWeekend={setWeekend} holidays={holidays} setHolidays={setHolidays} />
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="Working Days" value={work ? work.workingDays : '-'} />
+          <Stat label="Weekend Days" value={work ? work.weekendDays : '-'} />
+          <Stat label="Holidays" value={work ? work.holidayDays : '-'} />
+        </div>
+      </Results>
     </Card>
   );
 }
 
-function SpeedConverter() {
-  const units = [
-    { id: "m/s", toMS: v=>v, fromMS: v=>v },
-    { id: "km/h", toMS: v=>v/3.6, fromMS: v=>v*3.6 },
-    { id: "mph", toMS: v=>v*0.44704, fromMS: v=>v/0.44704 },
-  ];
-  const [from, setFrom] = useState("km/h");
-  const [to, setTo] = useState("m/s");
-  const [val, setVal] = useState(60);
-  const out = useMemo(()=>{
-    const v = toNum(val);
-    const f = units.find(u=>u.id===from); const t = units.find(u=>u.id===to);
-    if (!f || !t) return NaN; return t.fromMS(f.toMS(v));
-  }, [val, from, to]);
-  return (
-    <Card title="Speed Converter">
+function DateAddCalculator() {
+  const { t, fmtDate } = useI18n();
+  const [mode, setMode] = useParam("mode", "Calendar");
+  const [date, setDate] = useParam("date", `${formatDay(new Date())}T09:00`);
+  const [op, setOp] = useParam("op", "add");
+  const [years, setYears] = useParam("years", 0);
+  const [months, setMonths] = useParam("months", 0);
+  const [weeks, setWeeks] = useParam("weeks", 0);
+  const [days, setDays] = useParam("days", 30);
+  const [hours, setHours] = useParam("hours", 0);
+  const [minutes, setMinutes] = useParam("minutes", 0);
+  const [workdays, setWorkdays] = useParam("workdays", 10);
+  const [weekend, setWeekend] = useParam("weekend", "0,6");
+  const [holidays, setHolidays] = useParam("holidays", []);
+  const out = useMemo(()=> addDuration({ date, years, months, weeks, days, hours, minutes, op }), [date, years, months, weeks, days, hours, minutes, op]);
+  const workOut = useMemo(()=> addWorkingDays({
+    date: date.slice(0, 10), days: op === "subtract" ? -toNum(workdays) : workdays, weekend: weekendDays(weekend), holidays,
+  }), [date, op, workdays, weekend, holidays]);
+  const amount = (label, value, set, rule) => <Field label={t(label)}><Input type="number" value={value} onChange={e=>set(e.target.value)} rule={{ required: true, ...rule }} /></Field>;
+  return (
+    <Card title={t("Add / Subtract Date & Time")}>
       <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From"><Select value={from} onChange={e=>setFrom(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="To"><Select value={to} onChange={e=>setTo(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="Value"><Input type="number" value={val} onChange={e=>setVal(e.target.value)} /></Field>
+        <Field label={t("Mode")}>
+          <Select value={mode} onChange={e=>setMode(e.target.value)}>
+            <option value="Calendar">{t("Calendar")}</option>
+            <option value="Working Days">{t("Working Days")}</option>
+          </Select>
+        </Field>
+        <Field label={t("Start")}><Input type="datetime-local" value={date} onChange={e=>setDate(e.target.value)} rule={{ required: true }} /></Field>
+        <Field label={t("Operation")}>
+          <Select value={op} onChange={e=>setOp(e.target.value)}>
+            <option value="add">{t("Add")}</option>
+            <option value="subtract">{t("Subtract")}</option>
+          </Select>
+        </Field>
       </div>
-      <div className="mt-4"><Stat label="Output" value={fmt(out, 6)} /></div>
+      {mode === "Working Days" ? (
+        <>
+          <div className="grid sm:grid-cols-3 gap-3">{amount("Working Days", workdays, setWorkdays, { integer: true, min: 0 })}</div>
+          <WorkingDayFields weekend={weekend} setWeekend={setWeekend} holidays={holidays} setHolidays={setHolidays} />
+          <Results>
+            <div className="mt-4 flex flex-wrap gap-6">
+              <Stat label="Result" value={workOut ? fmtDate(workOut) : '-'} raw={workOut ?? null} />
+            </div>
+          </Results>
+        </>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 sm:grid-cols-6 gap-3">
+            {amount("Years", years, setYears, { integer: true })}
+            {amount("Months", months, setMonths, { integer: true })}
+            {amount("Weeks", weeks, setWeeks)}
+            {amount("Days", days, setDays)}
+            {amount("Hours", hours, setHours)}
+            {amount("Minutes", minutes, setMinutes)}
+          </div>
+          <Results>
+            <div className="mt-4 flex flex-wrap gap-6">
+              <Stat label="Result" value={out ? `${fmtDate(out.date)} ${out.dateTime.slice(11)}` : '-'} raw={out?.dateTime ?? null} />
+            </div>
+          </Results>
+        </>
+      )}
     </Card>
   );
 }
 
-function AreaConverter() {
-  const units = [
-    { id: "sq m", toM2: v=>v, fromM2: v=>v },
-    { id: "sq ft", toM2: v=>v*0.09290304, fromM2: v=>v/0.09290304 },
-  ];
-  const [from, setFrom] = useState("sq m");
-  const [to, setTo] = useState("sq ft");
-  const [val, setVal] = useState(1);
-  const out = useMemo(()=>{
-    const v = toNum(val);
-    const f = units.find(u=>u.id===from); const t = units.find(u=>u.id===to);
-    if (!f || !t) return NaN; return t.fromM2(f.toM2(v));
-  }, [val, from, to]);
-  return (
-    <Card title="Area Converter">
+const localZone = () => { try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC"; } catch { return "UTC"; } };
+const allZones = () => { try { return Intl.supportedValuesOf("timeZone"); } catch { return []; } };
+const zoneName = (zone) => TIME_ZONE_CITIES.find(c => c.zone === zone)?.city ?? zone.replace(/_/g, " ");
+
+function TimeZoneConverter() {
+  const { t, fmtDate } = useI18n();
+  const [dateTime, setDateTime] = useParam("dt", `${formatDay(new Date())}T10:00`);
+  const [from, setFrom] = useParam("from", localZone());
+  const [zones, setZones] = useParam("zones", ["Asia/Kolkata", "Europe/London", "America/New_York", "America/Los_Angeles", "Asia/Tokyo"]);
+  const [adding, setAdding] = useState("Asia/Dubai");
+  const out = useMemo(()=> convertTimeZone({ dateTime, from, zones }), [dateTime, from, zones]);
+  const zoneOptions = useMemo(()=> (
+    <>
+      <optgroup label={t("Cities")}>{TIME_ZONE_CITIES.map(c => <option key={c.city} value={c.zone}>{c.city} ({c.zone})</option>)}</optgroup>
+      <optgroup label={t("All time zones")}>{allZones().map(z => <option key={z} value={z}>{z}</option>)}</optgroup>
+    </>
+  ), [t]);
+  const rows = (out?.rows ?? []).map(r => {
+    const hour = Number(r.dateTime.slice(11, 13)), day = parseDate(r.dateTime.slice(0, 10)).getDay();
+    return {
+      zone: zoneName(r.zone),
+      time: `${fmtDate(r.dateTime.slice(0, 10))} ${r.dateTime.slice(11)}`,
+      offset: `UTC${r.offset}`,
+      shift: r.dayShift === 0 ? "" : `${r.dayShift > 0 ? "+" : ""}${r.dayShift} ${t("d")}`,
+      office: day !== 0 && day !== 6 && hour >= 9 && hour < 18 ? "✓" : "",
+      remove: <button className="text-xs text-zinc-500 hover:text-red-600" onClick={()=>setZones(list => list.filter(z => z !== r.zone))}>{t("Remove")}</button>,
+    };
+  });
+  return (
+    <Card title={t("Time Zone / Meeting Planner")}>
+      <div className="grid sm:grid-cols-3 gap-3 items-end">
+        <Field label={t("Date & Time")}><Input type="datetime-local" value={dateTime} onChange={e=>setDateTime(e.target.value)} rule={{ required: true }} /></Field>
+        <Field label={t("In Time Zone")}><Select value={from} onChange={e=>setFrom(e.target.value)}>{zoneOptions}</Select></Field>
+        <Field label={t("Add Time Zone")}>
+          <div className="flex gap-2">
+            <Select value={adding} onChange={e=>setAdding(e.target.value)}>{zoneOptions}</Select>
+            <Button onClick={()=>setZones(list => list.includes(adding) ? list : [...list, adding])}>+</Button>
+          </div>
+        </Field>
+      </div>
+      <Results>
+        {out ? (
+          <>
+            <div className="mt-2 mb-4 flex flex-wrap gap-6">
+              <Stat label="UTC" value={out.utc.slice(0, 16).replace("T", " ")} raw={out.utc} />
+            </div>
+            <Table
+              caption={t("Time Zones")}
+              columns={[
+                { key: "zone", label: "City / Zone" }, { key: "time", label: "Local Time" }, { key: "offset", label: "Offset" },
+                { key: "shift", label: "Day" }, { key: "office", label: "9–18 Mon–Fri" }, { key: "remove", label: "" },
+              ]}
+              rows={rows}
+            />
+          </>
+        ) : (
+          <p className="mt-4 text-sm text-red-600">{t("Enter a date and time.")}</p>
+        )}
+      </Results>
+    </Card>
+  );
+}
+
+// one converter for every quantity in UNIT_QUANTITIES (world_calc_core.js) – new units there show up here
+function UnitConverter({ quantity }) {
+  const { t, fmtUnit } = useI18n();
+  const q = UNIT_QUANTITIES[quantity];
+  const [from, setFrom] = useParam("from", q.defaults.from);
+  const [to, setTo] = useParam("to", q.defaults.to);
+  const [val, setVal] = useParam("val", q.defaults.value);
+  const [showAll, setShowAll] = useState(false);
+  const out = useMemo(()=> convertUnit(quantity, val, from, to), [quantity, val, from, to]);
+  const all = useMemo(()=> showAll ? q.units.map(u => ({ unit: `${u.name} (${u.id})`, value: fmtUnit(convertUnit(quantity, val, from, u.id)) })) : [], [showAll, q, quantity, val, from, fmtUnit]);
+  const options = q.units.map(u => <option key={u.id} value={u.id}>{u.name} ({u.id})</option>);
+  useCommand("swap", () => { setFrom(to); setTo(from); });
+  return (
+    <Card title={`${t(q.title)} ${t("Converter")}`}>
       <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From"><Select value={from} onChange={e=>setFrom(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="To"><Select value={to} onChange={e=>setTo(e.target.value)}>{units.map(u=> <option key={u.id}>{u.id}</option>)}</Select></Field>
-        <Field label="Value"><Input type="number" value={val} onChange={e=>setVal(e.target.value)} /></Field>
+        <Field label={t("From")}><Select value={from} onChange={e=>setFrom(e.target.value)}>{options}</Select></Field>
+        <Field label={t("To")}><Select value={to} onChange={e=>setTo(e.target.value)}>{options}</Select></Field>
+        <Field label={t("Value")}><Input type="number" value={val} onChange={e=>setVal(e.target.value)} rule={{ required: true }} /></Field>
       </div>
-      <div className="mt-4"><Stat label="Output" value={fmt(out, 6)} /></div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6 items-center">
+          <Stat label="Output" value={`${fmtUnit(out)} ${to}`} raw={out} />
+          <button className="text-sm text-indigo-600 hover:underline" title="Alt+S" aria-keyshortcuts="Alt+S" onClick={()=>{ setFrom(to); setTo(from); }}>{t("⇄ Swap")}</button>
+          <button className="text-sm text-indigo-600 hover:underline" onClick={()=>setShowAll(v => !v)}>{t(showAll ? "Hide all units" : "Show all units")}</button>
+        </div>
+        {showAll && (
+          <div className="mt-4">
+            <Table caption={t("All Units")} columns={[{ key: "unit", label: "Unit" }, { key: "value", label: `${fmtUnit(toNum(val))} ${from} =` }]} rows={all} />
+          </div>
+        )}
+      </Results>
     </Card>
   );
 }
 
 function EMI() {
-  const [p, setP] = useState(500000);
-  const [r, setR] = useState(10);
-  const [tenureType, setTenureType] = useState("Years");
-  const [t, setT] = useState(5);
-  const out = useMemo(()=>{
-    const principal = toNum(p);
-    const monthlyR = toNum(r)/12/100;
-    const months = tenureType === 'Years' ? Math.round(toNum(t)*12) : Math.round(toNum(t));
-    if (monthlyR === 0) {
-      const emi = principal / months; return { emi, total: principal, interest: 0, months };
-    }
-    const pow = Math.pow(1+monthlyR, months);
-    const emi = principal * monthlyR * (pow / (pow - 1));
-    const total = emi * months; const interest = total - principal;
-    return { emi, total, interest, months };
-  }, [p, r, t, tenureType]);
+  const { t, fmt } = useI18n();
+  const { sym, money } = useMoney();
+  const [p, setP] = useParam("p", 500000);
+  const [r, setR] = useParam("r", 10);
+  const [tenureType, setTenureType] = useParam("tenureType", "Years");
+  const [tenure, setTenure] = useParam("t", 5);
+  const [prepayments, setPrepayments] = useParam("prepayments", []);
+  const [strategy, setStrategy] = useParam("strategy", "tenure");
+  const [view, setView] = useState("Yearly");
+  const out = useMemo(()=> calcEMI({ principal: p, ratePct: r, tenure, tenureType }), [p, r, tenure, tenureType]);
+  const sched = useMemo(()=> calcAmortization({ principal: p, ratePct: r, tenure, tenureType, prepayments, strategy }), [p, r, tenure, tenureType, prepayments, strategy]);
+  const updatePrepayment = (i, key, value) => setPrepayments(list => list.map((pp, j) => j === i ? { ...pp, [key]: value } : pp));
+  const yearCols = [
+    { key: "year", label: "Year" },
+    { key: "interest", label: "Interest" },
+    { key: "principal", label: "Principal" },
+    { key: "prepayment", label: "Prepayment" },
+    { key: "closing", label: "Closing Balance" },
+  ];
   return (
-    <Card title="Loan EMI Calculator">
+    <Card title={t("Loan EMI Calculator")}>
       <div className="grid sm:grid-cols-4 gap-3">
-        <Field label="Principal (₹)"><Input type="number" value={p} onChange={e=>setP(e.target.value)} /></Field>
-        <Field label="Interest (% p.a.)"><Input type="number" value={r} onChange={e=>setR(e.target.value)} /></Field>
-        <Field label="Tenure Type">
+        <Field label={`${t("Principal")} (${sym})`}><Input type="number" value={p} onChange={e=>setP(e.target.value)} rule={{ required: true, min: 0, exclusiveMin: true }} /></Field>
+        <Field label={t("Interest (% p.a.)")}><Input type="number" value={r} onChange={e=>setR(e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+        <Field label={t("Tenure Type")}>
           <Select value={tenureType} onChange={e=>setTenureType(e.target.value)}>
-            <option>Years</option>
-            <option>Months</option>
+            <option value="Years">{t("Years")}</option>
+            <option value="Months">{t("Months")}</option>
           </Select>
         </Field>
-        <Field label={tenureType === 'Years' ? 'Tenure (Years)' : 'Tenure (Months)'}>
-          <Input type="number" value={t} onChange={e=>setT(e.target.value)} />
+        <Field label={t(tenureType === 'Years' ? 'Tenure (Years)' : 'Tenure (Months)')}>
+          <Input type="number" value={tenure} onChange={e=>setTenure(e.target.value)} rule={{ required: true, min: 0, exclusiveMin: true, integer: tenureType === "Months" }} />
         </Field>
       </div>
-      <div className="mt-4 grid sm:grid-cols-4 gap-4">
-        <Stat label="EMI / Month" value={`₹ ${fmt(out.emi, 2)}`} />
-        <Stat label="Total Interest" value={`₹ ${fmt(out.interest, 2)}`} />
-        <Stat label="Total Payment" value={`₹ ${fmt(out.total, 2)}`} />
-        <Stat label="Months" value={out.months} />
+      <Results>
+        <div className="mt-4 grid sm:grid-cols-4 gap-4">
+          <Stat label="EMI / Month" value={money(out.emi)} raw={out.emi} />
+          <Stat label="Total Interest" value={money(out.interest)} raw={out.interest} />
+          <Stat label="Total Payment" value={money(out.total)} raw={out.total} />
+          <Stat label="Months" value={out.months} />
+        </div>
+        <div className="grid md:grid-cols-3 gap-4 items-start">
+          <div className="md:col-span-2">
+            <StackedBarChart
+              title={t("Principal vs Interest by Year")}
+              summary={`${sched.years.length} ${t("years")}; ${t("Total Interest")} ${money(sched.totalInterest)}`}
+              xLabel={t("Year")}
+              labels={sched.years.map(r => r.year)}
+              series={[
+                { label: t("Principal"), values: sched.years.map(r => r.principal) },
+                { label: t("Interest"), values: sched.years.map(r => r.interest) },
+                ...(sched.totalPrepaid > 0 ? [{ label: t("Prepayment"), values: sched.years.map(r => r.prepayment) }] : []),
+              ]}
+              format={money}
+            />
+          </div>
+          <DonutChart
+            title={t("Total Payment")}
+            summary={`${t("Principal")} ${money(toNum(p))}, ${t("Interest")} ${money(sched.totalInterest)}`}
+            slices={[{ label: t("Principal"), value: toNum(p) }, { label: t("Interest"), value: sched.totalInterest }]}
+            format={money}
+          />
+        </div>
+      </Results>
+      <GoalSeek
+        outputs={[{ key: "emi", label: "EMI / Month", format: money }, { key: "interest", label: "Total Interest", format: money }, { key: "total", label: "Total Payment", format: money }]}
+        inputs={[
+          { key: "principal", label: "Principal", value: p, set: setP, lo: 1, hi: 1e11, format: money },
+          { key: "ratePct", label: "Interest (% p.a.)", value: r, set: setR, lo: 0, hi: 100, digits: 4 },
+          tenureType === "Years"
+            ? { key: "tenure", label: "Tenure (Years)", value: tenure, set: setTenure, lo: 1 / 12, hi: 100, step: 1 / 12, digits: 4 }
+            : { key: "tenure", label: "Tenure (Months)", value: tenure, set: setTenure, lo: 1, hi: 1200, step: 1, digits: 0 },
+        ]}
+        compute={(v) => calcEMI({ ...v, tenureType })}
+      />
+
+      <div className="mt-6">
+        <h4 className="font-medium mb-3">{t("Part-Prepayments")}</h4>
+        {prepayments.map((pp, i) => (
+          <div key={i} className="grid sm:grid-cols-4 gap-3 items-end">
+            <Field label={`${t("Amount")} (${sym})`}><Input type="number" value={pp.amount} onChange={e=>updatePrepayment(i, "amount", e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+            <Field label={t("From Month")}><Input type="number" value={pp.month} onChange={e=>updatePrepayment(i, "month", e.target.value)} rule={{ required: true, integer: true, min: 1 }} /></Field>
+            <Field label={t("Repeat Every (months, 0 = once)")}><Input type="number" value={pp.every} onChange={e=>updatePrepayment(i, "every", e.target.value)} rule={{ integer: true, min: 0 }} /></Field>
+            <div className="mb-3">
+              <button className="text-sm text-zinc-500 hover:text-red-600" onClick={()=>setPrepayments(list => list.filter((_, j) => j !== i))}>{t("Remove")}</button>
+            </div>
+          </div>
+        ))}
+        <div className="flex flex-wrap gap-3 items-end">
+          <Button onClick={()=>setPrepayments(list => [...list, { amount: 50000, month: 12, every: 0 }])}>{t("+ Add Prepayment")}</Button>
+          {prepayments.length > 0 && (
+            <Field label={t("After Prepayment")}>
+              <Select value={strategy} onChange={e=>setStrategy(e.target.value)}>
+                <option value="tenure">{t("Reduce Tenure")}</option>
+                <option value="emi">{t("Reduce EMI")}</option>
+              </Select>
+            </Field>
+          )}
+        </div>
+        <Results>
+          {prepayments.length > 0 && (
+            <div className="mt-4 grid sm:grid-cols-4 gap-4">
+              <Stat label="Interest Saved" value={money(sched.interestSaved)} raw={sched.interestSaved} />
+              <Stat label="Interest After Prepayment" value={money(sched.totalInterest)} raw={sched.totalInterest} />
+              <Stat label="Total Prepaid" value={money(sched.totalPrepaid)} raw={sched.totalPrepaid} />
+              <Stat label="Months After Prepayment" value={strategy === "tenure" ? `${sched.months} (−${sched.monthsSaved})` : sched.months} raw={sched.months} />
+            </div>
+          )}
+        </Results>
+      </div>
+
+      <div className="mt-6">
+        <div className="flex flex-wrap gap-3 items-end justify-between">
+          <h4 className="font-medium mb-3">{t("Amortization Schedule")}</h4>
+          <div className="flex gap-3 items-end">
+            <Field label={t("View")}>
+              <Select value={view} onChange={e=>setView(e.target.value)}>
+                <option value="Yearly">{t("Yearly")}</option>
+                <option value="Monthly">{t("Monthly")}</option>
+              </Select>
+            </Field>
+            <div className="mb-3">
+              <Button onClick={()=>downloadText("emi-schedule.csv", toCSV(AMORTIZATION_COLUMNS, sched.rows), "text/csv")}>{t("Export CSV")}</Button>
+            </div>
+          </div>
+        </div>
+        <Results>
+          <Table
+            caption={t("Amortization Schedule")}
+            columns={view === "Yearly" ? yearCols : AMORTIZATION_COLUMNS}
+            rows={view === "Yearly" ? sched.years : sched.rows}
+            format={(v, key) => key === "month" || key === "year" ? v : fmt(v, 2)}
+          />
+        </Results>
       </div>
     </Card>
   );
 }
 
 function SIP() {
-  const [m, setM] = useState(5000);
-  const [r, setR] = useState(12);
-  const [y, setY] = useState(10);
-  const out = useMemo(()=>{
-    const i = toNum(r)/12/100; const n = Math.round(toNum(y)*12); const a = toNum(m);
-    // future value of SIP: A * [((1+i)^n - 1)/i] * (1+i)
-    const pow = Math.pow(1+i, n);
-    const fv = a * ((pow - 1) / i) * (1 + i);
-    const invested = a * n; const gains = fv - invested;
-    return { fv, invested, gains };
-  }, [m, r, y]);
-  return (
-    <Card title="SIP Calculator (Monthly)">
-      <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="Monthly Invest (₹)"><Input type="number" value={m} onChange={e=>setM(e.target.value)} /></Field>
-        <Field label="Return (% p.a.)"><Input type="number" value={r} onChange={e=>setR(e.target.value)} /></Field>
-        <Field label="Years"><Input type="number" value={y} onChange={e=>setY(e.target.value)} /></Field>
-      </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="Future Value" value={`₹ ${fmt(out.fv, 2)}`} />
-        <Stat label="Invested" value={`₹ ${fmt(out.invested, 2)}`} />
-        <Stat label="Gains" value={`₹ ${fmt(out.gains, 2)}`} />
+  const { t, fmt } = useI18n();
+  const { sym, money } = useMoney();
+  const [mode, setMode] = useParam("mode", "SIP");
+  const [m, setM] = useParam("m", 5000);
+  const [r, setR] = useParam("r", 12);
+  const [y, setY] = useParam("y", 10);
+  const [step, setStep] = useParam("step", 0);
+  const [lump, setLump] = useParam("lump", 0);
+  const [inf, setInf] = useParam("inf", 0);
+  const [target, setTarget] = useParam("target", 5000000);
+  const [corpus, setCorpus] = useParam("corpus", 5000000);
+  const [wd, setWd] = useParam("wd", 30000);
+  const plan = useMemo(()=> calcSIPPlan({ monthly: m, ratePct: r, years: y, stepUpPct: step, lumpsum: lump, inflationPct: inf }), [m, r, y, step, lump, inf]);
+  const goal = useMemo(()=> calcSIPGoal({ target, years: y, ratePct: r, stepUpPct: step, lumpsum: lump, inflationPct: inf }), [target, y, r, step, lump, inf]);
+  const swp = useMemo(()=> calcSWP({ corpus, withdrawal: wd, ratePct: r, stepUpPct: step }), [corpus, wd, r, step]);
+  const num = (label, value, set, rule) => <Field label={label}><Input type="number" value={value} onChange={e=>set(e.target.value)} rule={{ required: true, ...rule }} /></Field>;
+  const years = (months) => `${Math.floor(months / 12)} ${t("y")} ${months % 12} ${t("m")}`;
+  const rows = mode === "SWP" ? swp.rows : mode === "Goal Planner" ? goal?.plan.rows ?? [] : plan.rows;
+  const columns = mode === "SWP" ? SWP_COLUMNS : toNum(inf) ? SIP_COLUMNS : SIP_COLUMNS.filter(c => c.key !== "real");
+  return (
+    <Card title={t("SIP / SWP Planner")}>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("Mode")}>
+          <Select value={mode} onChange={e=>setMode(e.target.value)}>
+            <option value="SIP">{t("SIP (step-up, lumpsum)")}</option>
+            <option value="Goal Planner">{t("Goal Planner")}</option>
+            <option value="SWP">{t("SWP (withdrawals)")}</option>
+          </Select>
+        </Field>
+        {mode === "SIP" && num(`${t("Monthly Invest")} (${sym})`, m, setM, { min: 0 })}
+        {mode === "Goal Planner" && num(`${t("Target (today's value)")} (${sym})`, target, setTarget, { min: 0 })}
+        {mode === "SWP" && num(`${t("Corpus")} (${sym})`, corpus, setCorpus, { min: 0 })}
+        {mode === "SWP" && num(`${t("Monthly Withdrawal")} (${sym})`, wd, setWd, { min: 0, exclusiveMin: true })}
+        {num(t("Return (% p.a.)"), r, setR)}
+        {mode !== "SWP" && num(t("Years"), y, setY, { min: 0, exclusiveMin: true, max: 100 })}
+        {num(t(mode === "SWP" ? "Yearly Increase (%)" : "Annual Step-up (%)"), step, setStep, { min: 0 })}
+        {mode !== "SWP" && num(`${t("Lumpsum at Start")} (${sym})`, lump, setLump, { min: 0 })}
+        {mode !== "SWP" && num(t("Inflation (% p.a.)"), inf, setInf, { min: 0, max: 100 })}
       </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          {mode === "SIP" && (
+            <>
+              <Stat label="Future Value" value={money(plan.fv)} raw={plan.fv} />
+              <Stat label="Invested" value={money(plan.invested)} raw={plan.invested} />
+              <Stat label="Gains" value={money(plan.gains)} raw={plan.gains} />
+              {toNum(inf) !== 0 && <Stat label="In Today's Money" value={money(plan.realFV)} raw={plan.realFV} />}
+            </>
+          )}
+          {mode === "Goal Planner" && (
+            goal ? (
+              <>
+                <Stat label="Monthly SIP Needed" value={money(goal.monthly)} raw={goal.monthly} />
+                <Stat label="Target in Future Money" value={money(goal.futureTarget)} raw={goal.futureTarget} />
+                <Stat label="Invested" value={money(goal.plan.invested)} raw={goal.plan.invested} />
+                <Stat label="Gains" value={money(goal.plan.gains)} raw={goal.plan.gains} />
+              </>
+            ) : <p className="text-sm text-zinc-500">{t("Enter a horizon of at least one month.")}</p>
+          )}
+          {mode === "SWP" && (
+            <>
+              <Stat label="Corpus Lasts" value={swp.lastsForever ? t("100+ years") : years(swp.months)} raw={swp.lastsForever ? null : swp.months} />
+              <Stat label="Total Withdrawn" value={money(swp.totalWithdrawn)} raw={swp.totalWithdrawn} />
+              {swp.lastsForever && <Stat label="Left after 100 years" value={money(swp.closing)} raw={swp.closing} />}
+            </>
+          )}
+        </div>
+        {rows.length > 0 && (
+          <LineChart
+            title={t(mode === "SWP" ? "Corpus Over Time" : "Growth Over Time")}
+            summary={mode === "SWP"
+              ? `${money(toNum(corpus))} → ${money(swp.closing)}`
+              : `${money(rows[rows.length - 1].invested)} ${t("Invested")} → ${money(rows[rows.length - 1].value)}`}
+            xLabel={t("Year")}
+            labels={rows.map(row => row.year)}
+            series={mode === "SWP"
+              ? [{ label: t("Closing Balance"), values: rows.map(row => row.closing) }]
+              : [
+                { label: t("Invested"), values: rows.map(row => row.invested) },
+                { label: t("Value"), values: rows.map(row => row.value) },
+                ...(toNum(inf) ? [{ label: t("Real Value"), values: rows.map(row => row.real) }] : []),
+              ]}
+            format={money}
+          />
+        )}
+        {rows.length > 0 && (
+          <div className="mt-6">
+            <div className="flex flex-wrap gap-3 items-end justify-between mb-2">
+              <h3 className="text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Year-by-Year")}</h3>
+              <Button onClick={()=>downloadText(`${mode === "SWP" ? "swp" : "sip"}-schedule.csv`, toCSV(columns, rows), "text/csv")}>{t("Export CSV")}</Button>
+            </div>
+            <Table caption={t("Year-by-Year")} columns={columns} rows={rows} format={(v, key) => key === "year" ? v : fmt(v, 0)} />
+          </div>
+        )}
+      </Results>
+      {mode === "SIP" && (
+        <GoalSeek
+          outputs={[
+            { key: "fv", label: "Future Value", format: money }, { key: "gains", label: "Gains", format: money },
+            ...(toNum(inf) ? [{ key: "realFV", label: "In Today's Money", format: money }] : []),
+          ]}
+          inputs={[
+            { key: "monthly", label: "Monthly Invest", value: m, set: setM, lo: 0, hi: 1e10, digits: 0, format: money },
+            { key: "ratePct", label: "Return (% p.a.)", value: r, set: setR, lo: 0, hi: 100, digits: 4 },
+            { key: "years", label: "Years", value: y, set: setY, lo: 1 / 12, hi: 100, step: 1 / 12, digits: 4 },
+            { key: "lumpsum", label: "Lumpsum at Start", value: lump, set: setLump, lo: 0, hi: 1e12, digits: 0, format: money },
+            { key: "stepUpPct", label: "Annual Step-up (%)", value: step, set: setStep, lo: 0, hi: 100, digits: 4 },
+          ]}
+          compute={(v) => calcSIPPlan({ ...v, inflationPct: inf })}
+        />
+      )}
     </Card>
   );
 }
 
 function CompoundInterest() {
-  const [p, setP] = useState(10000);
-  const [r, setR] = useState(7.5);
-  const [n, setN] = useState(4); // times per year
-  const [t, setT] = useState(5); // years
-  const out = useMemo(()=>{
-    const P = toNum(p), R = toNum(r)/100, N = Math.max(1, Math.round(toNum(n))), T = toNum(t);
-    const A = P * Math.pow(1 + R/N, N*T);
-    const interest = A - P;
-    return { A, interest };
-  }, [p, r, n, t]);
-  return (
-    <Card title="Compound Interest">
+  const { t, fmt } = useI18n();
+  const { money } = useMoney();
+  const [p, setP] = useParam("p", 10000);
+  const [r, setR] = useParam("r", 7.5);
+  const [n, setN] = useParam("n", 4); // times per year
+  const [years, setYears] = useParam("t", 5);
+  const out = useMemo(()=> calcCompoundInterest({ principal: p, ratePct: r, timesPerYear: n, years }), [p, r, n, years]);
+  // one point per year (at most 100), ending exactly at the chosen time
+  const curve = useMemo(()=> {
+    const T = Math.max(0, toNum(years)), step = Math.max(1, Math.ceil(T / 100));
+    const points = [];
+    for (let k = 0; k < T; k += step) points.push(k);
+    points.push(T);
+    return points.map(k => ({ year: fmt(k, 2), amount: calcCompoundInterest({ principal: p, ratePct: r, timesPerYear: n, years: k }).amount }));
+  }, [p, r, n, years, fmt]);
+  return (
+    <Card title={t("Compound Interest")}>
       <div className="grid sm:grid-cols-4 gap-3">
-        <Field label="Principal"><Input type="number" value={p} onChange={e=>setP(e.target.value)} /></Field>
-        <Field label="Rate (% p.a.)"><Input type="number" value={r} onChange={e=>setR(e.target.value)} /></Field>
-        <Field label="Compounds / Year"><Input type="number" value={n} onChange={e=>setN(e.target.value)} /></Field>
-        <Field label="Time (Years)"><Input type="number" value={t} onChange={e=>setT(e.target.value)} /></Field>
+        <Field label={t("Principal")}><Input type="number" value={p} onChange={e=>setP(e.target.value)} rule={{ required: true, min: 0 }} /></Field>
+        <Field label={t("Rate (% p.a.)")}><Input type="number" value={r} onChange={e=>setR(e.target.value)} rule={{ required: true }} /></Field>
+        <Field label={t("Compounds / Year")}><Input type="number" value={n} onChange={e=>setN(e.target.value)} rule={{ required: true, integer: true, min: 1 }} /></Field>
+        <Field label={t("Time (Years)")}><Input type="number" value={years} onChange={e=>setYears(e.target.value)} rule={{ required: true, min: 0, max: 1000 }} /></Field>
+      </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          <Stat label="Amount" value={money(out.amount)} raw={out.amount} />
+          <Stat label="Interest" value={money(out.interest)} raw={out.interest} />
+        </div>
+        <LineChart
+          title={t("Growth Over Time")}
+          summary={`${money(toNum(p))} → ${money(out.amount)}`}
+          xLabel={t("Year")}
+          labels={curve.map(c => c.year)}
+          series={[
+            { label: t("Principal"), values: curve.map(() => toNum(p)) },
+            { label: t("Amount"), values: curve.map(c => c.amount) },
+          ]}
+          format={money}
+        />
+      </Results>
+      <GoalSeek
+        outputs={[{ key: "amount", label: "Amount", format: money }, { key: "interest", label: "Interest", format: money }]}
+        inputs={[
+          { key: "principal", label: "Principal", value: p, set: setP, lo: 0, hi: 1e12, format: money },
+          { key: "ratePct", label: "Rate (% p.a.)", value: r, set: setR, lo: 0, hi: 200, digits: 4 },
+          { key: "years", label: "Time (Years)", value: years, set: setYears, lo: 0, hi: 1000, digits: 4 },
+        ]}
+        compute={(v) => calcCompoundInterest({ ...v, timesPerYear: n })}
+      />
+    </Card>
+  );
+}
+
+function CurrencyConverter() {
+  const { t, fmt } = useI18n();
+  const { rates, setRates } = useContext(SettingsContext);
+  const [amount, setAmount] = useParam("amount", 100);
+  const [from, setFrom] = useParam("from", "USD");
+  const [to, setTo] = useParam("to", "INR");
+  const [base, setBase] = useParam("base", rates.base);
+  const [importError, setImportError] = useState("");
+  const fileInput = useRef(null);
+  const codes = useMemo(()=> Object.keys(rates.rates).sort(), [rates]);
+  const out = useMemo(()=> convertCurrency(rates, amount, from, to), [rates, amount, from, to]);
+  const rate = crossRate(rates, from, to);
+  const table = useMemo(()=> {
+    const rebased = rebaseRates(rates, codes.includes(base) ? base : rates.base);
+    return codes.map(code => ({ code, name: CURRENCY_NAMES[code] || "", rate: rebased.rates[code] }));
+  }, [rates, codes, base]);
+  const importRates = async (file) => {
+    if (!file) return;
+    try {
+      setRates(parseRateTable(await file.text(), file.name));
+      setImportError("");
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+  const options = codes.map(c => <option key={c} value={c}>{c}{CURRENCY_NAMES[c] ? ` – ${CURRENCY_NAMES[c]}` : ""}</option>);
+  useCommand("swap", () => { setFrom(to); setTo(from); });
+  return (
+    <Card title={t("Currency Converter (offline)")}>
+      <div className="grid sm:grid-cols-3 gap-3">
+        <Field label={t("Amount")}><Input type="number" value={amount} onChange={e=>setAmount(e.target.value)} rule={{ required: true }} /></Field>
+        <Field label={t("From")}><Select value={from} onChange={e=>setFrom(e.target.value)}>{options}</Select></Field>
+        <Field label={t("To")}><Select value={to} onChange={e=>setTo(e.target.value)}>{options}</Select></Field>
       </div>
-      <div className="mt-4 flex flex-wrap gap-6">
-        <Stat label="Amount" value={fmt(out.A, 2)} />
-        <Stat label="Interest" value={fmt(out.interest, 2)} />
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6 items-center">
+          <Stat label="Converted" value={`${currencySymbol(to)} ${fmt(out, 4)}`} raw={out} />
+          <Stat label="Rate" value={`1 ${from} = ${fmt(rate, 6)} ${to}`} raw={rate} />
+          <Stat label="Inverse" value={`1 ${to} = ${fmt(1 / rate, 6)} ${from}`} raw={1 / rate} />
+          <button className="text-sm text-indigo-600 hover:underline" title="Alt+S" aria-keyshortcuts="Alt+S" onClick={()=>{ setFrom(to); setTo(from); }}>{t("⇄ Swap")}</button>
+        </div>
+      </Results>
+      <p className="mt-3 text-xs text-zinc-500">{t("Rates as of")} {rates.asOf || "?"} · {rates.source}</p>
+
+      <div className="mt-6 flex flex-wrap gap-3 items-end">
+        <Field label={t("Cross-rates against")}><Select value={codes.includes(base) ? base : rates.base} onChange={e=>setBase(e.target.value)}>{options}</Select></Field>
+        <div className="mb-3 flex gap-2">
+          <Button onClick={()=>fileInput.current?.click()}>{t("Import Rates (JSON/CSV)")}</Button>
+          {rates !== BUNDLED_RATES && (
+            <button className="text-sm text-zinc-500 hover:text-red-600" onClick={()=>setRates(null)}>{t("Use bundled rates")}</button>
+          )}
+          <input ref={fileInput} type="file" accept=".json,.csv,application/json,text/csv" className="hidden" onChange={e=>{ importRates(e.target.files[0]); e.target.value = ""; }} />
+        </div>
       </div>
+      {importError && <p className="text-sm text-red-600 mb-3">{t("Import failed")}: {importError}</p>}
+      <Table
+        caption={t("Cross-rates")}
+        columns={[{ key: "code", label: "Currency" }, { key: "name", label: "Name" }, { key: "rate", label: `1 ${codes.includes(base) ? base : rates.base} =` }]}
+        rows={table}
+        format={(v, key) => key === "rate" ? fmt(v, 6) : v}
+      />
+      <p className="mt-3 text-xs text-zinc-500">
+        JSON: {'{ "base": "USD", "asOf": "2026-10-01", "rates": { "INR": 88.2, … } }'} · CSV: <code>currency,rate,date</code> rows, base at rate 1.
+      </p>
     </Card>
   );
 }
 
-function FractionToDecimal() {
-  const [num, setNum] = useState(1);
-  const [den, setDen] = useState(2);
-  const out = useMemo(()=>{
-    const n = toNum(num), d = toNum(den);
-    if (d === 0) return NaN; return n / d;
-  }, [num, den]);
+const BASES = Array.from({ length: 35 }, (_, i) => i + 2);
+const BASE_NAMES = { 2: "binary", 8: "octal", 10: "decimal", 16: "hex" };
+
+const FRACTION_MODES = ["Fraction → Decimal", "Decimal → Fraction", "Arithmetic", "GCD / LCM"];
+
+function FractionCalculator() {
+  const { t } = useI18n();
+  const [mode, setMode] = useParam("mode", FRACTION_MODES[0]);
+  const [whole, setWhole] = useParam("whole", 0);
+  const [num, setNum] = useParam("num", 1);
+  const [den, setDen] = useParam("den", 6);
+  const [value, setValue] = useParam("value", "0.1(6)");
+  const [maxDen, setMaxDen] = useParam("maxden", "");
+  const [a, setA] = useParam("a", "1 1/2");
+  const [op, setOp] = useParam("op", "+");
+  const [b, setB] = useParam("b", "2/3");
+  const [list, setList] = useParam("list", "12, 18, 30");
+  const parts = useMemo(()=> fractionFromParts({ whole, num, den }), [whole, num, den]);
+  const approx = useMemo(()=> decimalToFraction({ value, maxDenominator: maxDen }), [value, maxDen]);
+  const result = useMemo(()=> calcFractionOp({ a, b, op }), [a, b, op]);
+  const gl = useMemo(()=> calcGcdLcm({ values: list }), [list]);
+  const text = (label, v, set, placeholder) => <Field label={label}><Input value={v} onChange={e=>set(e.target.value)} placeholder={placeholder} spellCheck={false} /></Field>;
+  const invalid = (v) => <p className="mt-2 text-sm text-red-600">{t("Not a fraction or decimal:")} "{v}"</p>;
+  // the same three views of a fraction in every mode
+  const views = (f) => (
+    <>
+      <Stat label="Simplest Form" value={f ? formatFraction(f) : "-"} raw={f ? formatFraction(f) : null} />
+      <Stat label="Mixed Number" value={f ? formatFraction(f, { mixed: true }) : "-"} raw={f ? formatFraction(f, { mixed: true }) : null} />
+      <Stat label="Decimal" value={f ? fractionToDecimal(f) : "-"} raw={f ? fractionToDecimal(f) : null} />
+    </>
+  );
   return (
-    <Card title="Fraction → Decimal">
-      <div className="grid sm:grid-cols-2 gap-3">
-        <Field label="Numerator"><Input type="number" value={num} onChange={e=>setNum(e.target.value)} /></Field>
-        <Field label="Denominator"><Input type="number" value={den} onChange={e=>setDen(e.target.value)} /></Field>
+    <Card title={t("Fraction Toolkit")}>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("Mode")}>
+          <Select value={mode} onChange={e=>setMode(e.target.value)}>
+            {FRACTION_MODES.map(m => <option key={m} value={m}>{t(m)}</option>)}
+          </Select>
+        </Field>
+        {mode === "Fraction → Decimal" && (
+          <>
+            <Field label={t("Whole Number")}><Input type="number" value={whole} onChange={e=>setWhole(e.target.value)} rule={{ integer: true }} /></Field>
+            <Field label={t("Numerator")}><Input type="number" value={num} onChange={e=>setNum(e.target.value)} rule={{ required: true }} /></Field>
+            <Field label={t("Denominator")}><Input type="number" value={den} onChange={e=>setDen(e.target.value)} rule={{ required: true, nonZero: true }} /></Field>
+          </>
+        )}
+        {mode === "Decimal → Fraction" && (
+          <>
+            {text(t("Decimal"), value, setValue, "0.1(6), 3.14159")}
+            <Field label={t("Max Denominator")}><Input type="number" value={maxDen} onChange={e=>setMaxDen(e.target.value)} placeholder={t("exact")} rule={{ integer: true, min: 1 }} /></Field>
+          </>
+        )}
+        {mode === "Arithmetic" && (
+          <>
+            {text("A", a, setA, "1 1/2")}
+            <Field label={t("Operation")}>
+              <Select value={op} onChange={e=>setOp(e.target.value)}>
+                {[["+", "+"], ["-", "−"], ["×", "×"], ["÷", "÷"]].map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+              </Select>
+            </Field>
+            {text("B", b, setB, "2/3")}
+          </>
+        )}
+        {mode === "GCD / LCM" && text(t("Whole numbers (comma or space separated)"), list, setList, "12, 18, 30")}
+      </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6 break-all">
+          {mode === "Fraction → Decimal" && (
+            <>
+              {views(parts)}
+              <Stat label="Percent" value={parts ? `${fractionToDecimal({ n: parts.n * 100n, d: parts.d })}%` : "-"} raw={parts ? Number(parts.n) * 100 / Number(parts.d) : null} />
+            </>
+          )}
+          {mode === "Decimal → Fraction" && (
+            <>
+              <Stat label="Fraction" value={approx ? formatFraction(approx.fraction) : "-"} raw={approx ? formatFraction(approx.fraction) : null} />
+              <Stat label="Mixed Number" value={approx ? formatFraction(approx.fraction, { mixed: true }) : "-"} raw={approx ? formatFraction(approx.fraction, { mixed: true }) : null} />
+              <Stat label="Error" value={!approx ? "-" : approx.exact ? t("exact") : `± ${approx.error.toPrecision(3)}`} raw={approx?.error} />
+              <Stat label="Continued Fraction" value={approx ? `[${approx.terms[0]}${approx.terms.length > 1 ? "; " + approx.terms.slice(1).join(", ") : ""}]` : "-"} raw={approx?.terms ?? null} />
+            </>
+          )}
+          {mode === "Arithmetic" && views(result)}
+          {mode === "GCD / LCM" && (
+            <>
+              <Stat label="GCD (HCF)" value={gl?.gcd ?? "-"} raw={gl?.gcd ?? null} />
+              <Stat label="LCM" value={gl?.lcm ?? "-"} raw={gl?.lcm ?? null} />
+            </>
+          )}
+        </div>
+        {mode === "Decimal → Fraction" && !approx && value.trim() !== "" && invalid(value)}
+        {mode === "Arithmetic" && !result && (op === "÷" && parseFraction(b)?.n === 0n
+          ? <p className="mt-2 text-sm text-red-600">{t("Cannot divide by zero.")}</p>
+          : [a, b].filter(v => !parseFraction(v)).map(v => <React.Fragment key={v}>{invalid(v)}</React.Fragment>))}
+        {mode === "GCD / LCM" && !gl && <p className="mt-2 text-sm text-red-600">{t("Enter whole numbers only.")}</p>}
+      </Results>
+      <p className="mt-2 text-xs text-zinc-500">{t("Fractions take 3/4, mixed numbers like 1 1/2, decimals and repeating decimals with the repeating part in brackets: 0.1(6) = 1/6.")}</p>
+    </Card>
+  );
+}
+
+function StatisticsCalculator() {
+  const { t, fmt } = useI18n();
+  const [data, setData] = useParam("data", "12, 15, 18, 22, 22, 25, 30, 41");
+  const [col, setCol] = useParam("col", 0);
+  const [p, setP] = useParam("p", 90);
+  const [bins, setBins] = useParam("bins", "");
+  const [xCol, setXCol] = useParam("x", -1);
+  const [importError, setImportError] = useState("");
+  const fileInput = useRef(null);
+  const series = useMemo(()=> parseDataset(data), [data]);
+  // a column index that no longer exists (the data changed) falls back to the first column;
+  // for X it means the row number
+  const current = series[toNum(col)] ?? series[0];
+  const stats = useMemo(()=> current ? describeData(current.values) : null, [current]);
+  const pct = useMemo(()=> current ? percentile(current.values.filter(Number.isFinite).sort((a, b) => a - b), toNum(p, NaN)) : NaN, [current, p]);
+  const bars = useMemo(()=> current ? histogram(current.values, { bins }) : [], [current, bins]);
+  const xSeries = series[toNum(xCol)];
+  const fit = useMemo(()=> current ? linearRegression({ x: xSeries?.values ?? current.values.map((_, i) => i + 1), y: current.values }) : null, [xSeries, current]);
+  const importData = async (file) => {
+    if (!file) return;
+    try {
+      setData((await file.text()).trim());
+      setImportError("");
+    } catch (err) {
+      setImportError(err.message);
+    }
+  };
+  const name = (sr, i) => sr.name || `${t("Column")} ${i + 1}`;
+  const num = (v) => fmt(v, 4);
+  const signed = (v) => `${v < 0 ? "−" : "+"} ${num(Math.abs(v))}`;
+  return (
+    <Card title={t("Statistics")}>
+      <Field label={t("Data (list or CSV with a header row)")}>
+        <textarea
+          value={data}
+          onChange={e=>setData(e.target.value)}
+          rows={6}
+          spellCheck={false}
+          placeholder={"12, 15, 18 …\n\n" + t("or") + "\nx,y\n1,2.1\n2,3.9"}
+          className={inputClass(false) + " font-mono text-sm"}
+        />
+      </Field>
+      <div className="grid sm:grid-cols-4 gap-3 items-end">
+        {series.length > 1 && (
+          <Field label={t("Column")}>
+            <Select value={series[toNum(col)] ? col : 0} onChange={e=>setCol(e.target.value)}>
+              {series.map((sr, i) => <option key={i} value={i}>{name(sr, i)}</option>)}
+            </Select>
+          </Field>
+        )}
+        <Field label={t("Percentile")}><Input type="number" value={p} onChange={e=>setP(e.target.value)} rule={{ required: true, min: 0, max: 100 }} /></Field>
+        <Field label={t("Histogram Bins")}><Input type="number" value={bins} onChange={e=>setBins(e.target.value)} placeholder={t("auto")} rule={{ integer: true, min: 1, max: 100 }} /></Field>
+        <div className="mb-3">
+          <Button onClick={()=>fileInput.current?.click()}>{t("Import CSV")}</Button>
+          <input ref={fileInput} type="file" accept=".csv,.tsv,.txt,text/csv,text/plain" className="hidden" onChange={e=>{ importData(e.target.files[0]); e.target.value = ""; }} />
+        </div>
       </div>
-      <div className="mt-4"><Stat label="Decimal" value={fmt(out, 10)} /></div>
+      {importError && <p className="text-sm text-red-600 mb-3">{t("Import failed")}: {importError}</p>}
+      <Results>
+        {!stats ? <p className="mt-2 text-sm text-zinc-500">{t("Enter at least one number.")}</p> : (
+          <>
+            <div className="mt-2 grid sm:grid-cols-3 gap-x-6 gap-y-1">
+              <Stat label="Count" value={fmt(stats.count, 0)} raw={stats.count} />
+              <Stat label="Sum" value={num(stats.sum)} raw={stats.sum} />
+              <Stat label="Mean" value={num(stats.mean)} raw={stats.mean} />
+              <Stat label="Median" value={num(stats.median)} raw={stats.median} />
+              <Stat label="Mode" value={stats.modes.length ? stats.modes.map(num).join(", ") : t("none")} raw={stats.modes} />
+              <Stat label="Range" value={num(stats.range)} raw={stats.range} />
+              <Stat label="Min" value={num(stats.min)} raw={stats.min} />
+              <Stat label="Max" value={num(stats.max)} raw={stats.max} />
+              <Stat name="percentile" label={`${t("Percentile")} ${fmt(toNum(p), 2)}`} value={num(pct)} raw={pct} />
+              <Stat label="Q1" value={num(stats.q1)} raw={stats.q1} />
+              <Stat label="Q3" value={num(stats.q3)} raw={stats.q3} />
+              <Stat label="IQR" value={num(stats.iqr)} raw={stats.iqr} />
+              <Stat label="SD (sample)" value={num(stats.sampleSD)} raw={stats.sampleSD} />
+              <Stat label="SD (population)" value={num(stats.populationSD)} raw={stats.populationSD} />
+              <Stat label="Variance (sample)" value={num(stats.sampleVariance)} raw={stats.sampleVariance} />
+              <Stat label="Variance (population)" value={num(stats.populationVariance)} raw={stats.populationVariance} />
+            </div>
+            {current.skipped > 0 && <p className="mt-2 text-xs text-zinc-500">{current.skipped} {t("cells skipped (not numbers)")}</p>}
+            <StackedBarChart
+              title={`${t("Histogram")}${current.name ? ` – ${current.name}` : ""}`}
+              summary={`${bars.length} ${t("bins")}, ${t("Min")} ${num(stats.min)}, ${t("Max")} ${num(stats.max)}`}
+              labels={bars.map(b => `${num(b.from)}–${num(b.to)}`)}
+              series={[{ label: t("Count"), values: bars.map(b => b.count) }]}
+              xLabel={t("Range")}
+              format={(v) => fmt(v, 0)}
+            />
+          </>
+        )}
+      </Results>
+      <h3 className="mt-5 mb-2 text-sm font-semibold text-zinc-600 dark:text-zinc-300">{t("Linear Regression")}</h3>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label="X">
+          <Select value={xSeries ? xCol : -1} onChange={e=>setXCol(e.target.value)}>
+            <option value={-1}>{t("Row number (1, 2, 3…)")}</option>
+            {series.map((sr, i) => <option key={i} value={i}>{name(sr, i)}</option>)}
+          </Select>
+        </Field>
+        {current && <p className="sm:col-span-3 sm:self-center text-sm text-zinc-500">Y: {name(current, series.indexOf(current))}</p>}
+      </div>
+      <Results>
+        {fit ? (
+          <div className="flex flex-wrap gap-6">
+            <Stat label="Line" value={`y = ${num(fit.slope)}x ${signed(fit.intercept)}`} raw={{ slope: fit.slope, intercept: fit.intercept }} />
+            <Stat label="Slope" value={num(fit.slope)} raw={fit.slope} />
+            <Stat label="Intercept" value={num(fit.intercept)} raw={fit.intercept} />
+            <Stat label="r" value={num(fit.r)} raw={fit.r} />
+            <Stat name="r2" label="R²" value={num(fit.r2)} raw={fit.r2} />
+            <Stat label="Pairs" value={fmt(fit.n, 0)} raw={fit.n} />
+          </div>
+        ) : <p className="text-sm text-zinc-500">{t("Needs at least two (x, y) pairs with different x values.")}</p>}
+      </Results>
     </Card>
   );
 }
 
 function BaseConverter() {
-  const [from, setFrom] = useState(10);
-  const [to, setTo] = useState(2);
-  const [val, setVal] = useState("42");
-  const out = useMemo(()=>{
-    const n = parseInt(val, from);
-    if (Number.isNaN(n)) return "-"; return n.toString(to).toUpperCase();
-  }, [val, from, to]);
-  return (
-    <Card title="Number Base Converter">
-      <div className="grid sm:grid-cols-3 gap-3">
-        <Field label="From Base"><Select value={from} onChange={e=>setFrom(parseInt(e.target.value))}>{[2,8,10,16,36].map(b=> <option key={b} value={b}>{b}</option>)}</Select></Field>
-        <Field label="To Base"><Select value={to} onChange={e=>setTo(parseInt(e.target.value))}>{[2,8,10,16,36].map(b=> <option key={b} value={b}>{b}</option>)}</Select></Field>
-        <Field label="Value"><Input value={val} onChange={e=>setVal(e.target.value)} /></Field>
+  const { t } = useI18n();
+  const [from, setFrom] = useParam("from", 10);
+  const [to, setTo] = useParam("to", 2);
+  const [val, setVal] = useParam("val", "42");
+  const [digits, setDigits] = useParam("digits", 32);
+  const out = useMemo(()=> convertBase({ value: val, from, to, fractionDigits: Math.max(1, Math.round(toNum(digits, 32))) }), [val, from, to, digits]);
+  const bases = BASES.map(b=> <option key={b} value={b}>{b}{BASE_NAMES[b] ? ` (${BASE_NAMES[b]})` : ""}</option>);
+  useCommand("swap", () => { setFrom(to); setTo(from); });
+  return (
+    <Card title={t("Number Base Converter")}>
+      <div className="grid sm:grid-cols-4 gap-3">
+        <Field label={t("From Base")}><Select value={from} onChange={e=>setFrom(parseInt(e.target.value))}>{bases}</Select></Field>
+        <Field label={t("To Base")}><Select value={to} onChange={e=>setTo(parseInt(e.target.value))}>{bases}</Select></Field>
+        <Field label={t("Value (any length, may have a fraction)")}><Input value={val} onChange={e=>setVal(e.target.value)} spellCheck={false} /></Field>
+        <Field label={t("Max Fraction Digits")}><Input type="number" value={digits} onChange={e=>setDigits(e.target.value)} rule={{ required: true, integer: true, min: 1 }} /></Field>
       </div>
-      <div className="mt-4"><Stat label="Output" value={out} /></div>
+      <Results><div className="mt-4 break-all"><Stat label="Output" value={out ?? "-"} raw={out ?? null} /></div></Results>
+      {out === null && val.trim() !== "" && <p className="mt-2 text-sm text-red-600">{t("\"{value}\" is not a valid base-{base} number (digits 0–{last}).", { value: val, base: from, last: (from - 1).toString(36).toUpperCase() })}</p>}
     </Card>
   );
 }
 
+// ------------------------------ PLUGINS ------------------------------
+// A calculator can be a spec instead of a component: the hub renders its inputs (URL-synced,
+// validated), runs `compute` and shows the outputs. Example (see the "percent" entry below):
+//   registerCalculator({ id: "tip", title: "Tip", category: "Finance", keywords: "restaurant bill",
+//     inputs: [{ key: "bill", label: "Bill", unit: "money", default: 1000, rule: { required: true, min: 0 } },
+//              { key: "tip", label: "Tip (%)", default: 10 }],
+//     compute: ({ bill, tip }) => ({ tip: toNum(bill) * toNum(tip) / 100 }),
+//     outputs: [{ key: "tip", label: "Tip", format: "money" }] });
+
+/**
+ * @typedef {Object} SpecInput
+ * @property {string} key            URL parameter and key in compute()'s values
+ * @property {string} label          English; translated through STRINGS
+ * @property {"number"|"select"|"date"|"datetime-local"|"text"} [type="number"]
+ * @property {*} [default]
+ * @property {string} [unit]         shown after the label; "money" shows the currency symbol
+ * @property {Array<string|[string, string]>} [options]  select values, or [value, label] pairs
+ * @property {Object} [rule]         FieldRule (world_calc_core.js checkField)
+ *
+ * @typedef {Object} SpecOutput
+ * @property {string} key            key in compute()'s result
+ * @property {string} label
+ * @property {"number"|"money"|"percent"|"date"|"text"|function(*): string} [format="number"]
+ * @property {number} [digits]
+ *
+ * @typedef {Object} CalculatorEntry
+ * @property {string} id             URL id (#/<id>)
+ * @property {string} title
+ * @property {string} [cardTitle]    heading of a spec's card (default: title)
+ * @property {string} [note]         small print under a spec's outputs
+ * @property {string} [category]     Finance · Health · Date/Time · Converters · Math
+ * @property {string} [keywords]     extra search terms
+ * @property {function} [component]  a React component (inputs via useParam, results via <Stat>) …
+ * @property {SpecInput[]} [inputs]  … or a spec: inputs, compute(values) → result object (null = no result), outputs …
+ * @property {function(Object): Object|null} [compute]
+ * @property {SpecOutput[]} [outputs]
+ * @property {Object<string, Array<number>>} [seek]  inputs Goal Seek may solve for: { key: [lo, hi, step?] }
+ * @property {function(): Promise} [load]  … or a module loaded on first open, e.g. () => import("./tip.js"),
+ *                                   whose default export is a component or { inputs, compute, outputs }
+ */
+
+const formatOutput = (out, value, { t, fmt, fmtDate, money }) => {
+  if (value === null || value === undefined || (typeof value === "number" && !Number.isFinite(value))) return "-";
+  if (typeof out.format === "function") return out.format(value);
+  switch (out.format) {
+    case "money": return money(value, out.digits ?? 2);
+    case "percent": return `${fmt(value, out.digits ?? 2)}%`;
+    case "date": return fmtDate(value);
+    case "text": return t(String(value));
+    default: return fmt(value, out.digits ?? 2);
+  }
+};
+
+const specDefault = (input) => input.default ?? (input.type && input.type !== "number" ? "" : 0);
+
+// each input owns its useParam, so a spec whose inputs change (re-registered, or a `load` that
+// resolves differently) never reorders hooks; the value and its setter are reported up
+function SpecInputField({ input, onState }) {
+  const { t } = useI18n();
+  const { sym } = useMoney();
+  const [value, onChange] = useParam(input.key, specDefault(input));
+  useEffect(() => { onState(input.key, value, onChange); }, [onState, input.key, value]);
+  const unit = input.unit === "money" ? sym : input.unit;
+  const label = unit ? `${t(input.label)} (${unit})` : t(input.label);
+  return (
+    <Field label={label}>
+      {input.type === "select" ? (
+        <Select value={value} onChange={e=>onChange(e.target.value)}>
+          {input.options.map(o => {
+            const [v, name] = Array.isArray(o) ? o : [o, o];
+            return <option key={v} value={v}>{t(name)}</option>;
+          })}
+        </Select>
+      ) : (
+        <Input type={input.type ?? "number"} value={value} onChange={e=>onChange(e.target.value)} rule={input.rule} />
+      )}
+    </Field>
+  );
+}
+
+// renders a spec entry; until a field has reported, its value is read from the URL the way useParam does
+function SpecCalculator({ spec }) {
+  const i18n = useI18n();
+  const { money } = useMoney();
+  const ctx = useContext(CalcContext);
+  const [fields, setFields] = useState({});
+  const onState = useMemo(() => (key, value, set) => setFields(prev =>
+    prev[key]?.value === value && prev[key]?.set === set ? prev : { ...prev, [key]: { value, set } }), []);
+  const values = Object.fromEntries(spec.inputs.map(input => [
+    input.key, input.key in fields ? fields[input.key].value : decodeParam(ctx?.params[input.key], specDefault(input)),
+  ]));
+  const key = JSON.stringify(values);
+  const result = useMemo(()=> spec.compute(values), [spec, key]);
+  return (
+    <Card title={i18n.t(spec.cardTitle ?? spec.title)}>
+      <div className={`grid gap-3 ${["", "sm:grid-cols-1", "sm:grid-cols-2", "sm:grid-cols-3"][spec.inputs.length] ?? "sm:grid-cols-4"}`}>
+        {spec.inputs.map(input => <SpecInputField key={input.key} input={input} onState={onState} />)}
+      </div>
+      <Results>
+        <div className="mt-4 flex flex-wrap gap-6">
+          {spec.outputs.map(out => <Stat key={out.key} name={out.key} label={out.label} value={formatOutput(out, result?.[out.key], { ...i18n, money })} raw={result?.[out.key]} />)}
+        </div>
+      </Results>
+      {spec.note && <p className="mt-3 text-xs text-zinc-500">{i18n.t(spec.note)}</p>}
+      {spec.seek && (
+        <GoalSeek
+          outputs={spec.outputs.filter(out => !out.format || out.format === "number" || out.format === "money" || out.format === "percent")
+            .map(out => ({ key: out.key, label: out.label, format: (v) => formatOutput(out, v, { ...i18n, money }) }))}
+          inputs={spec.inputs.filter(input => spec.seek[input.key]).map(input => {
+            const [lo, hi, step] = spec.seek[input.key];
+            return { key: input.key, label: input.label, value: values[input.key], set: (v) => fields[input.key]?.set(v), lo, hi, step, format: input.unit === "money" ? money : undefined };
+          })}
+          compute={(v) => spec.compute({ ...values, ...v })}
+        />
+      )}
+    </Card>
+  );
+}
+
+// the element the hub renders for an entry; `load` entries become one React.lazy per entry
+const lazyViews = new WeakMap();
+const LoadFailed = ({ error }) => {
+  const { t } = useI18n();
+  return <Card title={t("Calculator unavailable")}><p className="text-sm text-red-600">{t("Could not load this calculator")}: {error.message}</p></Card>;
+};
+const toView = (entry, mod) => typeof mod === "function" ? mod : () => <SpecCalculator spec={{ ...mod, ...entry }} />;
+function CalculatorView({ entry }) {
+  const { t } = useI18n();
+  if (entry.component) return <entry.component />;
+  if (entry.inputs) return <SpecCalculator spec={entry} />;
+  if (!lazyViews.has(entry)) {
+    lazyViews.set(entry, lazy(() => entry.load().then(
+      mod => ({ default: toView(entry, mod?.default ?? mod) }),
+      error => ({ default: () => <LoadFailed error={error} /> }),
+    )));
+  }
+  const View = lazyViews.get(entry);
+  return (
+    <Suspense fallback={<Card title={t(entry.title)}><p className="text-sm text-zinc-500">{t("Loading…")}</p></Card>}>
+      <View />
+    </Suspense>
+  );
+}
+
 // ------------------------------ REGISTRY ------------------------------
 const CALC_REGISTRY = [
-  { id: "basic", title: "Basic Calculator", keywords: "add subtract multiply divide arithmetic", el: <BasicCalculator/> },
-  { id: "percent", title: "Percentage", keywords: "percentage increase percent off", el: <PercentageCalculator/> },
-  { id: "discount", title: "Discount", keywords: "sale price off", el: <DiscountCalculator/> },
-  { id: "gst", title: "GST/VAT", keywords: "tax vat gst inclusive exclusive", el: <GSTCalculator/> },
-  { id: "bmi", title: "BMI", keywords: "body mass index health", el: <BMICalculator/> },
-  { id: "age", title: "Age", keywords: "age years months days", el: <AgeCalculator/> },
-  { id: "datediff", title: "Date Difference", keywords: "days between dates weeks", el: <DateDiffCalculator/> },
-  { id: "temp", title: "Temperature", keywords: "celsius fahrenheit kelvin", el: <TemperatureConverter/> },
-  { id: "length", title: "Length", keywords: "mm cm m km inch foot", el: <LengthConverter/> },
-  { id: "weight", title: "Weight", keywords: "g kg lb mass", el: <WeightConverter/> },
-  { id: "time", title: "Time", keywords: "seconds minutes hours days", el: <TimeConverter/> },
-  { id: "speed", title: "Speed", keywords: "km/h m/s mph", el: <SpeedConverter/> },
-  { id: "area", title: "Area", keywords: "square meter foot", el: <AreaConverter/> },
-  { id: "emi", title: "EMI", keywords: "loan monthly payment interest", el: <EMI/> },
-  { id: "sip", title: "SIP", keywords: "mutual fund investment future value", el: <SIP/> },
-  { id: "compound", title: "Compound Interest", keywords: "interest compounding", el: <CompoundInterest/> },
-  { id: "fraction", title: "Fraction → Decimal", keywords: "rational number division", el: <FractionToDecimal/> },
-  { id: "base", title: "Base Converter", keywords: "binary hex decimal", el: <BaseConverter/> },
+  { id: "basic", title: "Basic Calculator", category: "Math", keywords: "add subtract multiply divide arithmetic expression scientific sqrt log sin", component: BasicCalculator },
+  {
+    id: "percent", title: "Percentage", cardTitle: "Percentage / Increase", category: "Math", keywords: "percentage increase percent off",
+    inputs: [
+      { key: "base", label: "Base Amount", default: 100, rule: { required: true } },
+      { key: "pct", label: "Percent (%)", default: 10, rule: { required: true } },
+    ],
+    compute: calcPercentage,
+    seek: { base: [0, 1e12], pct: [-100, 1000] },
+    outputs: [{ key: "increase", label: "Increase" }, { key: "total", label: "Total" }],
+  },
+  {
+    id: "discount", title: "Discount", cardTitle: "Discount / Sale Price", category: "Finance", keywords: "sale price off",
+    inputs: [
+      { key: "mrp", label: "MRP / Original Price", default: 1000, rule: { required: true, min: 0 } },
+      { key: "off", label: "Discount (%)", default: 15, rule: { required: true, min: 0, max: 100 } },
+      { key: "round", label: "Rounding (2 dp)", type: "select", default: "half-up", options: ROUNDING_OPTIONS },
+    ],
+    compute: ({ mrp, off, round }) => calcDiscount({ mrp, off, rounding: round || undefined }),
+    seek: { mrp: [0, 1e12], off: [0, 100] },
+    outputs: [{ key: "saved", label: "You Save", format: "money" }, { key: "final", label: "Final Price", format: "money" }],
+  },
+  { id: "gst", title: "GST/VAT", category: "Finance", keywords: "tax vat gst inclusive exclusive invoice bill cgst sgst igst hsn", component: GSTCalculator },
+  { id: "incometax", title: "Income Tax (India)", category: "Finance", keywords: "income tax old new regime slab 80c 80d hra rebate 87a itr salary", component: IncomeTaxCalculator },
+  { id: "bmi", title: "BMI", category: "Health", keywords: "body mass index health obesity asian", component: BMICalculator },
+  { id: "bmr", title: "BMR / Calories", category: "Health", keywords: "bmr tdee calories basal metabolic rate maintenance diet mifflin harris benedict", component: BMRCalculator },
+  { id: "bodyfat", title: "Body Fat", category: "Health", keywords: "body fat percentage navy waist neck hip lean mass", component: BodyFatCalculator },
+  { id: "idealweight", title: "Ideal Weight", category: "Health", keywords: "ideal body weight ibw devine robinson miller hamwi healthy", component: IdealWeightCalculator },
+  { id: "dailytargets", title: "Water & Protein", category: "Health", keywords: "water intake hydration protein daily target diet", component: DailyTargetsCalculator },
+  { id: "age", title: "Age", category: "Date/Time", keywords: "age years months days birthday", component: AgeCalculator },
+  { id: "datediff", title: "Date Difference", category: "Date/Time", keywords: "days between dates weeks hours working business days holidays", component: DateDiffCalculator },
+  { id: "dateadd", title: "Add to Date", category: "Date/Time", keywords: "add subtract days months date duration deadline working business days", component: DateAddCalculator },
+  { id: "timezone", title: "Time Zones", category: "Date/Time", keywords: "time zone meeting world clock city ist utc gmt", component: TimeZoneConverter },
+  // converters are generated from the unit registry: one tab per quantity
+  ...Object.entries(UNIT_QUANTITIES).map(([id, q]) => ({
+    id,
+    title: q.title,
+    category: "Converters",
+    keywords: [q.aliases, ...q.units.flatMap(u => [u.id, u.name])].join(" ").toLowerCase(),
+    component: () => <UnitConverter quantity={id}/>,
+  })),
+  { id: "emi", title: "EMI", category: "Finance", keywords: "loan monthly payment interest", component: EMI },
+  { id: "sip", title: "SIP", category: "Finance", keywords: "mutual fund investment future value step-up lumpsum swp withdrawal goal inflation retirement", component: SIP },
+  { id: "compound", title: "Compound Interest", category: "Finance", keywords: "interest compounding", component: CompoundInterest },
+  { id: "currency", title: "Currency", category: "Converters", keywords: "currency exchange forex fx rate dollar rupee euro usd inr", component: CurrencyConverter },
+  { id: "fraction", title: "Fractions", category: "Math", keywords: "fraction decimal rational division mixed number simplify repeating recurring continued gcd hcf lcm", component: FractionCalculator },
+  { id: "stats", title: "Statistics", category: "Math", keywords: "statistics mean median mode average standard deviation variance quartile percentile histogram regression csv data", component: StatisticsCalculator },
+  { id: "base", title: "Base Converter", category: "Math", keywords: "binary hex decimal octal radix base36", component: BaseConverter },
 ];
 
+// the live list: built-ins plus whatever the host app registers (replaced, never mutated, on change)
+let calculators = CALC_REGISTRY;
+const registryListeners = new Set();
+const subscribeCalculators = (fn) => { registryListeners.add(fn); return () => registryListeners.delete(fn); };
+const getCalculators = () => calculators;
+
+/**
+ * Add a calculator (or replace the one with the same id) at runtime. Call it before or after
+ * <WorldCalcHub /> mounts; the tab list updates either way.
+ * @param {CalculatorEntry} entry
+ * @returns {function(): void} removes the entry again (a replaced built-in comes back)
+ */
+export function registerCalculator(entry) {
+  if (!entry || typeof entry.id !== "string" || !entry.id.trim()) throw new Error("Calculator needs an id");
+  if (typeof entry.title !== "string" || !entry.title.trim()) throw new Error(`Calculator "${entry.id}" needs a title`);
+  const kinds = [entry.component, entry.inputs, entry.load].filter(Boolean).length;
+  if (kinds !== 1) throw new Error(`Calculator "${entry.id}" needs exactly one of component, inputs (+ compute, outputs) or load`);
+  if (entry.inputs && (typeof entry.compute !== "function" || !Array.isArray(entry.outputs))) {
+    throw new Error(`Calculator "${entry.id}" spec needs compute() and outputs`);
+  }
+  const item = { keywords: "", ...entry };
+  const set = (list) => { calculators = list; registryListeners.forEach(fn => fn()); };
+  const i = calculators.findIndex(c => c.id === item.id);
+  set(i < 0 ? [...calculators, item] : calculators.map(c => c.id === item.id ? item : c));
+  return () => {
+    if (!calculators.includes(item)) return;
+    const builtIn = CALC_REGISTRY.find(c => c.id === item.id);
+    set(builtIn ? calculators.map(c => c === item ? builtIn : c) : calculators.filter(c => c !== item));
+  };
+}
+
+const useCalculators = () => useSyncExternalStore(subscribeCalculators, getCalculators, getCalculators);
+
+// building blocks for calculators registered as components
+export { Card, Field, Input, Select, Button, Stat, Results, useParam, useI18n, useMoney };
+
+// ------------------------------ STORAGE ------------------------------
+// Favourites, named scenarios, recent history, settings and an imported FX rate table,
+// kept in localStorage and exportable as one JSON file. Entries: { uid, calc, name?, params, results, at }.
+const STORE_KEY = "worldcalc:v1";
+const HISTORY_LIMIT = 50;
+const HISTORY_IDLE_MS = 1500;
+const ANNOUNCE_IDLE_MS = 800; // results are read out once they stop changing
+
+const uid = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+const emptyStore = () => ({ version: 1, favourites: [], scenarios: [], history: [], settings: { ...DEFAULT_PREFS }, rates: null });
+
+const isEntry = (e) => e && typeof e.calc === "string" && e.params && typeof e.params === "object";
+const normaliseStore = (data) => {
+  if (!data || typeof data !== "object" || data.version !== 1) throw new Error("Not a World Calc Hub data file");
+  const arr = (v) => Array.isArray(v) ? v : [];
+  return {
+    version: 1,
+    favourites: arr(data.favourites).filter(id => typeof id === "string"),
+    scenarios: arr(data.scenarios).filter(isEntry).map(e => ({ uid: uid(), results: {}, ...e })),
+    history: arr(data.history).filter(isEntry).map(e => ({ uid: uid(), results: {}, ...e })).slice(0, HISTORY_LIMIT),
+    settings: { ...DEFAULT_PREFS, ...(data.settings && typeof data.settings === "object" ? data.settings : {}) },
+    rates: normaliseRateTable(data.rates),
+  };
+};
+const mergeStores = (a, b) => {
+  const byUid = (list) => [...new Map(list.map(e => [e.uid, e])).values()];
+  return {
+    version: 1,
+    favourites: [...new Set([...a.favourites, ...b.favourites])],
+    scenarios: byUid([...a.scenarios, ...b.scenarios]),
+    history: byUid([...a.history, ...b.history]).sort((x, y) => y.at - x.at).slice(0, HISTORY_LIMIT),
+    settings: a.settings,
+    rates: b.rates || a.rates,
+  };
+};
+const loadStore = () => {
+  try { return normaliseStore(JSON.parse(window.localStorage.getItem(STORE_KEY))); } catch { return emptyStore(); }
+};
+const saveStore = (store) => {
+  try { window.localStorage.setItem(STORE_KEY, JSON.stringify(store)); } catch { /* quota or private mode: keep in memory */ }
+};
+const calcTitle = (id) => getCalculators().find(c => c.id === id)?.title || id;
+const fmtTime = (at) => new Date(at).toLocaleString(undefined, { dateStyle: "medium", timeStyle: "short" });
+const summary = (results) => Object.entries(results).slice(0, 2).map(([k, v]) => `${k}: ${v}`).join(" · ");
+
+function SavedPanel({ store, currentId, onRestore, onDelete, onClearHistory }) {
+  const { t } = useI18n();
+  const scenarios = store.scenarios.filter(s => s.calc === currentId);
+  const row = (e, { showCalc = false, action = null } = {}) => (
+    <li key={e.uid} className="flex items-start justify-between gap-3 py-2 border-t border-zinc-100 dark:border-zinc-800">
+      <button className="text-left flex-1" onClick={()=>onRestore(e)}>
+        <div className="text-sm font-medium">{e.name || t(calcTitle(e.calc))}</div>
+        <div className="text-xs text-zinc-500">
+          {showCalc && `${t(calcTitle(e.calc))} · `}{fmtTime(e.at)}{summary(e.results) && ` · ${summary(e.results)}`}
+        </div>
+      </button>
+      {action}
+    </li>
+  );
+  return (
+    <div className="grid sm:grid-cols-2 gap-5">
+      <Card title={`${t("Saved Scenarios")} – ${t(calcTitle(currentId))}`}>
+        {scenarios.length === 0 && <p className="text-sm text-zinc-500">{t("No saved scenarios yet.")}</p>}
+        <ul>
+          {scenarios.map(e => row(e, {
+            action: <button className="text-xs text-zinc-500 hover:text-red-600" onClick={()=>onDelete(e.uid)}>{t("Delete")}</button>,
+          }))}
+        </ul>
+      </Card>
+      <Card title={t("Recent History")}>
+        {store.history.length === 0 && <p className="text-sm text-zinc-500">{t("Calculations you make show up here.")}</p>}
+        <ul className="max-h-80 overflow-auto">{store.history.map(e => row(e, { showCalc: true }))}</ul>
+        {store.history.length > 0 && <button className="mt-3 text-xs text-zinc-500 hover:text-red-600" onClick={onClearHistory}>{t("Clear history")}</button>}
+      </Card>
+    </div>
+  );
+}
+
+// ------------------------------ COMPARE ------------------------------
+// Compare mode clones the active calculator into columns. Each column has its own CalcContext,
+// so its inputs are independent and stay out of the URL; the Stats it reports feed the table
+// below, which shows every scenario's change against scenario A.
+const MAX_COLUMNS = 4;
+const SCENARIO_LETTERS = "ABCD";
+
+// the numbers inside a formatted Stat: "₹ 12,50,000 (12.5 lakh)" → [1250000, 12.5]
+const statNumbers = (text, locale) =>
+  (String(text).match(/[-−]?\d(?:[\d.,\u00a0\u202f]*\d)?/g) ?? []).map(m => parseLocaleNumber(m.replace("−", "-"), locale));
+
+// change of `value` against `base` at the first number that differs, or null when they don't line up
+const statDelta = (base, value, locale) => {
+  const a = statNumbers(base, locale), b = statNumbers(value, locale);
+  if (!a.length || a.length !== b.length || a.some(Number.isNaN) || b.some(Number.isNaN)) return null;
+  const i = a.findIndex((n, j) => n !== b[j]);
+  if (i < 0) return null;
+  return { diff: b[i] - a[i], pct: a[i] === 0 ? null : (b[i] - a[i]) / Math.abs(a[i]) * 100 };
+};
+
+function CompareColumn({ entry, initial, onParam, onStat }) {
+  const ctx = useMemo(() => ({ params: initial, setParam: onParam, reportStat: onStat }), [initial, onParam, onStat]);
+  return <CalcContext.Provider value={ctx}><CalculatorView entry={entry} /></CalcContext.Provider>;
+}
+
+function ComparePanel({ entry, initial }) {
+  const { t, fmt, locale } = useI18n();
+  const newColumn = (params) => ({ key: uid(), initial: params, params, version: 0 });
+  const [columns, setColumns] = useState(() => [newColumn(initial), newColumn(initial)]);
+  const [results, setResults] = useState({});
+  // one stable pair of callbacks per column, so its context (and every useParam effect) stays put
+  const handlers = useRef({});
+  const handlersFor = (key) => {
+    if (!handlers.current[key]) {
+      handlers.current[key] = {
+        onParam: (name, value) => setColumns(cols => {
+          const col = cols.find(c => c.key === key);
+          if (!col || col.params[name] === value) return cols;
+          return cols.map(c => c === col ? { ...c, params: { ...c.params, [name]: value } } : c);
+        }),
+        onStat: (label, value) => setResults(prev => {
+          const mine = prev[key] ?? {};
+          if (mine[label] === value) return prev;
+          const next = { ...mine };
+          if (value === undefined) delete next[label]; else next[label] = value;
+          return { ...prev, [key]: next };
+        }),
+      };
+    }
+    return handlers.current[key];
+  };
+
+  const copyInto = (target, source) => setColumns(cols => {
+    const from = cols.find(c => c.key === source);
+    return cols.map(c => c.key === target && from ? { ...c, initial: from.params, params: from.params, version: c.version + 1 } : c);
+  });
+  const remove = (key) => {
+    setColumns(cols => cols.filter(c => c.key !== key));
+    setResults(prev => { const next = { ...prev }; delete next[key]; return next; });
+  };
+
+  const labels = useMemo(() => [...new Set(columns.flatMap(c => Object.keys(results[c.key] ?? {})))], [columns, results]);
+  const differs = useMemo(() => new Set(labels.filter(label => new Set(columns.map(c => results[c.key]?.[label])).size > 1)), [labels, columns, results]);
+  const signed = (n, d) => `${n > 0 ? "+" : ""}${fmt(n, d)}`;
+  const cell = (label, i) => {
+    const value = results[columns[i].key]?.[label];
+    if (value === undefined) return "—";
+    const delta = i > 0 && differs.has(label) ? statDelta(results[columns[0].key]?.[label], value, locale) : null;
+    return (
+      <>
+        <span className={differs.has(label) ? "font-semibold" : ""}>{value}</span>
+        {delta && (
+          <span className={"block text-xs " + (delta.diff > 0 ? "text-emerald-700 dark:text-emerald-400" : "text-rose-700 dark:text-rose-400")}>
+            Δ {signed(delta.diff)}{delta.pct !== null && ` (${signed(delta.pct, 1)}%)`}
+          </span>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <CompareContext.Provider value={differs}>
+      <div className="grid grid-flow-col auto-cols-[minmax(20rem,1fr)] gap-4 overflow-x-auto pb-2">
+        {columns.map((col, i) => (
+          <section key={col.key} aria-label={`${t("Scenario")} ${SCENARIO_LETTERS[i]}`} className="flex flex-col gap-2">
+            <div className="flex flex-wrap gap-2 items-center text-sm">
+              <span className="font-semibold">{t("Scenario")} {SCENARIO_LETTERS[i]}</span>
+              <select
+                value=""
+                onChange={e=>copyInto(col.key, e.target.value)}
+                className="ml-auto rounded-lg border px-2 py-1 bg-white dark:bg-zinc-800 border-zinc-200 dark:border-zinc-700"
+              >
+                <option value="">{t("Copy inputs from…")}</option>
+                {columns.map((other, j) => other !== col && <option key={other.key} value={other.key}>{t("Scenario")} {SCENARIO_LETTERS[j]}</option>)}
+              </select>
+              {columns.length > 2 && <button className="text-xs text-zinc-500 hover:text-red-600" onClick={()=>remove(col.key)}>{t("Remove")}</button>}
+            </div>
+            <CompareColumn key={col.version} entry={entry} initial={col.initial} {...handlersFor(col.key)} />
+          </section>
+        ))}
+      </div>
+      {columns.length < MAX_COLUMNS && (
+        <div><Button onClick={()=>setColumns(cols => [...cols, newColumn(cols[cols.length - 1].params)])}>{t("+ Add Scenario")}</Button></div>
+      )}
+      <Card title={t("Comparison")}>
+        {labels.length === 0 ? <p className="text-sm text-zinc-500">{t("No results yet.")}</p> : (
+          <Table
+            caption={t("Comparison")}
+            columns={[{ key: "label", label: "" }, ...columns.map((c, i) => ({ key: String(i), label: `${t("Scenario")} ${SCENARIO_LETTERS[i]}` }))]}
+            rows={labels.map(label => ({ label, ...Object.fromEntries(columns.map((c, i) => [String(i), cell(label, i)])) }))}
+          />
+        )}
+        <p className="mt-3 text-xs text-zinc-500">{t("Highlighted results differ between scenarios; Δ is the change against scenario A.")}</p>
+      </Card>
+    </CompareContext.Provider>
+  );
+}
+
+// ------------------------------ SEARCH ------------------------------
+const CATEGORIES = ["Finance", "Health", "Date/Time", "Converters", "Math"];
+
+// marks the [start, end) `ranges` that searchItems() found in `text`
+const Highlight = ({ text, ranges }) => {
+  if (!ranges?.length) return text;
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([a, b], i) => {
+    if (a > at) parts.push(text.slice(at, a));
+    parts.push(<mark key={i} className="rounded-sm bg-amber-200 text-zinc-900 dark:bg-amber-400">{text.slice(a, b)}</mark>);
+    at = b;
+  });
+  if (at < text.length) parts.push(text.slice(at));
+  return <>{parts}</>;
+};
+
+// ------------------------------ COMMAND PALETTE ------------------------------
+// Ctrl/⌘-K: a modal combobox over every calculator plus the hub's actions. ↑/↓ move, Enter runs,
+// Esc closes; focus stays inside while open and goes back to where it was afterwards.
+const SHORTCUTS = [["Ctrl/⌘ K", "Command palette"], ["Alt S", "Swap units"], ["Alt C", "Copy results"]];
+
+function CommandPalette({ commands, onClose }) {
+  const { t } = useI18n();
+  const [query, setQuery] = useState("");
+  const [sel, setSel] = useState(0);
+  const inputRef = useRef(null);
+  const listId = useId();
+  useEffect(() => { inputRef.current?.focus(); }, []);
+  const matches = useMemo(() => {
+    const byId = new Map(commands.map(c => [c.id, c]));
+    return searchItems(query, commands.map(c => ({ key: c.id, name: c.label, text: `${c.hint ?? ""} ${c.keywords ?? ""}` })))
+      .map(r => ({ ...byId.get(r.key), ranges: r.ranges }));
+  }, [commands, query]);
+  const active = Math.min(sel, matches.length - 1);
+  useEffect(() => { document.getElementById(`${listId}-${active}`)?.scrollIntoView?.({ block: "nearest" }); }, [listId, active]);
+  const run = (c) => { onClose(c.keepFocus); c.run(); };
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      setSel((active + step + matches.length) % Math.max(1, matches.length));
+    } else if (e.key === "Enter" && matches[active]) {
+      e.preventDefault();
+      run(matches[active]);
+    } else if (e.key === "Escape") {
+      e.preventDefault();
+      onClose();
+    } else if (e.key === "Tab") {
+      e.preventDefault(); // the input is the dialog's only stop
+    }
+  };
+  return (
+    <div className="fixed inset-0 z-50 flex items-start justify-center bg-black/40 p-4 pt-[15vh]" onMouseDown={e=>{ if (e.target === e.currentTarget) onClose(); }}>
+      <div role="dialog" aria-modal="true" aria-label={t("Command palette")} className="w-full max-w-lg rounded-2xl shadow-2xl bg-white dark:bg-zinc-900 border border-black/5 overflow-hidden">
+        <input
+          ref={inputRef}
+          value={query}
+          onChange={e=>{ setQuery(e.target.value); setSel(0); }}
+          onKeyDown={onKeyDown}
+          role="combobox"
+          aria-expanded="true"
+          aria-controls={listId}
+          aria-autocomplete="list"
+          aria-activedescendant={matches.length ? `${listId}-${active}` : undefined}
+          placeholder={t("Jump to a calculator or run a command…")}
+          className="w-full px-4 py-3 text-base bg-transparent border-b border-zinc-200 dark:border-zinc-700 outline-none"
+        />
+        <ul id={listId} role="listbox" aria-label={t("Commands")} className="max-h-80 overflow-auto p-2">
+          {matches.map((c, i) => (
+            <li
+              key={c.id}
+              id={`${listId}-${i}`}
+              role="option"
+              aria-selected={i === active}
+              onMouseMove={()=>setSel(i)}
+              onClick={()=>run(c)}
+              className={"flex justify-between gap-3 px-3 py-2 rounded-lg cursor-pointer text-sm " + (i === active ? "bg-indigo-600 text-white" : "")}
+            >
+              <span><Highlight text={c.label} ranges={c.ranges} /></span>
+              {c.hint && <span className={i === active ? "text-indigo-100" : "text-zinc-500"}>{c.hint}</span>}
+            </li>
+          ))}
+          {matches.length === 0 && <li className="px-3 py-2 text-sm text-zinc-500">{t("No matches")}</li>}
+        </ul>
+        <p className="px-4 py-2 text-xs text-zinc-500 border-t border-zinc-200 dark:border-zinc-700">
+          {SHORTCUTS.map(([keys, what]) => `${keys} ${t(what)}`).join(" · ")} · ↑↓ Enter Esc
+        </p>
+      </div>
+    </div>
+  );
+}
+
 // ------------------------------ SHELL ------------------------------
 export default function WorldCalcHub() {
   const [query, setQuery] = useState("");
-  const [active, setActive] = useState(CALC_REGISTRY[0].id);
-  const filtered = useMemo(()=> {
-    const q = query.trim().toLowerCase();
-    if (!q) return CALC_REGISTRY;
-    return CALC_REGISTRY.filter(c =>
-      c.title.toLowerCase().includes(q) || c.keywords.toLowerCase().includes(q)
-    );
-  }, [query]);
+  const [active, setActive] = useState(() => readRoute().id);
+  const [navKey, setNavKey] = useState(0); // bumped on back/forward so the calculator remounts with restored inputs
+  // what the URL names; once a calculator is on screen, its live session (see `session` below)
+  const route = useRef(null);
+  if (!route.current) route.current = readRoute();
+  const historyTimer = useRef(null);
+  const importInput = useRef(null);
+  const [store, setStore] = useState(emptyStore);
+  const [scenarioName, setScenarioName] = useState("");
+  const [showSaved, setShowSaved] = useState(false);
+  const [comparing, setComparing] = useState(false);
+  const [palette, setPalette] = useState(false);
+  const [announcement, setAnnouncement] = useState("");
+  const [notice, setNotice] = useState("");
+  const commands = useRef({});
+  const reportParts = useRef({ inputs: new Map(), tables: new Map() });
+  const announceTimer = useRef(null);
+  const noticeTimer = useRef(null);
+  const paletteReturn = useRef(null);
+  const panelRef = useRef(null);
+  const pendingFocus = useRef(false);
+  const ids = useId();
+
+  useEffect(() => { setStore(loadStore()); }, []);
+  const updateStore = (fn) => setStore(prev => { const next = fn(prev); saveStore(next); return next; });
+
+  const registry = useCalculators();
+  const [category, setCategory] = useState("");
+  // the fixed five first, then any a plugin brought; only those that have calculators
+  const categories = useMemo(() => [...new Set([...CATEGORIES, ...registry.map(c => c.category)])].filter(cat => registry.some(c => c.category === cat)), [registry]);
+  const { filtered, highlights } = useMemo(()=> {
+    const tr = (key) => STRINGS[store.settings.lang]?.[key] ?? key;
+    const pool = category ? registry.filter(c => c.category === category) : registry;
+    const byId = new Map(pool.map(c => [c.id, c]));
+    const fav = (id) => store.favourites.includes(id);
+    // best match first; among equals (and with no query) favourites, then registry order
+    const ranked = searchItems(query, pool.map(c => ({
+      key: c.id, name: tr(c.title), text: [c.title, c.cardTitle, c.keywords, c.category, tr(c.category ?? "")].filter(Boolean).join(" "),
+    }))).sort((a, b) => b.score - a.score || fav(b.key) - fav(a.key));
+    return { filtered: ranked.map(r => byId.get(r.key)), highlights: new Map(ranked.map(r => [r.key, r.ranges])) };
+  }, [registry, query, category, store.favourites, store.settings.lang]);
 
-  const current = filtered.find(c=>c.id===active) || filtered[0] || CALC_REGISTRY[0];
+  const current = filtered.find(c=>c.id===active) || filtered[0] || registry[0];
+
+  useEffect(() => {
+    const onPop = () => {
+      route.current = readRoute();
+      // clear the filters, or a filtered-out calculator would leave the previous one on screen
+      setQuery("");
+      setCategory("");
+      setActive(route.current.id);
+      setNavKey(k => k + 1);
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
+  const open = (id) => {
+    if (id === current.id) return;
+    route.current = { id, params: {} };
+    setActive(id);
+    window.history.pushState(null, "", buildHash(id, {}));
+  };
+
+  const restore = (entry) => {
+    route.current = { id: entry.calc, params: { ...entry.params } };
+    setQuery("");
+    setCategory("");
+    setActive(entry.calc);
+    setNavKey(k => k + 1);
+    window.history.pushState(null, "", buildHash(entry.calc, entry.params));
+  };
+
+  // a calculation lands in history once the user has edited an input and paused
+  const snapshot = () => ({ uid: uid(), calc: route.current.id, params: { ...route.current.params }, results: { ...route.current.results }, at: Date.now() });
+  const scheduleHistory = () => {
+    clearTimeout(historyTimer.current);
+    historyTimer.current = setTimeout(() => {
+      if (!route.current.dirty) return;
+      route.current.dirty = false;
+      const entry = snapshot();
+      updateStore(st => {
+        const [last, ...rest] = st.history;
+        const same = last && last.calc === entry.calc && JSON.stringify(last.params) === JSON.stringify(entry.params);
+        return { ...st, history: [entry, ...(same ? rest : st.history)].slice(0, HISTORY_LIMIT) };
+      });
+    }, HISTORY_IDLE_MS);
+  };
+  const scheduleAnnouncement = () => {
+    clearTimeout(announceTimer.current);
+    announceTimer.current = setTimeout(() => setAnnouncement(summary(route.current.results)), ANNOUNCE_IDLE_MS);
+  };
+  useEffect(() => () => [historyTimer, announceTimer, noticeTimer].forEach(r => clearTimeout(r.current)), []);
+
+  const register = (map, id, get) => {
+    map.set(id, get);
+    return () => { if (map.get(id) === get) map.delete(id); };
+  };
+  // one per mounted calculator: its inputs, latest results and whether the user has edited it.
+  // Built fresh here and only published to `route` after commit, so render stays pure.
+  const session = useMemo(() => (
+    // search may show a different calculator than the URL names; it starts from defaults
+    { id: current.id, params: route.current.id === current.id ? route.current.params : {}, results: {}, dirty: false }
+  ), [current.id, navKey]);
+  useEffect(() => { route.current = session; }, [session]);
+  const params = useMemo(() => ({
+    params: session.params,
+    setParam: (key, value) => {
+      if (session.params[key] === value) return;
+      // keys missing from the URL are defaults being filled in, not user edits
+      if (key in session.params) { session.dirty = true; scheduleHistory(); }
+      session.params = { ...session.params, [key]: value };
+      window.history.replaceState(null, "", buildHash(session.id, session.params));
+    },
+    reportStat: (label, value) => {
+      if (value === undefined) delete session.results[label];
+      else session.results[label] = value;
+      if (session.dirty) scheduleHistory();
+      scheduleAnnouncement();
+    },
+    registerCommand: (name, run) => {
+      commands.current[name] = run;
+      return () => { if (commands.current[name] === run) delete commands.current[name]; };
+    },
+    registerInput: (id, get) => register(reportParts.current.inputs, id, get),
+    registerTable: (id, get) => register(reportParts.current.tables, id, get),
+  }), [session]);
+
+  const settings = useMemo(() => ({
+    ...store.settings,
+    rates: store.rates || BUNDLED_RATES,
+    setSetting: (key, value) => updateStore(st => ({ ...st, settings: { ...st.settings, [key]: value } })),
+    setRates: (rates) => updateStore(st => ({ ...st, rates })),
+  }), [store.settings, store.rates]);
+  const currencyCodes = Object.keys(settings.rates.rates).sort();
+  const t = (key) => STRINGS[settings.lang]?.[key] ?? key;
+
+  const isFavourite = store.favourites.includes(current.id);
+  const toggleFavourite = () => updateStore(st => ({
+    ...st,
+    favourites: isFavourite ? st.favourites.filter(id => id !== current.id) : [...st.favourites, current.id],
+  }));
+  const saveScenario = () => {
+    const name = scenarioName.trim() || `${current.title} ${new Date().toLocaleDateString()}`;
+    updateStore(st => ({ ...st, scenarios: [{ ...snapshot(), name }, ...st.scenarios] }));
+    setScenarioName("");
+    setShowSaved(true);
+  };
+  const exportData = () => downloadText("world-calc-hub.json", JSON.stringify(store, null, 2), "application/json");
+  const importData = async (file) => {
+    if (!file) return;
+    try {
+      const incoming = normaliseStore(JSON.parse(await file.text()));
+      updateStore(st => mergeStores(st, incoming));
+      setShowSaved(true);
+    } catch (err) {
+      window.alert(`${t("Import failed")}: ${err.message}`);
+    }
+  };
+
+  // ---- keyboard: shortcuts, command palette, tab focus ----
+  const flash = (message) => {
+    setNotice(message);
+    clearTimeout(noticeTimer.current);
+    noticeTimer.current = setTimeout(() => setNotice(""), 2500);
+  };
+  const copyResults = () => {
+    const lines = Object.entries(route.current.results).map(([k, v]) => `${k}: ${v}`);
+    if (!lines.length) return flash(t("Nothing to copy"));
+    if (!navigator.clipboard) return flash(t("Copy failed"));
+    navigator.clipboard.writeText([t(current.title), ...lines].join("\n")).then(() => flash(t("Results copied")), () => flash(t("Copy failed")));
+  };
+  // what the calculator on screen shows right now, in the user's language
+  const buildReport = () => ({
+    title: t(current.title),
+    url: window.location.href,
+    generatedAt: new Date().toLocaleString(settings.lang),
+    inputs: [...reportParts.current.inputs.values()].map(get => get()).filter(Boolean),
+    outputs: Object.entries(route.current.results).map(([label, value]) => ({ label, value })),
+    tables: [...reportParts.current.tables.values()].map(get => get()).filter(Boolean),
+    headings: Object.fromEntries(["Inputs", "Results", "Input", "Result", "Value"].map(k => [k, t(k)])),
+  });
+  const exportReport = (format) => {
+    const report = buildReport();
+    const file = `${current.id}-report`;
+    if (format === "md") downloadText(`${file}.md`, reportToMarkdown(report), "text/markdown");
+    else if (format === "csv") downloadText(`${file}.csv`, reportToCSV(report), "text/csv");
+    else if (format === "json") downloadText(`${file}.json`, JSON.stringify(report, null, 2), "application/json");
+    else if (format === "print") printPage(report.title, reportToHTML(report));
+  };
+  const REPORT_FORMATS = [["md", "Markdown"], ["csv", "CSV"], ["json", "JSON"], ["print", "Print report"]];
+  const swapUnits = () => {
+    if (!commands.current.swap) return;
+    commands.current.swap();
+    flash(t("Units swapped"));
+  };
+  const openPalette = () => {
+    paletteReturn.current = document.activeElement;
+    setPalette(true);
+  };
+  // focus goes back to where it was, unless the command moved it on purpose
+  const closePalette = (keepFocus) => {
+    setPalette(false);
+    if (!keepFocus) paletteReturn.current?.focus?.();
+  };
+  const paletteCommands = () => [
+    ...registry.map(c => ({
+      id: `calc:${c.id}`, label: t(c.title), hint: t(c.category ?? ""), keywords: `${c.title} ${c.keywords}`, keepFocus: true,
+      run: () => { setQuery(""); setCategory(""); pendingFocus.current = true; open(c.id); },
+    })),
+    { id: "copy", label: t("Copy results"), hint: "Alt C", run: copyResults },
+    ...(commands.current.swap ? [{ id: "swap", label: t("Swap units"), hint: "Alt S", run: swapUnits }] : []),
+    ...(comparing ? [] : REPORT_FORMATS.map(([format, name]) => ({ id: `report:${format}`, label: `${t("Export report…")} ${t(name)}`, run: () => exportReport(format) }))),
+    { id: "compare", label: t(comparing ? "Exit Compare" : "⇆ Compare"), run: () => setComparing(v => !v) },
+    { id: "saved", label: t(showSaved ? "Hide" : "Saved & History"), run: () => setShowSaved(v => !v) },
+    { id: "pin", label: t(isFavourite ? "★ Pinned" : "☆ Pin to front"), run: toggleFavourite },
+  ];
+  // after jumping from the palette, focus lands on the calculator
+  useEffect(() => {
+    if (!pendingFocus.current) return;
+    pendingFocus.current = false;
+    panelRef.current?.focus();
+  });
+  const keyHandler = useRef(null);
+  keyHandler.current = (e) => {
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && !e.altKey && !e.shiftKey && e.key.toLowerCase() === "k") {
+      e.preventDefault();
+      if (palette) closePalette(); else openPalette();
+    } else if (e.altKey && !mod && e.code === "KeyS" && commands.current.swap) {
+      e.preventDefault();
+      swapUnits();
+    } else if (e.altKey && !mod && e.code === "KeyC") {
+      e.preventDefault();
+      copyResults();
+    }
+  };
+  useEffect(() => {
+    const onKey = (e) => keyHandler.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+  // tablist keys: ←/→ wrap around, Home/End; moving focus also opens the calculator
+  const onTabKey = (e, i) => {
+    const to = { ArrowRight: i + 1, ArrowLeft: i - 1, Home: 0, End: filtered.length - 1 }[e.key];
+    if (to === undefined) return;
+    e.preventDefault();
+    const next = filtered[(to + filtered.length) % filtered.length];
+    open(next.id);
+    document.getElementById(`${ids}-tab-${next.id}`)?.focus();
+  };
+  const tabId = (id) => `${ids}-tab-${id}`;
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-indigo-50 via-white to-white dark:from-zinc-950 dark:via-zinc-950 dark:to-zinc-900 text-zinc-900 dark:text-zinc-100">
       <div className="max-w-6xl mx-auto px-4 py-8">
-        <header className="mb-6">
-          <h1 className="text-3xl sm:text-4xl font-bold tracking-tight">🌍 World Calc Hub</h1>
-          <p className="text-zinc-600 dark:text-zinc-300 mt-1">Ek hi jagah par saare popular calculators & converters — fast, simple, accurate.</p>
+        <button
+          onClick={()=>panelRef.current?.focus()}
+          className={"sr-only focus:not-sr-only focus:absolute focus:top-2 focus:left-2 z-50 rounded-xl px-3 py-2 bg-indigo-600 text-white " + FOCUS_RING}
+        >
+          {t("Skip to calculator")}
+        </button>
+        <header className="mb-6 flex flex-wrap gap-4 items-end justify-between">
+          <div>
+            <h1 className="text-3xl sm:text-4xl font-bold tracking-tight">🌍 World Calc Hub</h1>
+            <p className="text-zinc-600 dark:text-zinc-300 mt-1">{t("All popular calculators & converters in one place — fast, simple, accurate.")}</p>
+          </div>
+          <div className="flex flex-wrap gap-3 text-sm">
+            <label className="flex flex-col gap-1">
+              <span className="text-zinc-500">{t("Language")}</span>
+              <Select value={settings.lang} onChange={e=>settings.setSetting("lang", e.target.value)}>
+                {LANGUAGES.map(([code, name]) => <option key={code} value={code}>{name}</option>)}
+              </Select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-zinc-500">{t("Number format")}</span>
+              <Select value={settings.locale} onChange={e=>settings.setSetting("locale", e.target.value)}>
+                {LOCALES.map(([code, name]) => <option key={code} value={code}>{t(name)}</option>)}
+              </Select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-zinc-500">{t("Money in")}</span>
+              <Select value={settings.currency} onChange={e=>settings.setSetting("currency", e.target.value)}>
+                {currencyCodes.map(c => <option key={c}>{c}</option>)}
+              </Select>
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-zinc-500">{t("Symbol")}</span>
+              <input
+                value={settings.symbol}
+                onChange={e=>settings.setSetting("symbol", e.target.value.slice(0, 4))}
+                placeholder={`${t("auto")} (${currencySymbol(settings.currency)})`}
+                className="w-24 rounded-xl border px-3 py-2 bg-white dark:bg-zinc-800 border-zinc-200 dark:border-zinc-700 outline-none focus:ring-2 focus:ring-indigo-500"
+              />
+            </label>
+            <label className="flex flex-col gap-1">
+              <span className="text-zinc-500">{t("Also show in")}</span>
+              <Select value={settings.showIn} onChange={e=>settings.setSetting("showIn", e.target.value)}>
+                <option value="">—</option>
+                {currencyCodes.map(c => <option key={c}>{c}</option>)}
+              </Select>
+            </label>
+          </div>
         </header>
 
         <div className="flex flex-col sm:flex-row gap-3 sm:items-center mb-6">
           <input
             value={query}
             onChange={(e)=>setQuery(e.target.value)}
-            placeholder="Search: EMI, BMI, GST, Temperature, Length…"
+            placeholder={t("Search: EMI, BMI, GST, Temperature, Length…")}
+            aria-label={t("Search calculators")}
             className="flex-1 rounded-2xl border px-4 py-3 bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 outline-none focus:ring-2 focus:ring-indigo-500"
           />
-          <div className="flex gap-2 overflow-x-auto pb-1">
-            {filtered.map(c => (
+          <div role="tablist" aria-label={t("Calculators")} className="flex gap-2 overflow-x-auto p-1">
+            {filtered.map((c, i) => (
               <button
                 key={c.id}
-                onClick={()=>setActive(c.id)}
+                id={tabId(c.id)}
+                role="tab"
+                aria-selected={c.id===current.id}
+                aria-controls={`${ids}-panel`}
+                tabIndex={c.id===current.id ? 0 : -1}
+                onKeyDown={e=>onTabKey(e, i)}
+                onClick={()=>open(c.id)}
                 className={
-                  "px-3 py-2 rounded-xl border text-sm whitespace-nowrap " +
+                  `px-3 py-2 rounded-xl border text-sm whitespace-nowrap ${FOCUS_RING} ` +
                   (c.id===current.id ? "bg-indigo-600 text-white border-indigo-600" : "bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800")
                 }
               >
-                {c.title}
+                {store.favourites.includes(c.id) && "★ "}<Highlight text={t(c.title)} ranges={highlights.get(c.id)} />
               </button>
             ))}
+            {filtered.length === 0 && <span className="px-3 py-2 text-sm text-zinc-500 whitespace-nowrap">{t("No matches")}</span>}
+          </div>
+        </div>
+        <div role="group" aria-label={t("Categories")} className="flex flex-wrap gap-2 -mt-3 mb-6 text-sm">
+          {["", ...categories].map(cat => (
+            <button
+              key={cat}
+              onClick={()=>setCategory(cat)}
+              aria-pressed={category === cat}
+              className={
+                `px-3 py-1 rounded-full border ${FOCUS_RING} ` +
+                (category === cat ? "bg-indigo-600 text-white border-indigo-600" : "bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800")
+              }
+            >
+              {t(cat || "All")}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap gap-2 items-center mb-4 text-sm">
+          <button
+            onClick={toggleFavourite}
+            className="px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800"
+          >
+            {t(isFavourite ? "★ Pinned" : "☆ Pin to front")}
+          </button>
+          <input
+            value={scenarioName}
+            onChange={(e)=>setScenarioName(e.target.value)}
+            onKeyDown={(e)=>{ if (e.key === "Enter") saveScenario(); }}
+            placeholder={t("Scenario name")}
+            className="rounded-xl border px-3 py-2 bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 outline-none focus:ring-2 focus:ring-indigo-500"
+          />
+          <Button onClick={saveScenario}>{t("Save Scenario")}</Button>
+          <button
+            onClick={()=>setComparing(v => !v)}
+            aria-pressed={comparing}
+            className={
+              "px-3 py-2 rounded-xl border " +
+              (comparing ? "bg-indigo-600 text-white border-indigo-600" : "bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800")
+            }
+          >
+            {t(comparing ? "Exit Compare" : "⇆ Compare")}
+          </button>
+          <button
+            onClick={openPalette}
+            aria-keyshortcuts="Control+K Meta+K"
+            className={"px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800 " + FOCUS_RING}
+          >
+            {t("Commands")} <kbd className="ml-1 text-xs text-zinc-500">Ctrl/⌘ K</kbd>
+          </button>
+          {!comparing && (
+            <select
+              value=""
+              onChange={e=>exportReport(e.target.value)}
+              aria-label={t("Export report…")}
+              className={"px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800 " + FOCUS_RING}
+            >
+              <option value="" disabled>{t("Export report…")}</option>
+              {REPORT_FORMATS.map(([format, name]) => <option key={format} value={format}>{t(name)}</option>)}
+            </select>
+          )}
+          <span role="status" className="text-emerald-700 dark:text-emerald-400">{notice}</span>
+          <div className="flex gap-2 ml-auto">
+            <button className="px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800" onClick={()=>setShowSaved(v => !v)}>
+              {t(showSaved ? "Hide" : "Saved & History")}
+            </button>
+            <button className="px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800" onClick={exportData}>{t("Export")}</button>
+            <button className="px-3 py-2 rounded-xl border bg-white dark:bg-zinc-900 border-zinc-200 dark:border-zinc-800 hover:bg-zinc-50 dark:hover:bg-zinc-800" onClick={()=>importInput.current?.click()}>{t("Import")}</button>
+            <input ref={importInput} type="file" accept="application/json,.json" className="hidden" onChange={(e)=>{ importData(e.target.files[0]); e.target.value = ""; }} />
           </div>
         </div>
 
         <main className="grid grid-cols-1 gap-5">
-          {current?.el}
+          <SettingsContext.Provider value={settings}>
+            <div
+              ref={panelRef}
+              id={`${ids}-panel`}
+              role="tabpanel"
+              tabIndex={-1}
+              {...(filtered.includes(current) ? { "aria-labelledby": tabId(current.id) } : { "aria-label": t(current.title) })}
+              className={"grid grid-cols-1 gap-5 rounded-2xl " + FOCUS_RING}
+            >
+              {comparing ? <ComparePanel key={`${current.id}:${navKey}`} entry={current} initial={route.current.params} /> : (
+                <CalcContext.Provider value={params}>
+                  <React.Fragment key={`${current.id}:${navKey}`}><CalculatorView entry={current} /></React.Fragment>
+                </CalcContext.Provider>
+              )}
+            </div>
+            <p aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</p>
+            {palette && <CommandPalette commands={paletteCommands()} onClose={closePalette} />}
+            {showSaved && (
+              <SavedPanel
+                store={store}
+                currentId={current.id}
+                onRestore={restore}
+                onDelete={(id)=>updateStore(st => ({ ...st, scenarios: st.scenarios.filter(e => e.uid !== id) }))}
+                onClearHistory={()=>updateStore(st => ({ ...st, history: [] }))}
+              />
+            )}
+          </SettingsContext.Provider>
         </main>
 
         <footer className="mt-10 text-xs text-zinc-500">
-          <p>Tip: Naya calculator add karna ho to file ke end me <code>CALC_REGISTRY</code> me entry badhao aur ek naya React component banao. All local math, no tracking.</p>
+          <p>{t("Tip: to add a calculator, describe its inputs, formula and outputs as a spec and pass it to registerCalculator() (or add it to CALC_REGISTRY). All local math, no tracking.")}</p>
         </footer>
       </div>
     </div>
   );
 }
+
+// ------------------------------ EMBEDDING ------------------------------
+// One calculator without the hub shell – no tabs, storage or URL syncing. React pages render
+// <WorldCalcWidget id="emi" />; other pages call defineWorldCalcElement() and use <world-calc id="emi">.
+
+/**
+ * @typedef {Object} WidgetResult
+ * @property {string} id                         calculator id
+ * @property {Object<string, *>} results         result key → raw value: numbers unrounded (amounts in the
+ *   widget's `currency`), dates as ISO strings, statuses in English; null while there is no result
+ * @property {Object<string, string>} formatted  result key → value as displayed (locale, language, symbol)
+ * @property {Object<string, string>} params     input key → value, as in a deep link
+ */
+
+const WIDGET_IDLE_MS = 150; // results arrive one Stat at a time; report them once they settle
+
+/**
+ * @param {{ id: string, values?: Object<string, *>, currency?: string, locale?: string, lang?: string,
+ *   symbol?: string, showIn?: string, rates?: import("./world_calc_core.js").RateTable, theme?: "light"|"dark", onResult?: function(WidgetResult): void,
+ *   className?: string }} props
+ *   values: initial inputs by deep-link key (e.g. { p: 2500000, r: 8.5, t: 20 } for "emi"); a different
+ *   `values` or `id` starts the calculator over. theme "dark" sets Tailwind's `dark` class on the widget.
+ */
+export function WorldCalcWidget({ id, values, currency, locale, lang, symbol, showIn, rates, theme = "light", onResult, className = "" }) {
+  const entry = useCalculators().find(c => c.id === id);
+  const settings = useMemo(() => ({
+    ...DEFAULT_SETTINGS,
+    ...Object.fromEntries(Object.entries({ currency, locale, lang, symbol, showIn }).filter(([, v]) => v !== undefined && v !== null)),
+    rates: normaliseRateTable(rates) ?? BUNDLED_RATES,
+  }), [currency, locale, lang, symbol, showIn, rates]);
+  const key = `${id}:${JSON.stringify(values ?? {})}`;
+  const latest = useRef(onResult);
+  latest.current = onResult;
+  const timer = useRef(null);
+  useEffect(() => () => clearTimeout(timer.current), []);
+  const ctx = useMemo(() => {
+    const params = Object.fromEntries(Object.entries(values ?? {}).map(([k, v]) => [k, encodeParam(v)]));
+    const state = { params: { ...params }, results: {}, formatted: {} };
+    const schedule = () => {
+      clearTimeout(timer.current);
+      timer.current = setTimeout(() => latest.current?.({
+        id, results: { ...state.results }, formatted: { ...state.formatted }, params: { ...state.params },
+      }), WIDGET_IDLE_MS);
+    };
+    return {
+      params,
+      setParam: (name, value) => {
+        if (state.params[name] === value) return;
+        state.params[name] = value;
+        schedule();
+      },
+      reportStat: (label, value, { key, raw } = {}) => {
+        if (value === undefined) { delete state.results[key]; delete state.formatted[key]; }
+        else { state.results[key] = raw; state.formatted[key] = value; }
+        schedule();
+      },
+    };
+  }, [key]);
+  return (
+    <div className={(theme === "dark" ? "dark " : "") + className}>
+      <div className="text-zinc-900 dark:text-zinc-100">
+        <SettingsContext.Provider value={settings}>
+          <CalcContext.Provider value={ctx}>
+            {entry
+              ? <React.Fragment key={key}><CalculatorView entry={entry} /></React.Fragment>
+              : <LoadFailed error={new Error(`unknown calculator "${id}"`)} />}
+          </CalcContext.Provider>
+        </SettingsContext.Provider>
+      </div>
+    </div>
+  );
+}
+
+const WIDGET_ATTRIBUTES = ["id", "values", "currency", "locale", "lang", "symbol", "show-in", "theme"];
+
+// values="p=2500000&r=8.5" (deep-link style) or values='{"p": 2500000}'
+const parseWidgetValues = (raw) => {
+  if (!raw) return undefined;
+  if (raw.trim().startsWith("{")) {
+    try { return JSON.parse(raw); } catch { return undefined; }
+  }
+  return Object.fromEntries(new URLSearchParams(raw));
+};
+
+/**
+ * Register the <world-calc> custom element (or `tagName`). Attributes: id (the calculator),
+ * values, currency, locale, lang, symbol, show-in, theme – changing one re-renders. Results are
+ * dispatched as a bubbling "result" CustomEvent whose detail is a WidgetResult. Renders into the
+ * element itself (no shadow DOM) so the page's Tailwind styles apply.
+ * @param {string} [tagName="world-calc"]
+ * @returns {CustomElementConstructor|undefined} undefined where custom elements aren't available
+ */
+export function defineWorldCalcElement(tagName = "world-calc") {
+  if (typeof window === "undefined" || !window.customElements) return undefined;
+  const existing = window.customElements.get(tagName);
+  if (existing) return existing;
+  class WorldCalcElement extends window.HTMLElement {
+    static get observedAttributes() { return WIDGET_ATTRIBUTES; }
+    connectedCallback() {
+      if (!this.reactRoot) this.reactRoot = createRoot(this);
+      this.renderWidget();
+    }
+    attributeChangedCallback() {
+      if (this.reactRoot) this.renderWidget();
+    }
+    disconnectedCallback() {
+      // moving the element disconnects and reconnects it; only unmount once it has really left
+      queueMicrotask(() => {
+        if (this.isConnected || !this.reactRoot) return;
+        this.reactRoot.unmount();
+        this.reactRoot = null;
+      });
+    }
+    renderWidget() {
+      const attr = (name) => this.getAttribute(name) ?? undefined;
+      this.reactRoot.render(
+        <WorldCalcWidget
+          id={attr("id")}
+          values={parseWidgetValues(attr("values"))}
+          currency={attr("currency")}
+          locale={attr("locale")}
+          lang={attr("lang")}
+          symbol={attr("symbol")}
+          showIn={attr("show-in")}
+          theme={attr("theme")}
+          onResult={(detail) => this.dispatchEvent(new CustomEvent("result", { detail, bubbles: true }))}
+        />
+      );
+    }
+  }
+  window.customElements.define(tagName, WorldCalcElement);
+  return WorldCalcElement;
+}
@@ -0,0 +1,2517 @@
+/**
+ * WORLD CALC CORE – headless calculation module (no React, no DOM)
+ * ---------------------------------------------------------------
+ * - Every formula used by WorldCalcHub, as plain pure functions
+ * - Safe to import from Node scripts, backends and unit tests
+ * - Inputs accept numbers or numeric strings (form values); bad input falls back to 0
+ *
+ * Usage:
+ *   import { calcEMI } from "./world_calc_core.js";
+ *   calcEMI({ principal: 500000, ratePct: 10, tenure: 5, tenureType: "Years" });
+ */
+
+// ------------------------------ UTILITIES ------------------------------
+/**
+ * Parse a number or numeric string ("1,000" allowed); returns `def` when not finite.
+ * @param {number|string} v
+ * @param {number} [def=0]
+ * @returns {number}
+ */
+export const toNum = (v, def = 0) => {
+  const n = typeof v === "number" ? v : parseFloat(String(v).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : def;
+};
+export const clamp = (n, a, b) => Math.min(Math.max(n, a), b);
+
+const SCALE_WORDS = { k: 1e3, thousand: 1e3, lakh: 1e5, lac: 1e5, lakhs: 1e5, crore: 1e7, cr: 1e7, crores: 1e7 };
+
+// the locale's decimal mark and group separator; "." and "," for an unknown locale
+const separators = (locale) => {
+  try {
+    const parts = new Intl.NumberFormat(locale || undefined).formatToParts(11111.1);
+    return { mark: parts.find(p => p.type === "decimal")?.value || ".", group: parts.find(p => p.type === "group")?.value || "," };
+  } catch {
+    return { mark: ".", group: "," };
+  }
+};
+
+/**
+ * Parse text typed in a locale's own format: "1,00,000" (en-IN), "1.000,50" (de-DE),
+ * "1 000,5" (fr-FR). Group separators are dropped, the locale's decimal mark becomes ".".
+ * Where the mark is ",", a "." still reads as a decimal point unless the locale groups
+ * with "." and every group after it has exactly 3 digits ("7.5" is 7.5 in de-DE and
+ * fr-FR, "1.000" is 1000 in de-DE only).
+ * A trailing k / lakh / crore scales the number ("12.5 lakh" → 1250000).
+ * @param {string|number} text
+ * @param {string} [locale] BCP 47 tag; the runtime default when omitted
+ * @returns {number} NaN when the text is not a number
+ */
+export function parseLocaleNumber(text, locale) {
+  if (typeof text === "number") return text;
+  let s = String(text ?? "").trim().toLowerCase().replace(/[\s\u00a0\u202f'’_]/g, "");
+  let scale = 1;
+  const word = /^(.*?\d)(k|thousand|lakhs?|lac|crores?|cr)$/.exec(s);
+  if (word) { s = word[1]; scale = SCALE_WORDS[word[2]]; }
+  const { mark, group } = separators(locale);
+  let normal;
+  if (mark === ",") {
+    normal = group === "." && /^[+-]?\d{1,3}(\.\d{3})+(,\d*)?$/.test(s) ? s.replace(/\./g, "") : s;
+    normal = normal.replace(",", ".");
+  } else {
+    normal = s.split(",").join("");
+  }
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/.test(normal) ? Number(normal) * scale : NaN;
+}
+
+/**
+ * Show a plain number string ("7.5", as stored in params) with the locale's decimal mark
+ * ("7,5" in de-DE), digit for digit and without grouping, so parseLocaleNumber reads it back
+ * unchanged. Anything that isn't a plain decimal is returned as is.
+ * @param {string|number} value
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function formatLocaleInput(value, locale) {
+  const s = String(value ?? "");
+  if (!/^-?\d+\.\d+$/.test(s)) return s;
+  return s.replace(".", separators(locale).mark);
+}
+
+const INDIAN_WORDS = {
+  en: [[1e7, "crore"], [1e5, "lakh"], [1e3, "thousand"]],
+  hi: [[1e7, "करोड़"], [1e5, "लाख"], [1e3, "हज़ार"]],
+};
+
+/**
+ * Indian short scale in words: 1250000 → "12.5 lakh", 32000000 → "3.2 crore".
+ * Below a thousand the plain number is returned.
+ * @param {number} n
+ * @param {{ lang?: "en"|"hi", digits?: number }} [options]
+ * @returns {string}
+ */
+export function formatIndianWords(n, { lang = "en", digits = 2 } = {}) {
+  if (!Number.isFinite(n)) return "-";
+  const words = INDIAN_WORDS[lang] || INDIAN_WORDS.en;
+  const [size, word] = words.find(([v]) => Math.abs(n) >= v) || [1, ""];
+  const x = Number((n / size).toFixed(digits));
+  return word ? `${x} ${word}` : String(x);
+}
+
+/**
+ * Serialise rows to CSV. Numbers are written with `decimals` places; cells with
+ * commas, quotes or newlines are quoted.
+ * @param {{ key: string, label: string }[]} columns
+ * @param {Object[]} rows
+ * @param {number} [decimals=2]
+ * @returns {string}
+ */
+export function toCSV(columns, rows, decimals = 2) {
+  const cell = (v) => {
+    const s = typeof v === "number" ? (Number.isInteger(v) ? String(v) : Number.isFinite(v) ? v.toFixed(decimals) : "") : String(v ?? "");
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const lines = [columns.map(c => cell(c.label)).join(",")];
+  for (const r of rows) lines.push(columns.map(c => cell(r[c.key])).join(","));
+  return lines.join("\n");
+}
+
+export const escapeHTML = (v) => String(v ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// ------------------------------ REPORTS ------------------------------
+// One calculator's state as a document – inputs, results and any tables, all as display text –
+// rendered to Markdown, CSV or a print-ready HTML page (JSON is the Report object itself).
+
+/**
+ * @typedef {{ label: string, value: string }} ReportItem
+ * @typedef {{ title: string, columns: { key: string, label: string }[], rows: Object[] }} ReportTable
+ * @typedef {Object} Report
+ * @property {string} title
+ * @property {string} [url]          link that reopens the calculation
+ * @property {string} [generatedAt]  already formatted for display
+ * @property {ReportItem[]} inputs
+ * @property {ReportItem[]} outputs
+ * @property {ReportTable[]} [tables]
+ * @property {Object<string, string>} [headings]  translations of "Inputs", "Results", "Input", "Result", "Value"
+ */
+
+const reportBlocks = (report) => {
+  const h = (text) => report.headings?.[text] ?? text;
+  const items = (label) => [{ key: "label", label: h(label) }, { key: "value", label: h("Value") }];
+  return [
+    { title: h("Inputs"), columns: items("Input"), rows: report.inputs },
+    { title: h("Results"), columns: items("Result"), rows: report.outputs },
+    ...(report.tables ?? []),
+  ].filter(b => b.rows.length);
+};
+
+/**
+ * @param {Report} report
+ * @returns {string}
+ */
+export function reportToMarkdown(report) {
+  const cell = (v) => String(v ?? "").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+  const out = [`# ${report.title}`, ""];
+  const meta = [report.generatedAt, report.url].filter(Boolean).join(" · ");
+  if (meta) out.push(meta, "");
+  for (const b of reportBlocks(report)) {
+    out.push(`## ${b.title}`, "", `| ${b.columns.map(c => cell(c.label)).join(" | ")} |`, `|${b.columns.map(() => " --- |").join("")}`);
+    for (const r of b.rows) out.push(`| ${b.columns.map(c => cell(r[c.key])).join(" | ")} |`);
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+/**
+ * Every block as its own CSV table (title line, header, rows), separated by blank lines.
+ * @param {Report} report
+ * @returns {string}
+ */
+export function reportToCSV(report) {
+  return [toCSV([{ key: "t", label: report.title }], []), ...reportBlocks(report).map(b => `${toCSV([{ key: "t", label: b.title }], [])}\n${toCSV(b.columns, b.rows)}`)].join("\n\n");
+}
+
+/**
+ * A standalone HTML page laid out for printing (A4, tables not split mid-row).
+ * @param {Report} report
+ * @returns {string}
+ */
+export function reportToHTML(report) {
+  const table = (b) => `<section><h2>${escapeHTML(b.title)}</h2><table><thead><tr>${b.columns.map(c => `<th>${escapeHTML(c.label)}</th>`).join("")}</tr></thead>` +
+    `<tbody>${b.rows.map(r => `<tr>${b.columns.map(c => `<td>${escapeHTML(r[c.key])}</td>`).join("")}</tr>`).join("")}</tbody></table></section>`;
+  const meta = [report.generatedAt && escapeHTML(report.generatedAt), report.url && `<a href="${escapeHTML(report.url)}">${escapeHTML(report.url)}</a>`].filter(Boolean).join(" · ");
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHTML(report.title)}</title><style>
+    @page { size: A4; margin: 16mm; }
+    body { font: 12px system-ui, sans-serif; margin: 24px; color: #18181b; }
+    h1 { font-size: 20px; margin: 0 0 4px; } h2 { font-size: 14px; margin: 20px 0 6px; }
+    .meta { color: #71717a; word-break: break-all; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #d4d4d8; padding: 4px 8px; text-align: left; font-variant-numeric: tabular-nums; }
+    th { background: #f4f4f5; }
+    thead { display: table-header-group; } tr { break-inside: avoid; }
+    @media print { body { margin: 0; } a { color: inherit; text-decoration: none; } }
+  </style></head><body><h1>${escapeHTML(report.title)}</h1>${meta ? `<p class="meta">${meta}</p>` : ""}${reportBlocks(report).map(table).join("")}</body></html>`;
+}
+
+// ------------------------------ VALIDATION ------------------------------
+// Declarative input constraints. Errors are message templates plus params ("Must be at least {min}",
+// { min: 1 }) so a UI can translate the template and fill in locale-formatted numbers.
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {boolean} [required]    blank is an error (otherwise blank skips the other checks)
+ * @property {number} [min]
+ * @property {boolean} [exclusiveMin] min itself is not allowed (e.g. height > 0)
+ * @property {number} [max]
+ * @property {boolean} [integer]
+ * @property {boolean} [nonZero]
+ * @property {boolean} [date]        value is a date / date-time string
+ * @property {string} [minDate]      "YYYY-MM-DD", inclusive
+ * @property {string} [maxDate]
+ */
+
+/** @typedef {{ message: string, params?: Object<string, number|string> }} FieldError */
+
+/**
+ * Check one form value against a rule.
+ * @param {number|string} value
+ * @param {FieldRule} [rule]
+ * @returns {FieldError|null}
+ */
+export function checkField(value, rule = {}) {
+  const raw = String(value ?? "").trim();
+  if (raw === "") return rule.required ? { message: "Required" } : null;
+  if (rule.date || rule.minDate || rule.maxDate) {
+    const d = parseDate(raw);
+    if (!d) return { message: "Enter a valid date" };
+    const day = formatDay(d);
+    if (rule.minDate && parseDate(rule.minDate) && day < rule.minDate) return { message: "Must be on or after {date}", params: { date: rule.minDate } };
+    if (rule.maxDate && parseDate(rule.maxDate) && day > rule.maxDate) return { message: "Must be on or before {date}", params: { date: rule.maxDate } };
+    return null;
+  }
+  const n = Number(raw);
+  if (!Number.isFinite(n)) return { message: "Enter a number" };
+  if (rule.integer && !Number.isInteger(n)) return { message: "Must be a whole number" };
+  if (rule.min !== undefined && (rule.exclusiveMin ? n <= rule.min : n < rule.min)) {
+    return { message: rule.exclusiveMin ? "Must be more than {min}" : "Must be at least {min}", params: { min: rule.min } };
+  }
+  if (rule.max !== undefined && n > rule.max) return { message: "Must be at most {max}", params: { max: rule.max } };
+  if (rule.nonZero && n === 0) return { message: "Must not be 0" };
+  return null;
+}
+
+/**
+ * Check several values at once (for scripts and backends; the UI checks field by field).
+ * @param {Object<string, number|string>} values
+ * @param {Object<string, FieldRule>} rules
+ * @returns {{ valid: boolean, errors: Object<string, FieldError> }}
+ */
+export function validateInputs(values, rules) {
+  const errors = {};
+  for (const [key, rule] of Object.entries(rules)) {
+    const err = checkField(values[key], rule);
+    if (err) errors[key] = err;
+  }
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// ------------------------------ GOAL SEEK ------------------------------
+// Any forward formula run in reverse: scan [lo, hi] for a sign change of f(x) - target,
+// then bisect. Works for monotonic and bumpy formulas alike, as long as a root is bracketed.
+
+const SEEK_SAMPLES = 64;
+
+/**
+ * Find x in [lo, hi] with f(x) = target.
+ * @param {{ f: function(number): number, target: number|string, lo: number, hi: number, step?: number }} input
+ *   step: x is snapped to a multiple of it (1 for whole months, 1/12 for years in months), keeping the closer side
+ * @returns {{ value: number, achieved: number } | { value: null, min: number, max: number } | null}
+ *   value null when the target is out of reach (min/max: what f reaches on [lo, hi]); null for a non-numeric target
+ */
+export function goalSeek({ f, target, lo, hi, step }) {
+  const y = Number(String(target ?? "").trim() === "" ? NaN : target);
+  if (!Number.isFinite(y) || !(hi > lo)) return null;
+  const g = (x) => f(x) - y;
+  // geometric spacing when the range spans decades (principal 1 … 1e11), linear otherwise
+  const geometric = lo > 0 && hi / lo > 1e3;
+  const xs = Array.from({ length: SEEK_SAMPLES + 1 }, (_, i) => geometric
+    ? lo * Math.pow(hi / lo, i / SEEK_SAMPLES)
+    : lo + (hi - lo) * i / SEEK_SAMPLES);
+  const samples = xs.map(x => [x, g(x)]).filter(([, v]) => Number.isFinite(v));
+  let bracket = null;
+  for (let i = 0; i < samples.length && !bracket; i++) {
+    if (samples[i][1] === 0) bracket = [samples[i], samples[i]];
+    else if (i > 0 && Math.sign(samples[i][1]) !== Math.sign(samples[i - 1][1])) bracket = [samples[i - 1], samples[i]];
+  }
+  if (!bracket) {
+    const reached = samples.map(([, v]) => v + y);
+    return { value: null, min: reached.length ? Math.min(...reached) : NaN, max: reached.length ? Math.max(...reached) : NaN };
+  }
+  let [[a, ga], [b]] = bracket;
+  for (let i = 0; i < 200 && b - a > 1e-12 * Math.max(1, Math.abs(a)); i++) {
+    const m = (a + b) / 2, gm = g(m);
+    if (gm === 0) { a = b = m; break; }
+    if (Math.sign(gm) === Math.sign(ga)) { a = m; ga = gm; } else b = m;
+  }
+  let x = (a + b) / 2;
+  if (step) {
+    const down = clamp(Math.floor(x / step) * step, lo, hi), up = clamp(Math.ceil(x / step) * step, lo, hi);
+    x = Math.abs(g(down)) <= Math.abs(g(up)) ? down : up;
+  }
+  return { value: x, achieved: f(x) };
+}
+
+// ------------------------------ SEARCH ------------------------------
+// Forgiving, ranked search over calculator names: every query word must match the name or the
+// other text of an item – exactly, as a prefix or substring, within one or two typos, or through a
+// synonym ("byaj" → interest, "kist" → emi). Filler words ("calculator", also misspelt) are ignored.
+// Matches in the name weigh double.
+
+/**
+ * Query word → the words it stands for. Covers everyday English alternatives and romanised
+ * Hindi (several spellings each) plus the Devanagari originals.
+ */
+export const SEARCH_SYNONYMS = {
+  byaj: "interest", byaaj: "interest", biyaj: "interest", vyaj: "interest", ब्याज: "interest",
+  chakravriddhi: "compound", चक्रवृद्धि: "compound",
+  lone: "loan", karz: "loan", karza: "loan", karj: "loan", rin: "loan", udhar: "loan", कर्ज: "loan", कर्ज़: "loan", ऋण: "loan", लोन: "loan",
+  kist: "emi", kisht: "emi", qist: "emi", किस्त: "emi", क़िस्त: "emi", mortgage: "loan emi", instalment: "emi", installment: "emi",
+  nivesh: "investment sip", bachat: "savings sip", निवेश: "investment sip", बचत: "savings sip", fd: "compound interest", deposit: "compound interest",
+  kar: "tax", aaykar: "income tax", aykar: "income tax", कर: "tax", आयकर: "income tax", vat: "gst",
+  chhoot: "discount", chhut: "discount", chut: "discount", sale: "discount", छूट: "discount",
+  pratishat: "percentage", pratishad: "percentage", प्रतिशत: "percentage",
+  umar: "age", umr: "age", umra: "age", aayu: "age", उम्र: "age", आयु: "age", birthday: "age",
+  tarikh: "date", tareekh: "date", din: "days", तारीख: "date", तारीख़: "date", दिन: "days",
+  samay: "time", waqt: "time", vakt: "time", समय: "time", clock: "time zone",
+  vajan: "weight", vazan: "weight", wajan: "weight", वजन: "weight", वज़न: "weight",
+  motapa: "bmi obesity", मोटापा: "bmi obesity", calorie: "bmr calories", calories: "bmr calories", diet: "bmr calories protein",
+  pani: "water", paani: "water", पानी: "water",
+  lambai: "length height", लंबाई: "length height", doori: "length distance", duri: "length distance", दूरी: "length distance",
+  taapmaan: "temperature", tapman: "temperature", तापमान: "temperature",
+  mudra: "currency", paisa: "currency", rupaya: "currency rupee", मुद्रा: "currency", रुपया: "currency rupee", forex: "currency",
+  bhinn: "fraction", भिन्न: "fraction", ausat: "average mean statistics", औसत: "average mean statistics", average: "mean statistics",
+  std: "standard deviation", sd: "standard deviation", avg: "average mean", hcf: "gcd",
+  hisab: "basic", jod: "add", जोड़: "add", ganit: "math", गणित: "math",
+};
+
+// filler words that shouldn't narrow the result ("emi calc", "loan calculator online")
+const SEARCH_STOPWORDS = new Set(["calc", "calculator", "calculators", "online", "free", "the", "a", "of", "for", "to", "my", "kaise", "nikale", "kitna", "कैलकुलेटर"]);
+
+const searchWords = (text) => String(text ?? "").toLowerCase().split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+
+// optimal string alignment distance (adjacent swaps count as one typo), giving up past `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    [prev2, prev] = [prev, row];
+  }
+  return prev[b.length];
+};
+const typoBudget = (word) => word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+
+// a filler word, or a typo of one ("calculater"); short fillers like "the" only count when exact
+const isStopword = (word) => SEARCH_STOPWORDS.has(word) ||
+  (typoBudget(word) > 0 && [...SEARCH_STOPWORDS].some(s => s.length >= 4 && editDistance(word, s, typoBudget(word)) <= typoBudget(word)));
+
+// how well one query word matches one text: 0 (not at all) … 1 (a whole word). Synonyms only count
+// as whole words or prefixes ("age" for "umar" must not find "percentage").
+const wordScore = (q, text, words, loose) => {
+  if (words.includes(q)) return 1;
+  if (words.some(w => w.startsWith(q))) return 0.8;
+  if (!loose) return 0;
+  if (text.includes(q)) return 0.6;
+  const budget = typoBudget(q);
+  if (!budget) return 0;
+  const d = Math.min(budget + 1, ...words.filter(w => w.length >= 3).map(w => editDistance(q, w.slice(0, q.length + budget), budget)));
+  return d <= budget ? 0.5 - 0.1 * d : 0;
+};
+
+// the query word itself, plus what it stands for (its synonyms, also when it has a typo)
+const expandWord = (q) => {
+  const out = [[q, 1]];
+  for (const [alias, meaning] of Object.entries(SEARCH_SYNONYMS)) {
+    const exact = alias === q;
+    if (exact || (typoBudget(q) && editDistance(q, alias, 1) <= 1)) out.push(...searchWords(meaning).map(w => [w, exact ? 0.9 : 0.7]));
+  }
+  return out;
+};
+
+/**
+ * @typedef {Object} SearchItem
+ * @property {string} key
+ * @property {string} name   what the user sees (gets highlight ranges)
+ * @property {string} [text] everything else that should be found: keywords, English title, category
+ */
+
+/**
+ * Rank items against a query. An empty query (or one of only filler words like "calculator")
+ * keeps every item with score 0, in the given order.
+ * @param {string} query
+ * @param {SearchItem[]} items
+ * @returns {{ key: string, score: number, ranges: Array<[number, number]> }[]}
+ *   best first (ties keep input order); ranges are [start, end) in `name` to highlight
+ */
+export function searchItems(query, items) {
+  const words = searchWords(query).filter(w => !isStopword(w));
+  if (!words.length) return items.map(it => ({ key: it.key, score: 0, ranges: [] }));
+  const expanded = words.map(expandWord);
+  const out = [];
+  items.forEach((it, order) => {
+    const name = String(it.name ?? "").toLowerCase(), nameWords = searchWords(name);
+    const text = String(it.text ?? "").toLowerCase(), textWords = searchWords(text);
+    let score = 0;
+    const hits = [];
+    for (const forms of expanded) {
+      let best = 0;
+      for (const [w, weight] of forms) {
+        const inName = wordScore(w, name, nameWords, weight === 1) * 2 * weight;
+        const inText = wordScore(w, text, textWords, weight === 1) * weight;
+        if (inName > 0) hits.push(w);
+        best = Math.max(best, inName, inText);
+      }
+      if (!best) return;
+      score += best;
+    }
+    out.push({ key: it.key, score, ranges: highlightRanges(it.name, hits), order });
+  });
+  return out.sort((a, b) => b.score - a.score || a.order - b.order).map(({ order, ...r }) => r);
+}
+
+// where in `name` the matched words are: substrings, else the whole name word a typo matched
+const highlightRanges = (name, hits) => {
+  const lower = String(name ?? "").toLowerCase(), ranges = [];
+  const wordSpans = [...lower.matchAll(/[\p{L}\p{M}\p{N}]+/gu)].map(m => [m.index, m.index + m[0].length]);
+  for (const w of hits) {
+    const at = lower.indexOf(w);
+    if (at >= 0) { ranges.push([at, at + w.length]); continue; }
+    const budget = typoBudget(w);
+    const span = wordSpans.find(([a, b]) => editDistance(w, lower.slice(a, b).slice(0, w.length + budget), budget) <= budget);
+    if (span) ranges.push(span);
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+  return ranges.reduce((acc, r) => {
+    const last = acc[acc.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]); else acc.push([...r]);
+    return acc;
+  }, []);
+};
+
+// ------------------------------ DECIMAL ------------------------------
+// Exact base-10 arithmetic for money: a Decimal is { n: bigint, s: scale } meaning n / 10^s,
+// so 0.1 + 0.2 is exactly 0.3 and rounding happens only where asked, with an explicit rule.
+
+/**
+ * @typedef {{ n: bigint, s: number }} Decimal
+ * @typedef {"half-up"|"half-even"} RoundingMode  half-up: .5 away from zero; half-even: banker's
+ */
+
+/**
+ * Parse a number or numeric string ("1,00,000.50", "1e-3") exactly.
+ * @param {number|string|Decimal} v
+ * @param {Decimal|null} [def=null] returned for unparseable input (NaN, "", "abc")
+ * @returns {Decimal|null}
+ */
+export function dec(v, def = null) {
+  if (v && typeof v === "object" && typeof v.n === "bigint") return v;
+  const m = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(v ?? "").replace(/[,_\s]/g, ""));
+  if (!m || (!m[2] && !m[3])) return def;
+  let digits = (m[2] || "0") + (m[3] || ""), s = (m[3] || "").length - Number(m[4] || 0);
+  if (s < 0) { digits += "0".repeat(-s); s = 0; }
+  return { n: BigInt(digits) * (m[1] === "-" ? -1n : 1n), s };
+}
+
+const pow10 = (k) => 10n ** BigInt(k);
+const rescale = (a, s) => ({ n: a.n * pow10(s - a.s), s });
+const align = (a, b) => { const s = Math.max(a.s, b.s); return [rescale(a, s), rescale(b, s), s]; };
+
+// integer num/den rounded by `mode`
+const divRound = (num, den, mode) => {
+  if (den < 0n) { num = -num; den = -den; }
+  const q = num / den, r = num % den;
+  if (r === 0n) return q;
+  const sign = num < 0n ? -1n : 1n;
+  const twice = 2n * (r < 0n ? -r : r);
+  if (twice < den) return q;
+  if (twice > den) return q + sign;
+  if (mode === "half-even") return q % 2n === 0n ? q : q + sign;
+  return q + sign;
+};
+
+/** @param {Decimal} a @param {Decimal} b @returns {Decimal} */
+export const decAdd = (a, b) => { const [x, y, s] = align(a, b); return { n: x.n + y.n, s }; };
+/** @param {Decimal} a @param {Decimal} b @returns {Decimal} */
+export const decSub = (a, b) => { const [x, y, s] = align(a, b); return { n: x.n - y.n, s }; };
+/** @param {Decimal} a @param {Decimal} b @returns {Decimal} */
+export const decMul = (a, b) => ({ n: a.n * b.n, s: a.s + b.s });
+
+/**
+ * a ÷ b to `places` decimals. null when b is zero.
+ * @param {Decimal} a
+ * @param {Decimal} b
+ * @param {number} [places=20]
+ * @param {RoundingMode} [mode="half-up"]
+ * @returns {Decimal|null}
+ */
+export function decDiv(a, b, places = 20, mode = "half-up") {
+  if (b.n === 0n) return null;
+  return { n: divRound(a.n * pow10(b.s + places), b.n * pow10(a.s), mode), s: places };
+}
+
+/**
+ * Round to `places` decimals (padding with zeros when there are fewer).
+ * @param {Decimal} a
+ * @param {number} places
+ * @param {RoundingMode} [mode="half-up"]
+ * @returns {Decimal}
+ */
+export function decRound(a, places, mode = "half-up") {
+  if (a.s <= places) return rescale(a, places);
+  return { n: divRound(a.n, pow10(a.s - places), mode), s: places };
+}
+
+/** @param {Decimal} a @returns {string} e.g. "-1180.50" – keeps the scale */
+export function decToString(a) {
+  const neg = a.n < 0n, digits = (neg ? -a.n : a.n).toString().padStart(a.s + 1, "0");
+  const int = digits.slice(0, digits.length - a.s), frac = digits.slice(digits.length - a.s);
+  return (neg ? "-" : "") + int + (a.s ? "." + frac : "");
+}
+
+/** @param {Decimal} a @returns {number} */
+export const decToNumber = (a) => Number(decToString(a));
+
+// x% of a, exactly
+const decPercent = (a, pct) => { const m = decMul(a, pct); return { n: m.n, s: m.s + 2 }; };
+const ZERO = { n: 0n, s: 0 };
+
+// ------------------------------ ARITHMETIC ------------------------------
+
+/** @typedef {"+"|"-"|"×"|"÷"} BasicOp */
+
+/**
+ * A op B. Division by zero gives NaN.
+ * @param {{ a: number|string, b: number|string, op: BasicOp }} input
+ * @returns {number}
+ */
+export function calcBasic({ a, b, op }) {
+  const x = toNum(a), y = toNum(b);
+  switch (op) {
+    case "+": return x + y;
+    case "-": return x - y;
+    case "×": return x * y;
+    case "÷": return y === 0 ? NaN : x / y;
+    default: return NaN;
+  }
+}
+
+/**
+ * Percentage increase on a base amount.
+ * @param {{ base: number|string, pct: number|string }} input
+ * @returns {{ increase: number, total: number }}
+ */
+export function calcPercentage({ base, pct }) {
+  const increase = toNum(base) * (toNum(pct) / 100);
+  return { increase, total: toNum(base) + increase };
+}
+
+/**
+ * Sale price after a percentage discount. With `rounding`, the saving is computed
+ * exactly and rounded to paise/cents by that rule, so saved + final = mrp always.
+ * @param {{ mrp: number|string, off: number|string, rounding?: RoundingMode }} input
+ * @returns {{ saved: number, final: number }}
+ */
+export function calcDiscount({ mrp, off, rounding }) {
+  if (rounding) {
+    const price = dec(mrp, ZERO);
+    const saved = decRound(decPercent(price, dec(off, ZERO)), 2, rounding);
+    return { saved: decToNumber(saved), final: decToNumber(decSub(price, saved)) };
+  }
+  const saved = toNum(mrp) * (toNum(off) / 100);
+  return { saved, final: toNum(mrp) - saved };
+}
+
+/**
+ * @param {{ num: number|string, den: number|string }} input
+ * @returns {number} NaN when the denominator is 0
+ */
+export function calcFraction({ num, den }) {
+  const n = toNum(num), d = toNum(den);
+  if (d === 0) return NaN;
+  return n / d;
+}
+
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Exact base conversion (bases 2–36) of any length via BigInt, including a fractional
+ * part ("-1A.8" hex → "-26.5"). A fraction that does not terminate in the target base
+ * is cut at `fractionDigits` and marked with "…". Spaces and "_" separators are ignored.
+ * @param {{ value: string, from: number|string, to: number|string, fractionDigits?: number }} input
+ * @returns {string|null} null for an invalid base or a digit that is not valid in `from`
+ */
+export function convertBase({ value, from, to, fractionDigits = 32 }) {
+  const fb = Number(from), tb = Number(to);
+  if (![fb, tb].every(b => Number.isInteger(b) && b >= 2 && b <= 36)) return null;
+  const m = /^([+-]?)([0-9a-z]*)(?:\.([0-9a-z]*))?$/.exec(String(value ?? "").replace(/[_\s]/g, "").toLowerCase());
+  if (!m || (!m[2] && !m[3])) return null;
+  const digitsOf = (str) => {
+    const out = [];
+    for (const ch of str) {
+      const d = DIGITS.indexOf(ch);
+      if (d < 0 || d >= fb) return null;
+      out.push(BigInt(d));
+    }
+    return out;
+  };
+  const intDigits = digitsOf(m[2]), fracDigits = digitsOf(m[3] || "");
+  if (!intDigits || !fracDigits) return null;
+  const F = BigInt(fb), T = BigInt(tb);
+  const int = intDigits.reduce((acc, d) => acc * F + d, 0n);
+  // the fraction is num/den exactly; each step multiplies by the target base and peels off a digit
+  let num = fracDigits.reduce((acc, d) => acc * F + d, 0n);
+  const den = F ** BigInt(fracDigits.length);
+  let out = int.toString(tb);
+  if (num > 0n) {
+    let frac = "";
+    while (num > 0n && frac.length < fractionDigits) {
+      num *= T;
+      frac += DIGITS[Number(num / den)];
+      num %= den;
+    }
+    out += "." + frac + (num > 0n ? "…" : "");
+  }
+  const negative = m[1] === "-" && /[1-9a-z]/.test(out);
+  return (negative ? "-" : "") + out.toUpperCase();
+}
+
+// ------------------------------ FRACTIONS ------------------------------
+// Exact rationals on BigInt. Text input takes "3/4", mixed numbers ("-1 1/2"), decimals ("0.75",
+// "1e-3") and repeating decimals with the repetend in brackets ("0.1(6)" is 1/6).
+
+/** @typedef {{ n: bigint, d: bigint }} Fraction  n/d in lowest terms, d > 0 */
+
+const bigAbs = (x) => x < 0n ? -x : x;
+const bigGcd = (a, b) => { a = bigAbs(a); b = bigAbs(b); while (b) [a, b] = [b, a % b]; return a; };
+
+/**
+ * @param {bigint} n
+ * @param {bigint} d
+ * @returns {Fraction|null} null when d is 0
+ */
+export function makeFraction(n, d) {
+  if (d === 0n) return null;
+  const g = bigGcd(n, d), sign = d < 0n ? -1n : 1n;
+  return { n: sign * n / g, d: sign * d / g };
+}
+
+// a decimal with an optional repetend: I.F(R) = I + F/10^k + R/(10^k·(10^r − 1))
+const parseRepeating = (text) => {
+  const m = /^([+-]?)(\d*)\.(\d*)\((\d+)\)$/.exec(text);
+  if (!m) return null;
+  const k = m[3].length, r = m[4].length;
+  const scale = pow10(k) * (pow10(r) - 1n);
+  const int = BigInt(m[2] || "0"), frac = BigInt(m[3] || "0"), rep = BigInt(m[4]);
+  const n = int * scale + frac * (pow10(r) - 1n) + rep;
+  return makeFraction(m[1] === "-" ? -n : n, scale);
+};
+const parsePlain = (text) => {
+  if (text.includes("(")) return parseRepeating(text);
+  const v = dec(text);
+  return v && makeFraction(v.n, pow10(v.s));
+};
+
+/**
+ * @param {string|number} text
+ * @returns {Fraction|null} null for anything unparseable and for a zero denominator
+ */
+export function parseFraction(text) {
+  const str = String(text ?? "").trim().replace(/\s*\/\s*/g, "/").replace(/\s+/g, " ");
+  const mixed = /^([+-]?)(\d+) (\d+)\/(\d+)$/.exec(str);
+  if (mixed) {
+    const d = BigInt(mixed[4]), n = BigInt(mixed[2]) * d + BigInt(mixed[3]);
+    return makeFraction(mixed[1] === "-" ? -n : n, d);
+  }
+  const parts = str.split("/");
+  if (parts.length > 2 || parts.some(p => p === "" || p.includes(" "))) return null;
+  const x = parsePlain(parts[0]), y = parsePlain(parts[1] ?? "1");
+  return x && y ? makeFraction(x.n * y.d, x.d * y.n) : null;
+}
+
+/**
+ * "7/6", or "1 1/6" with `mixed`; whole numbers print without "/1".
+ * @param {Fraction} f
+ * @param {{ mixed?: boolean }} [options]
+ * @returns {string}
+ */
+export function formatFraction(f, { mixed = false } = {}) {
+  if (f.d === 1n) return String(f.n);
+  const abs = bigAbs(f.n);
+  if (!mixed || abs < f.d) return `${f.n}/${f.d}`;
+  return `${f.n < 0n ? "-" : ""}${abs / f.d} ${abs % f.d}/${f.d}`;
+}
+
+/**
+ * Exact decimal expansion with the repetend in brackets: 1/6 → "0.1(6)", 1/7 → "0.(142857)".
+ * Expansions longer than `maxDigits` after the point are cut and end in "…".
+ * @param {Fraction} f
+ * @param {number} [maxDigits=200]
+ * @returns {string}
+ */
+export function fractionToDecimal(f, maxDigits = 200) {
+  const abs = bigAbs(f.n);
+  let rem = abs % f.d, digits = "";
+  const seen = new Map();
+  while (rem !== 0n && !seen.has(rem) && digits.length < maxDigits) {
+    seen.set(rem, digits.length);
+    rem *= 10n;
+    digits += String(rem / f.d);
+    rem %= f.d;
+  }
+  let frac = digits;
+  if (rem !== 0n) frac = seen.has(rem) ? `${digits.slice(0, seen.get(rem))}(${digits.slice(seen.get(rem))})` : `${digits}…`;
+  return `${f.n < 0n ? "-" : ""}${abs / f.d}${frac ? "." + frac : ""}`;
+}
+
+/**
+ * Continued fraction terms [a0; a1, a2, …] of a rational (always finite).
+ * @param {Fraction} f
+ * @returns {bigint[]}
+ */
+export function continuedFraction(f) {
+  const terms = [];
+  let n = f.n, d = f.d;
+  while (d !== 0n) {
+    let a = n / d;
+    if (n % d !== 0n && n < 0n) a -= 1n; // floor, not truncation
+    terms.push(a);
+    [n, d] = [d, n - a * d];
+  }
+  return terms;
+}
+
+// closest fraction with denominator ≤ max: walk the convergents, then pick between the last
+// convergent and the best semiconvergent (as Python's Fraction.limit_denominator does)
+const limitDenominator = (f, max) => {
+  if (f.d <= max) return f;
+  let [p0, q0, p1, q1] = [0n, 1n, 1n, 0n];
+  let n = bigAbs(f.n), d = f.d;
+  for (;;) {
+    const a = n / d, q2 = q0 + a * q1;
+    if (q2 > max) break;
+    [p0, q0, p1, q1] = [p1, q1, p0 + a * p1, q2];
+    [n, d] = [d, n - a * d];
+  }
+  const k = (max - q0) / q1;
+  const semi = makeFraction(p0 + k * p1, q0 + k * q1), conv = makeFraction(p1, q1);
+  const target = { n: bigAbs(f.n), d: f.d };
+  const best = fracLess(fracDistance(semi, target), fracDistance(conv, target)) ? semi : conv;
+  return f.n < 0n ? { n: -best.n, d: best.d } : best;
+};
+const fracDistance = (a, b) => makeFraction(bigAbs(a.n * b.d - b.n * a.d), a.d * b.d);
+const fracLess = (a, b) => a.n * b.d < b.n * a.d;
+
+/**
+ * Decimal → simplest fraction. Without `maxDenominator` the result is exact ("0.1(6)" → 1/6,
+ * "0.125" → 1/8); with it, the closest fraction whose denominator fits ("3.14159", 100 → 311/99).
+ * @param {{ value: string|number, maxDenominator?: number|string }} input
+ * @returns {{ fraction: Fraction, exact: boolean, error: number, terms: bigint[] }|null}
+ *   error is |fraction − value|; terms are the continued fraction of the value itself
+ */
+export function decimalToFraction({ value, maxDenominator }) {
+  const exact = parseFraction(value);
+  if (!exact) return null;
+  const blank = maxDenominator === undefined || maxDenominator === null || String(maxDenominator).trim() === "";
+  const max = blank ? null : Number(maxDenominator);
+  if (max !== null && !(Number.isInteger(max) && max >= 1)) return null;
+  const fraction = max === null ? exact : limitDenominator(exact, BigInt(max));
+  const diff = fracDistance(fraction, exact);
+  return { fraction, exact: diff.n === 0n, error: Number(diff.n) / Number(diff.d), terms: continuedFraction(exact) };
+}
+
+/**
+ * Whole + num/den as one fraction: -1, 1, 2 is -1½. num and den may be decimals.
+ * @param {{ whole?: number|string, num: number|string, den: number|string }} input
+ * @returns {Fraction|null} null for a zero denominator or unparseable input
+ */
+export function fractionFromParts({ whole = 0, num, den }) {
+  const w = parseFraction(String(whole ?? "").trim() || "0"), f = parseFraction(`${num}/${den}`);
+  if (!w || !f) return null;
+  const n = w.n * f.d + (w.n < 0n ? -f.n : f.n) * w.d;
+  return makeFraction(n, w.d * f.d);
+}
+
+/**
+ * A op B on fractions, simplified. Operands are fraction text (see parseFraction).
+ * @param {{ a: string|number, b: string|number, op: BasicOp }} input
+ * @returns {Fraction|null} null for unparseable operands or division by zero
+ */
+export function calcFractionOp({ a, b, op }) {
+  const x = parseFraction(a), y = parseFraction(b);
+  if (!x || !y) return null;
+  switch (op) {
+    case "+": return makeFraction(x.n * y.d + y.n * x.d, x.d * y.d);
+    case "-": return makeFraction(x.n * y.d - y.n * x.d, x.d * y.d);
+    case "×": return makeFraction(x.n * y.n, x.d * y.d);
+    case "÷": return makeFraction(x.n * y.d, x.d * y.n);
+    default: return null;
+  }
+}
+
+/**
+ * Greatest common divisor and least common multiple of a list of integers of any size.
+ * @param {{ values: string|Array<number|string> }} input  "12, 18 30" or an array
+ * @returns {{ gcd: string, lcm: string, count: number }|null} null unless every entry is an integer
+ */
+export function calcGcdLcm({ values }) {
+  const list = (Array.isArray(values) ? values.map(String) : String(values ?? "").split(/[\s,;]+/)).filter(Boolean);
+  if (!list.length || !list.every(v => /^[+-]?\d+$/.test(v))) return null;
+  const nums = list.map(v => bigAbs(BigInt(v)));
+  const gcd = nums.reduce(bigGcd);
+  const lcm = nums.reduce((acc, v) => acc === 0n || v === 0n ? 0n : acc / bigGcd(acc, v) * v);
+  return { gcd: String(gcd), lcm: String(lcm), count: nums.length };
+}
+
+// ------------------------------ STATISTICS ------------------------------
+// Descriptive statistics for pasted lists or CSV columns. Quartiles and percentiles interpolate
+// between order statistics (Excel's PERCENTILE.INC / QUARTILE.INC, R's type 7).
+
+/** @typedef {{ name: string, values: number[], skipped: number }} DataSeries  values keeps row order, NaN for a cell that isn't a number */
+
+const strictNumber = (cell) => {
+  const s = cell.replace(/[\s,_]/g, "");
+  return s !== "" && Number.isFinite(Number(s)) ? Number(s) : NaN;
+};
+// "1,000" and "-12,345.5": one number with thousands separators, not two CSV cells
+const GROUPED_NUMBER = /^[+-]?\d{1,3}(,\d{3})+(\.\d+)?$/;
+const commaIsGrouping = (line) => line.split(/\s+/).every(word => !word.includes(",") || GROUPED_NUMBER.test(word));
+// one CSV line; "quoted, cells" may hold the delimiter and "" for a quote
+const splitCells = (line, delim) => {
+  const cells = [];
+  let cell = "", quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cell += '"'; i++; } else if (ch === '"') quoted = false; else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === delim) { cells.push(cell.trim()); cell = ""; } else cell += ch;
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+/**
+ * Numbers from pasted text. A table – two or more lines with the same number of tab-, semicolon-
+ * or comma-separated cells – gives one series per column, named by the header row if there is one
+ * (otherwise the name is "").
+ * Commas only separate cells when some line has one that isn't a thousands separator, so a
+ * pasted column of "1,000" / "2,500" is one list of numbers, not two columns.
+ * Anything else is one list split on commas, semicolons, tabs, spaces and newlines.
+ * @param {string} text
+ * @returns {DataSeries[]} empty for blank input
+ */
+export function parseDataset(text) {
+  const lines = String(text ?? "").split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  if (!lines.length) return [];
+  const delim = ["\t", ";", ","].find(d => lines.some(l => l.includes(d)) && !(d === "," && lines.every(commaIsGrouping)));
+  const rows = delim ? lines.map(l => splitCells(l, delim)) : [];
+  const width = rows[0]?.length ?? 0;
+  const isTable = lines.length > 1 && width > 1 && rows.every(r => r.length === width);
+  if (!isTable) {
+    const cells = lines.flatMap(l => (delim ? splitCells(l, delim) : [l]).flatMap(c => c.includes('"') ? [c] : c.split(/\s+/).flatMap(w => GROUPED_NUMBER.test(w) ? [w] : w.split(/[;,]+/)))).filter(Boolean);
+    const values = cells.map(strictNumber);
+    return [{ name: "", values, skipped: values.filter(Number.isNaN).length }];
+  }
+  const header = rows[0].some(c => c !== "" && Number.isNaN(strictNumber(c)));
+  const body = header ? rows.slice(1) : rows;
+  return rows[0].map((h, col) => {
+    const values = body.map(r => strictNumber(r[col]));
+    return { name: header ? h : "", values, skipped: values.filter(Number.isNaN).length };
+  });
+}
+
+/**
+ * The p-th percentile (0–100) of ascending values, interpolated.
+ * @param {number[]} sorted
+ * @param {number} p
+ * @returns {number} NaN for no values or p outside 0–100
+ */
+export function percentile(sorted, p) {
+  if (!sorted.length || !(p >= 0 && p <= 100)) return NaN;
+  const pos = (sorted.length - 1) * p / 100, lo = Math.floor(pos), hi = Math.ceil(pos);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/**
+ * @typedef {Object} DataSummary
+ * @property {number} count
+ * @property {number} sum
+ * @property {number} mean
+ * @property {number} median
+ * @property {number[]} modes               most frequent values; empty when every value occurs once
+ * @property {number} min
+ * @property {number} max
+ * @property {number} range
+ * @property {number} q1
+ * @property {number} q3
+ * @property {number} iqr
+ * @property {number} sampleVariance        NaN for fewer than two values
+ * @property {number} populationVariance
+ * @property {number} sampleSD
+ * @property {number} populationSD
+ */
+
+/**
+ * @param {number[]} values  NaN entries are ignored
+ * @returns {DataSummary|null} null for no values
+ */
+export function describeData(values) {
+  const xs = values.filter(Number.isFinite);
+  const n = xs.length;
+  if (!n) return null;
+  const sorted = [...xs].sort((a, b) => a - b);
+  const sum = xs.reduce((a, b) => a + b, 0), mean = sum / n;
+  const ss = xs.reduce((acc, x) => acc + (x - mean) ** 2, 0);
+  const counts = new Map();
+  for (const x of sorted) counts.set(x, (counts.get(x) ?? 0) + 1);
+  const top = Math.max(...counts.values());
+  const q1 = percentile(sorted, 25), q3 = percentile(sorted, 75);
+  const sampleVariance = n > 1 ? ss / (n - 1) : NaN, populationVariance = ss / n;
+  return {
+    count: n, sum, mean, median: percentile(sorted, 50),
+    modes: top > 1 ? [...counts].filter(([, c]) => c === top).map(([x]) => x) : [],
+    min: sorted[0], max: sorted[n - 1], range: sorted[n - 1] - sorted[0], q1, q3, iqr: q3 - q1,
+    sampleVariance, populationVariance, sampleSD: Math.sqrt(sampleVariance), populationSD: Math.sqrt(populationVariance),
+  };
+}
+
+/**
+ * Equal-width bins from min to max; the last bin includes max. `bins` defaults to Sturges'
+ * rule, ⌈log2 n⌉ + 1.
+ * @param {number[]} values
+ * @param {{ bins?: number|string }} [options]
+ * @returns {{ from: number, to: number, count: number }[]}
+ */
+export function histogram(values, { bins } = {}) {
+  const xs = values.filter(Number.isFinite);
+  if (!xs.length) return [];
+  const min = Math.min(...xs), max = Math.max(...xs);
+  const k = max === min ? 1 : clamp(Math.round(toNum(bins, Math.ceil(Math.log2(xs.length)) + 1)), 1, 100);
+  const width = (max - min) / k || 1;
+  const out = Array.from({ length: k }, (_, i) => ({ from: min + i * width, to: min + (i + 1) * width, count: 0 }));
+  for (const x of xs) out[Math.min(k - 1, Math.floor((x - min) / width))].count++;
+  return out;
+}
+
+/**
+ * Least-squares line y = slope·x + intercept over the pairs where both values are numbers.
+ * @param {{ x: number[], y: number[] }} input
+ * @returns {{ slope: number, intercept: number, r: number, r2: number, n: number }|null}
+ *   null for fewer than two pairs or when every x is the same
+ */
+export function linearRegression({ x, y }) {
+  const pairs = x.map((xi, i) => [xi, y[i]]).filter(([a, b]) => Number.isFinite(a) && Number.isFinite(b));
+  const n = pairs.length;
+  if (n < 2) return null;
+  const mx = pairs.reduce((s, [a]) => s + a, 0) / n, my = pairs.reduce((s, [, b]) => s + b, 0) / n;
+  let sxx = 0, syy = 0, sxy = 0;
+  for (const [a, b] of pairs) { sxx += (a - mx) ** 2; syy += (b - my) ** 2; sxy += (a - mx) * (b - my); }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx, r = syy === 0 ? NaN : sxy / Math.sqrt(sxx * syy);
+  return { slope, intercept: my - slope * mx, r, r2: r * r, n };
+}
+
+// ------------------------------ EXPRESSIONS ------------------------------
+// Tokenizer + recursive-descent evaluator (no eval). Grammar, loosest first:
+//   line    := [name "="] sum
+//   sum     := term (("+"|"-") term)*          a ± b% means a ± a·b/100
+//   term    := unary (("*"|"/"|"×"|"÷") unary | implicit unary)*   implicit: 2pi, 3(4+1)
+//   unary   := ("-"|"+") unary | power
+//   power   := postfix ["^" unary]             right-associative, -2^2 = -4
+//   postfix := primary "%"*
+//   primary := number | name | name "(" sum ("," sum)* ")" | "(" sum ")"
+
+export const EXPR_CONSTANTS = { pi: Math.PI, "π": Math.PI, e: Math.E };
+
+const TRIG = new Set(["sin", "cos", "tan"]);
+const INVERSE_TRIG = new Set(["asin", "acos", "atan"]);
+export const EXPR_FUNCTIONS = {
+  sqrt: [1, Math.sqrt], cbrt: [1, Math.cbrt], abs: [1, Math.abs],
+  ln: [1, Math.log], log: [1, Math.log10], log2: [1, Math.log2], exp: [1, Math.exp],
+  sin: [1, Math.sin], cos: [1, Math.cos], tan: [1, Math.tan],
+  asin: [1, Math.asin], acos: [1, Math.acos], atan: [1, Math.atan],
+  round: [1, Math.round], floor: [1, Math.floor], ceil: [1, Math.ceil],
+  min: [-1, Math.min], max: [-1, Math.max],
+};
+
+class ExprError extends Error {
+  constructor(message, pos) { super(message); this.pos = pos; }
+}
+
+const OPERATORS = "+-*/×÷^%(),=";
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const num = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(src.slice(i));
+    if (num) { tokens.push({ type: "num", value: parseFloat(num[0]), pos: i }); i += num[0].length; continue; }
+    const name = /^([A-Za-z_][A-Za-z0-9_]*|π)/.exec(src.slice(i));
+    if (name) { tokens.push({ type: "name", value: name[0], pos: i }); i += name[0].length; continue; }
+    if (OPERATORS.includes(ch)) { tokens.push({ type: "op", value: ch, pos: i }); i++; continue; }
+    throw new ExprError(`Unexpected character '${ch}'`, i);
+  }
+  tokens.push({ type: "end", value: "", pos: src.length });
+  return tokens;
+}
+
+/**
+ * Evaluate one calculator line: arithmetic with precedence, parentheses, unary minus,
+ * postfix percent, ^ powers, functions (EXPR_FUNCTIONS), constants (pi, e), `ans`
+ * and named variables. `name = expr` assigns; the caller stores the returned value.
+ * @param {string} src
+ * @param {{ ans?: number, vars?: Record<string, number>, angle?: "rad"|"deg" }} [scope]
+ * @returns {{ value: number, assign: string|null, error: null } | { value: number, assign: null, error: { message: string, pos: number } }}
+ */
+export function evaluateExpression(src, { ans = 0, vars = {}, angle = "rad" } = {}) {
+  const toRad = angle === "deg" ? Math.PI / 180 : 1;
+  let tokens, k = 0;
+  const peek = () => tokens[k];
+  const next = () => tokens[k++];
+  const isOp = (t, ...ops) => t.type === "op" && ops.includes(t.value);
+  const expect = (op) => {
+    const t = next();
+    if (!isOp(t, op)) throw new ExprError(t.type === "end" ? `Expected '${op}' before end of expression` : `Expected '${op}'`, t.pos);
+  };
+
+  // each parse step returns { v, pct } – pct marks a bare "b%" so sum() can apply it to the left side
+  const sum = () => {
+    let left = term().v;
+    while (isOp(peek(), "+", "-")) {
+      const op = next().value;
+      const right = term();
+      const r = right.pct ? left * right.v : right.v;
+      left = op === "+" ? left + r : left - r;
+    }
+    return { v: left, pct: false };
+  };
+  const startsOperand = (t) => t.type === "name" || isOp(t, "(");
+  const term = () => {
+    let left = unary();
+    for (;;) {
+      const t = peek();
+      if (isOp(t, "*", "×", "/", "÷")) {
+        next();
+        const right = unary().v;
+        if ((t.value === "/" || t.value === "÷") && right === 0) throw new ExprError("Division by zero", t.pos);
+        left = { v: t.value === "*" || t.value === "×" ? left.v * right : left.v / right, pct: false };
+      } else if (startsOperand(t)) {
+        left = { v: left.v * unary().v, pct: false };
+      } else {
+        return left;
+      }
+    }
+  };
+  const unary = () => {
+    if (isOp(peek(), "-")) { next(); const x = unary(); return { v: -x.v, pct: x.pct }; }
+    if (isOp(peek(), "+")) { next(); return unary(); }
+    return power();
+  };
+  const power = () => {
+    const base = postfix();
+    if (!isOp(peek(), "^")) return base;
+    next();
+    return { v: Math.pow(base.v, unary().v), pct: false };
+  };
+  const postfix = () => {
+    let x = primary(), pct = false;
+    while (isOp(peek(), "%")) { next(); x /= 100; pct = true; }
+    return { v: x, pct };
+  };
+  const primary = () => {
+    const t = next();
+    if (t.type === "num") return t.value;
+    if (isOp(t, "(")) { const x = sum().v; expect(")"); return x; }
+    if (t.type === "name") {
+      if (isOp(peek(), "(")) return call(t);
+      if (t.value === "ans") return ans;
+      if (Object.hasOwn(vars, t.value)) return vars[t.value];
+      if (Object.hasOwn(EXPR_CONSTANTS, t.value)) return EXPR_CONSTANTS[t.value];
+      if (Object.hasOwn(EXPR_FUNCTIONS, t.value)) throw new ExprError(`'${t.value}' is a function, write ${t.value}(…)`, t.pos);
+      throw new ExprError(`Unknown variable '${t.value}'`, t.pos);
+    }
+    if (t.type === "end") throw new ExprError("Unexpected end of expression", t.pos);
+    throw new ExprError(`Unexpected '${t.value}'`, t.pos);
+  };
+  const call = (t) => {
+    if (!Object.hasOwn(EXPR_FUNCTIONS, t.value)) throw new ExprError(`Unknown function '${t.value}'`, t.pos);
+    next(); // (
+    const args = [sum().v];
+    while (isOp(peek(), ",")) { next(); args.push(sum().v); }
+    expect(")");
+    const [arity, f] = EXPR_FUNCTIONS[t.value];
+    if (arity >= 0 && args.length !== arity) throw new ExprError(`${t.value}() takes ${arity} argument${arity === 1 ? "" : "s"}`, t.pos);
+    if (TRIG.has(t.value)) return f(args[0] * toRad);
+    if (INVERSE_TRIG.has(t.value)) return f(args[0]) / toRad;
+    return f(...args);
+  };
+
+  try {
+    tokens = tokenize(src);
+    if (tokens[0].type === "end") throw new ExprError("Empty expression", 0);
+    let assign = null;
+    if (tokens[0].type === "name" && isOp(tokens[1], "=")) {
+      assign = tokens[0].value;
+      if (assign === "ans" || Object.hasOwn(EXPR_CONSTANTS, assign) || Object.hasOwn(EXPR_FUNCTIONS, assign)) {
+        throw new ExprError(`Cannot assign to '${assign}'`, tokens[0].pos);
+      }
+      k = 2;
+    }
+    const value = sum().v;
+    const rest = peek();
+    if (rest.type !== "end") throw new ExprError(isOp(rest, ")") ? "Unmatched ')'" : `Unexpected '${rest.value}'`, rest.pos);
+    return { value, assign, error: null };
+  } catch (err) {
+    if (!(err instanceof ExprError)) throw err;
+    return { value: NaN, assign: null, error: { message: err.message, pos: err.pos } };
+  }
+}
+
+// ------------------------------ TAX ------------------------------
+
+/** @typedef {"add"|"remove"} GSTMode */
+
+/**
+ * GST / VAT. "add" puts tax on top of an exclusive amount; "remove" extracts
+ * the tax already included in an inclusive amount. With `rounding`, the math is
+ * exact decimal and the tax (or base) is rounded to 2 places by that rule.
+ * @param {{ amount: number|string, rate: number|string, mode: GSTMode, rounding?: RoundingMode }} input
+ * @returns {{ tax: number, total: number }} for "remove", `total` is the base (excl.)
+ */
+export function calcGST({ amount, rate, mode, rounding }) {
+  if (rounding) {
+    const a = dec(amount, ZERO), r = dec(rate, ZERO);
+    if (mode === "remove") {
+      // base = amount × 100 / (100 + rate); the tax is whatever is left, so the two always add up
+      const base = decDiv(decMul(a, dec(100)), decAdd(dec(100), r), 2, rounding);
+      if (!base) return { tax: NaN, total: NaN };
+      return { tax: decToNumber(decSub(a, base)), total: decToNumber(base) };
+    }
+    const tax = decRound(decPercent(a, r), 2, rounding);
+    return { tax: decToNumber(tax), total: decToNumber(decAdd(a, tax)) };
+  }
+  const a = toNum(amount), r = toNum(rate) / 100;
+  if (mode === "remove") {
+    const base = a / (1 + r);
+    return { tax: a - base, total: base };
+  }
+  const tax = a * r;
+  return { tax, total: a + tax };
+}
+
+/** @typedef {"intra"|"inter"} SupplyType  intra-state: CGST + SGST (half each); inter-state: IGST */
+
+/**
+ * @typedef {Object} InvoiceItem
+ * @property {string} [description]
+ * @property {string} [hsn]                   HSN (goods) or SAC (services) code
+ * @property {number|string} qty
+ * @property {number|string} price            unit price, excl. GST
+ * @property {number|string} [discountPct]
+ * @property {number|string} rate             GST slab in %
+ */
+
+/**
+ * @typedef {Object} InvoiceLine
+ * @property {number} index         1-based
+ * @property {string} description
+ * @property {string} hsn
+ * @property {number} qty
+ * @property {number} price
+ * @property {number} gross          qty × price
+ * @property {number} discount
+ * @property {number} taxable
+ * @property {number} rate
+ * @property {number} cgst
+ * @property {number} sgst
+ * @property {number} igst
+ * @property {number} total          taxable + tax
+ */
+
+export const INVOICE_COLUMNS = [
+  { key: "index", label: "#" },
+  { key: "description", label: "Description" },
+  { key: "hsn", label: "HSN/SAC" },
+  { key: "qty", label: "Qty" },
+  { key: "price", label: "Unit Price" },
+  { key: "discount", label: "Discount" },
+  { key: "taxable", label: "Taxable Value" },
+  { key: "rate", label: "GST %" },
+  { key: "cgst", label: "CGST" },
+  { key: "sgst", label: "SGST" },
+  { key: "igst", label: "IGST" },
+  { key: "total", label: "Line Total" },
+];
+
+export const INVOICE_SUMMARY_COLUMNS = [
+  { key: "rate", label: "GST %" },
+  { key: "taxable", label: "Taxable Value" },
+  { key: "cgst", label: "CGST" },
+  { key: "sgst", label: "SGST" },
+  { key: "igst", label: "IGST" },
+  { key: "tax", label: "Total Tax" },
+];
+
+/**
+ * Multi-line GST invoice in exact decimal arithmetic. Every line's discount, taxable value
+ * and each tax head is rounded to 2 places by `rounding`; the grand total is rounded to the
+ * rupee and the difference shown as `roundOff`.
+ * @param {{ items: InvoiceItem[], supply?: SupplyType, rounding?: RoundingMode }} input
+ * @returns {{ lines: InvoiceLine[], summary: { rate: number, taxable: number, cgst: number, sgst: number, igst: number, tax: number }[],
+ *   taxable: number, cgst: number, sgst: number, igst: number, tax: number, roundOff: number, total: number }}
+ */
+export function calcInvoice({ items, supply = "intra", rounding = "half-up" }) {
+  const r2 = (d) => decRound(d, 2, rounding);
+  const byRate = new Map();
+  const sum = { taxable: ZERO, cgst: ZERO, sgst: ZERO, igst: ZERO };
+  const lines = items.map((it, i) => {
+    const qty = dec(it.qty, ZERO), price = dec(it.price, ZERO), rate = dec(it.rate, ZERO);
+    const gross = decMul(qty, price);
+    const discount = r2(decPercent(gross, dec(it.discountPct, ZERO)));
+    const taxable = r2(decSub(gross, discount));
+    let cgst = ZERO, sgst = ZERO, igst = ZERO;
+    if (supply === "inter") igst = r2(decPercent(taxable, rate));
+    else cgst = sgst = r2(decPercent(taxable, decDiv(rate, dec(2))));
+    const key = decToNumber(rate);
+    const acc = byRate.get(key) ?? { taxable: ZERO, cgst: ZERO, sgst: ZERO, igst: ZERO };
+    for (const [k, v] of Object.entries({ taxable, cgst, sgst, igst })) {
+      acc[k] = decAdd(acc[k], v);
+      sum[k] = decAdd(sum[k], v);
+    }
+    byRate.set(key, acc);
+    return {
+      index: i + 1, description: String(it.description ?? ""), hsn: String(it.hsn ?? ""),
+      qty: decToNumber(qty), price: decToNumber(price), gross: decToNumber(gross), discount: decToNumber(discount),
+      taxable: decToNumber(taxable), rate: key, cgst: decToNumber(cgst), sgst: decToNumber(sgst), igst: decToNumber(igst),
+      total: decToNumber(decAdd(taxable, decAdd(decAdd(cgst, sgst), igst))),
+    };
+  });
+  const taxOf = (a) => decAdd(decAdd(a.cgst, a.sgst), a.igst);
+  const summary = [...byRate].sort((a, b) => a[0] - b[0]).map(([rate, a]) => ({
+    rate, taxable: decToNumber(a.taxable), cgst: decToNumber(a.cgst), sgst: decToNumber(a.sgst), igst: decToNumber(a.igst), tax: decToNumber(taxOf(a)),
+  }));
+  const exact = decAdd(sum.taxable, taxOf(sum)), total = decRound(exact, 0, rounding);
+  return {
+    lines, summary,
+    taxable: decToNumber(sum.taxable), cgst: decToNumber(sum.cgst), sgst: decToNumber(sum.sgst), igst: decToNumber(sum.igst),
+    tax: decToNumber(taxOf(sum)), roundOff: decToNumber(decSub(total, exact)), total: decToNumber(total),
+  };
+}
+
+// Indian income tax (individuals, resident). Each financial year is one config entry so a
+// new Budget is a data change: add INCOME_TAX_YEARS["2026-27"] and the UI picks it up.
+//   slabs:       [{ upto, rate }] in ascending order, rate in %; the last slab has upto: Infinity
+//   exemption:   basic exemption by age band (old regime: 60+ and 80+ get a higher nil slab)
+//   rebate:      87A — tax is waived up to `max` when taxable income ≤ `limit`; with `marginal`,
+//                tax just above the limit never exceeds the income above it
+//   surcharge:   [{ above, rate }] on tax, with marginal relief at each threshold
+//   deductions:  false when the regime ignores 80C / 80D / HRA / other deductions
+
+/** @typedef {"old"|"new"} TaxRegime */
+/** @typedef {"below60"|"senior"|"superSenior"} TaxAgeBand */
+
+const OLD_REGIME = {
+  slabs: [{ upto: 250000, rate: 0 }, { upto: 500000, rate: 5 }, { upto: 1000000, rate: 20 }, { upto: Infinity, rate: 30 }],
+  exemption: { below60: 250000, senior: 300000, superSenior: 500000 },
+  standardDeduction: 50000,
+  rebate: { limit: 500000, max: 12500, marginal: false },
+  surcharge: [{ above: 5e6, rate: 10 }, { above: 1e7, rate: 15 }, { above: 2e7, rate: 25 }, { above: 5e7, rate: 37 }],
+  deductions: true,
+};
+const NEW_SURCHARGE = [{ above: 5e6, rate: 10 }, { above: 1e7, rate: 15 }, { above: 2e7, rate: 25 }];
+
+export const INCOME_TAX_YEARS = {
+  "2023-24": {
+    label: "FY 2023-24 (AY 2024-25)",
+    cess: 4,
+    limits: { "80C": 150000, "80D": 25000, "80DSenior": 50000 },
+    old: OLD_REGIME,
+    new: {
+      slabs: [{ upto: 300000, rate: 0 }, { upto: 600000, rate: 5 }, { upto: 900000, rate: 10 }, { upto: 1200000, rate: 15 }, { upto: 1500000, rate: 20 }, { upto: Infinity, rate: 30 }],
+      standardDeduction: 50000,
+      rebate: { limit: 700000, max: 25000, marginal: true },
+      surcharge: NEW_SURCHARGE,
+      deductions: false,
+    },
+  },
+  "2024-25": {
+    label: "FY 2024-25 (AY 2025-26)",
+    cess: 4,
+    limits: { "80C": 150000, "80D": 25000, "80DSenior": 50000 },
+    old: OLD_REGIME,
+    new: {
+      slabs: [{ upto: 300000, rate: 0 }, { upto: 700000, rate: 5 }, { upto: 1000000, rate: 10 }, { upto: 1200000, rate: 15 }, { upto: 1500000, rate: 20 }, { upto: Infinity, rate: 30 }],
+      standardDeduction: 75000,
+      rebate: { limit: 700000, max: 25000, marginal: true },
+      surcharge: NEW_SURCHARGE,
+      deductions: false,
+    },
+  },
+  "2025-26": {
+    label: "FY 2025-26 (AY 2026-27)",
+    cess: 4,
+    limits: { "80C": 150000, "80D": 25000, "80DSenior": 50000 },
+    old: OLD_REGIME,
+    new: {
+      slabs: [
+        { upto: 400000, rate: 0 }, { upto: 800000, rate: 5 }, { upto: 1200000, rate: 10 }, { upto: 1600000, rate: 15 },
+        { upto: 2000000, rate: 20 }, { upto: 2400000, rate: 25 }, { upto: Infinity, rate: 30 },
+      ],
+      standardDeduction: 75000,
+      rebate: { limit: 1200000, max: 60000, marginal: true },
+      surcharge: NEW_SURCHARGE,
+      deductions: false,
+    },
+  },
+};
+
+/**
+ * @typedef {Object} IncomeTaxInput
+ * @property {string} fy                      key of INCOME_TAX_YEARS, e.g. "2025-26"
+ * @property {TaxAgeBand} [age]
+ * @property {number|string} salary           gross annual salary, HRA included
+ * @property {number|string} [otherIncome]    interest, rent etc. (no standard deduction)
+ * @property {number|string} [basic]          annual basic + DA, for the HRA exemption
+ * @property {number|string} [hra]            annual HRA received
+ * @property {number|string} [rent]           annual rent paid
+ * @property {boolean} [metro]                50% of basic instead of 40% in the HRA rule
+ * @property {number|string} [d80C]
+ * @property {number|string} [d80D]           self / family health insurance
+ * @property {number|string} [d80DParents]
+ * @property {boolean} [parentsSenior]
+ * @property {number|string} [otherDeductions] 80CCD(1B), 24(b) etc., applied as entered
+ */
+
+/**
+ * @typedef {Object} IncomeTaxResult
+ * @property {number} gross
+ * @property {number} standardDeduction
+ * @property {number} hraExemption
+ * @property {number} deductions        Chapter VI-A total after caps
+ * @property {number} taxable
+ * @property {{ from: number, to: number, rate: number, tax: number }[]} slabs  slabs the income reaches
+ * @property {number} slabTax
+ * @property {number} rebate
+ * @property {number} surcharge
+ * @property {number} cess
+ * @property {number} total             rounded to the rupee
+ * @property {number} effectiveRate     % of gross income
+ */
+
+/**
+ * HRA exemption u/s 10(13A): least of HRA received, rent − 10% of basic, and 50% (metro) / 40% of basic.
+ * @param {{ basic: number|string, hra: number|string, rent: number|string, metro?: boolean }} input
+ * @returns {number}
+ */
+export function calcHRAExemption({ basic, hra, rent, metro = false }) {
+  const b = toNum(basic);
+  return Math.max(0, Math.min(toNum(hra), toNum(rent) - b * 0.1, b * (metro ? 0.5 : 0.4)));
+}
+
+const slabTaxOf = (income, slabs, exemption = 0) => {
+  let from = 0, tax = 0;
+  const parts = [];
+  for (const { upto, rate } of slabs) {
+    const lo = Math.max(from, exemption), hi = Math.min(income, upto);
+    if (income > from) {
+      const t = hi > lo ? (hi - lo) * rate / 100 : 0;
+      parts.push({ from, to: Math.min(income, upto), rate: lo >= upto ? 0 : rate, tax: t });
+      tax += t;
+    }
+    from = upto;
+  }
+  return { tax, parts };
+};
+
+/**
+ * Tax under one regime. Returns null for an unknown financial year.
+ * @param {IncomeTaxInput & { regime: TaxRegime }} input
+ * @returns {IncomeTaxResult|null}
+ */
+export function calcIncomeTax({ fy, regime, age = "below60", salary, otherIncome = 0, basic = 0, hra = 0, rent = 0, metro = false, d80C = 0, d80D = 0, d80DParents = 0, parentsSenior = false, otherDeductions = 0 }) {
+  const year = INCOME_TAX_YEARS[fy], cfg = year?.[regime];
+  if (!cfg) return null;
+  const sal = Math.max(0, toNum(salary)), gross = sal + Math.max(0, toNum(otherIncome));
+  const standardDeduction = Math.min(sal, cfg.standardDeduction);
+  let hraExemption = 0, deductions = 0;
+  if (cfg.deductions) {
+    hraExemption = Math.min(calcHRAExemption({ basic, hra, rent, metro }), sal - standardDeduction);
+    const { limits } = year;
+    deductions =
+      clamp(toNum(d80C), 0, limits["80C"]) +
+      clamp(toNum(d80D), 0, age === "below60" ? limits["80D"] : limits["80DSenior"]) +
+      clamp(toNum(d80DParents), 0, parentsSenior ? limits["80DSenior"] : limits["80D"]) +
+      Math.max(0, toNum(otherDeductions));
+  }
+  const taxable = Math.max(0, gross - standardDeduction - hraExemption - deductions);
+  const exemption = cfg.exemption?.[age] ?? 0;
+  const { tax: slabTax, parts } = slabTaxOf(taxable, cfg.slabs, exemption);
+
+  let rebate = 0;
+  if (taxable <= cfg.rebate.limit) rebate = Math.min(slabTax, cfg.rebate.max);
+  else if (cfg.rebate.marginal) rebate = Math.max(0, slabTax - (taxable - cfg.rebate.limit));
+  const afterRebate = slabTax - rebate;
+
+  // surcharge at the highest threshold crossed, capped so that crossing it costs no more than the income above it
+  let surcharge = 0;
+  const band = cfg.surcharge.findLastIndex(s => taxable > s.above);
+  if (band >= 0) {
+    const { above, rate } = cfg.surcharge[band];
+    const prevRate = band > 0 ? cfg.surcharge[band - 1].rate : 0;
+    const atThreshold = slabTaxOf(above, cfg.slabs, exemption).tax * (1 + prevRate / 100);
+    surcharge = Math.max(0, Math.min(afterRebate * rate / 100, atThreshold + (taxable - above) - afterRebate));
+  }
+  const cess = (afterRebate + surcharge) * year.cess / 100;
+  const total = Math.round(afterRebate + surcharge + cess);
+  return {
+    gross, standardDeduction, hraExemption, deductions, taxable,
+    slabs: parts, slabTax, rebate, surcharge, cess, total,
+    effectiveRate: gross > 0 ? total / gross * 100 : 0,
+  };
+}
+
+/**
+ * Both regimes for the same input and which one costs less ("same" on a tie).
+ * @param {IncomeTaxInput} input
+ * @returns {{ old: IncomeTaxResult, new: IncomeTaxResult, better: TaxRegime|"same", saving: number }|null}
+ */
+export function compareTaxRegimes(input) {
+  const oldR = calcIncomeTax({ ...input, regime: "old" }), newR = calcIncomeTax({ ...input, regime: "new" });
+  if (!oldR || !newR) return null;
+  const saving = Math.abs(oldR.total - newR.total);
+  return { old: oldR, new: newR, better: saving === 0 ? "same" : oldR.total < newR.total ? "old" : "new", saving };
+}
+
+// ------------------------------ HEALTH ------------------------------
+// All body calculators take the same measurements: `unit` picks kg + cm or lb + inches (a height
+// in feet and inches is passed as total inches, see feetInchesToInches). Formulas run in metric;
+// weights come back in the caller's unit.
+
+/** @typedef {"metric"|"imperial"} BMIUnit */
+/** @typedef {"male"|"female"} Sex */
+
+const KG_PER_LB = 0.45359237;
+const CM_PER_INCH = 2.54;
+
+/**
+ * @param {{ unit: BMIUnit, weight?: number|string, height?: number|string }} input
+ * @returns {{ kg: number, cm: number }} NaN for a missing measurement
+ */
+export function toMetricBody({ unit, weight, height }) {
+  const w = toNum(weight, NaN), h = toNum(height, NaN);
+  return unit === "imperial" ? { kg: w * KG_PER_LB, cm: h * CM_PER_INCH } : { kg: w, cm: h };
+}
+const fromKg = (unit, kg) => unit === "imperial" ? kg / KG_PER_LB : kg;
+
+/** @param {number|string} feet @param {number|string} inches @returns {number} total inches */
+export const feetInchesToInches = (feet, inches) => toNum(feet) * 12 + toNum(inches);
+
+/**
+ * Split a height in inches for feet + inches fields (inches to one decimal, never 12).
+ * @param {number} total
+ * @returns {{ feet: number, inches: number }}
+ */
+export function inchesToFeetInches(total) {
+  const tenths = Math.round(toNum(total) * 10);
+  return { feet: Math.floor(tenths / 120), inches: (tenths % 120) / 10 };
+}
+
+/** @typedef {"who"|"asian"} BMICutoffs */
+
+/**
+ * Upper bounds of Underweight, Normal and Overweight; anything above is Obese. "asian" are the
+ * lower action points of the WHO expert consultation for Asian populations (Lancet 2004),
+ * also used by India's and Singapore's guidelines.
+ */
+export const BMI_CUTOFFS = { who: [18.5, 25, 30], asian: [18.5, 23, 25] };
+
+/**
+ * Body mass index.
+ * @param {{ unit: BMIUnit, weight: number|string, height: number|string, cutoffs?: BMICutoffs }} input
+ * @returns {{ bmi: number, status: string }} status is "-" when BMI is not finite
+ */
+export function calcBMI({ unit, weight, height, cutoffs = "who" }) {
+  const { kg, cm } = toMetricBody({ unit, weight, height });
+  const m = cm / 100, bmi = kg / (m * m);
+  return { bmi, status: bmiStatus(bmi, BMI_CUTOFFS[cutoffs] ?? BMI_CUTOFFS.who) };
+}
+
+const bmiStatus = (bmi, [under, normal, over]) => {
+  if (!Number.isFinite(bmi)) return "-";
+  if (bmi < under) return "Underweight";
+  if (bmi < normal) return "Normal";
+  if (bmi < over) return "Overweight";
+  return "Obese";
+};
+
+/**
+ * Activity levels: TDEE multiplier on BMR, protein in g per kg body weight, and extra water in
+ * litres per day on top of the weight-based baseline.
+ */
+export const ACTIVITY_LEVELS = {
+  sedentary: { label: "Sedentary (little or no exercise)", factor: 1.2, protein: 0.8, water: 0 },
+  light: { label: "Light (1–3 days a week)", factor: 1.375, protein: 1, water: 0.35 },
+  moderate: { label: "Moderate (3–5 days a week)", factor: 1.55, protein: 1.2, water: 0.5 },
+  active: { label: "Active (6–7 days a week)", factor: 1.725, protein: 1.4, water: 0.75 },
+  veryActive: { label: "Very active (hard training or physical job)", factor: 1.9, protein: 1.6, water: 1 },
+};
+
+/** @typedef {"mifflin"|"harris"} BMRFormula */
+
+const validSex = (sex) => sex === "male" || sex === "female";
+
+/**
+ * Basal metabolic rate in kcal/day – Mifflin-St Jeor (1990) or the revised Harris-Benedict
+ * (Roza & Shizgal 1984) – and total daily energy expenditure for an activity level.
+ * @param {{ unit: BMIUnit, weight: number|string, height: number|string, age: number|string, sex: Sex, formula?: BMRFormula, activity?: string }} input
+ * @returns {{ bmr: number, tdee: number }|null} null unless weight, height and age are positive
+ */
+export function calcBMR({ unit, weight, height, age, sex, formula = "mifflin", activity = "sedentary" }) {
+  const { kg, cm } = toMetricBody({ unit, weight, height });
+  const a = toNum(age, NaN), level = ACTIVITY_LEVELS[activity];
+  if (!(kg > 0 && cm > 0 && a > 0) || !validSex(sex) || !level) return null;
+  const male = sex === "male";
+  const bmr = formula === "harris"
+    ? (male ? 88.362 + 13.397 * kg + 4.799 * cm - 5.677 * a : 447.593 + 9.247 * kg + 3.098 * cm - 4.33 * a)
+    : 10 * kg + 6.25 * cm - 5 * a + (male ? 5 : -161);
+  return { bmr, tdee: bmr * level.factor };
+}
+
+// American Council on Exercise body-fat bands: lower bound (%) of Athletes, Fitness, Average, Obese
+const BODY_FAT_BANDS = { male: [6, 14, 18, 25], female: [14, 21, 25, 32] };
+const BODY_FAT_LABELS = ["Essential fat", "Athletes", "Fitness", "Average", "Obese"];
+
+/**
+ * US Navy circumference method (Hodgdon & Beckett 1984). Circumferences and height are in cm,
+ * or inches when `unit` is imperial; `hip` is needed for women only. `weight` is optional and
+ * only adds the fat and lean mass.
+ * @param {{ unit: BMIUnit, sex: Sex, height: number|string, neck: number|string, waist: number|string, hip?: number|string, weight?: number|string }} input
+ * @returns {{ bodyFat: number, category: string, fatMass: number, leanMass: number }|null}
+ *   null when the measurements don't fit the formula (e.g. neck not smaller than waist); the masses
+ *   are NaN without a weight
+ */
+export function calcBodyFatNavy({ unit, sex, height, neck, waist, hip, weight }) {
+  const cm = (v) => toMetricBody({ unit, height: v }).cm;
+  const h = cm(height), n = cm(neck), w = cm(waist), hp = cm(hip);
+  if (!validSex(sex) || !(h > 0 && n > 0 && w > 0)) return null;
+  const girth = sex === "male" ? w - n : w + hp - n;
+  if (!(girth > 0)) return null;
+  const bodyFat = sex === "male"
+    ? 495 / (1.0324 - 0.19077 * Math.log10(girth) + 0.15456 * Math.log10(h)) - 450
+    : 495 / (1.29579 - 0.35004 * Math.log10(girth) + 0.221 * Math.log10(h)) - 450;
+  if (!(bodyFat > 0 && bodyFat < 100)) return null;
+  const band = BODY_FAT_BANDS[sex].filter(lo => bodyFat >= lo).length;
+  const kg = toNum(weight, NaN);
+  const fatMass = kg > 0 ? kg * bodyFat / 100 : NaN;
+  return { bodyFat, category: BODY_FAT_LABELS[band], fatMass, leanMass: kg - fatMass };
+}
+
+// kg at 5 ft, kg per inch above 5 ft
+const IDEAL_WEIGHT_FORMULAS = {
+  devine: { male: [50, 2.3], female: [45.5, 2.3] },
+  robinson: { male: [52, 1.9], female: [49, 1.7] },
+  miller: { male: [56.2, 1.41], female: [53.1, 1.36] },
+  hamwi: { male: [48, 2.7], female: [45.5, 2.2] },
+};
+
+/**
+ * Ideal body weight by the Devine, Robinson, Miller and Hamwi formulas, plus the weight range
+ * that gives a Normal BMI. The formulas are meant for heights from 5 ft (152.4 cm) up and are
+ * extrapolated below that. Weights are in the caller's unit.
+ * @param {{ unit: BMIUnit, sex: Sex, height: number|string, cutoffs?: BMICutoffs }} input
+ * @returns {{ devine: number, robinson: number, miller: number, hamwi: number, healthyMin: number, healthyMax: number }|null}
+ */
+export function calcIdealWeight({ unit, sex, height, cutoffs = "who" }) {
+  const { cm } = toMetricBody({ unit, height });
+  if (!validSex(sex) || !(cm > 0)) return null;
+  const over5ft = cm / CM_PER_INCH - 60, m = cm / 100;
+  const out = {};
+  for (const [name, f] of Object.entries(IDEAL_WEIGHT_FORMULAS)) {
+    const [base, perInch] = f[sex];
+    out[name] = fromKg(unit, Math.max(0, base + perInch * over5ft));
+  }
+  const [under, normal] = BMI_CUTOFFS[cutoffs] ?? BMI_CUTOFFS.who;
+  return { ...out, healthyMin: fromKg(unit, under * m * m), healthyMax: fromKg(unit, normal * m * m) };
+}
+
+/**
+ * Daily water and protein targets for healthy adults. Water: 40 ml/kg under 30, 35 ml/kg to 55,
+ * 30 ml/kg after, plus the activity allowance, and at least the EFSA intake from drinks (2 L for
+ * men, 1.6 L for women). Protein: the activity level's g/kg, at least 1 g/kg from 65 (PROT-AGE).
+ * @param {{ unit: BMIUnit, weight: number|string, age: number|string, sex: Sex, activity?: string }} input
+ * @returns {{ waterLitres: number, proteinGrams: number, proteinPerKg: number }|null}
+ */
+export function calcDailyTargets({ unit, weight, age, sex, activity = "sedentary" }) {
+  const { kg } = toMetricBody({ unit, weight });
+  const a = toNum(age, NaN), level = ACTIVITY_LEVELS[activity];
+  if (!(kg > 0 && a > 0) || !validSex(sex) || !level) return null;
+  const mlPerKg = a < 30 ? 40 : a <= 55 ? 35 : 30;
+  const waterLitres = Math.max(kg * mlPerKg / 1000 + level.water, sex === "male" ? 2 : 1.6);
+  const proteinPerKg = a >= 65 ? Math.max(level.protein, 1) : level.protein;
+  return { waterLitres, proteinGrams: kg * proteinPerKg, proteinPerKg };
+}
+
+// ------------------------------ DATES ------------------------------
+// Calendar math runs on local wall-clock time: a "YYYY-MM-DD" input is local midnight (the Date
+// constructor alone would read it as UTC midnight, i.e. the previous day west of Greenwich), and
+// day/hour differences ignore DST jumps so one calendar day is always 24 hours.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string|Date} v "YYYY-MM-DD", "YYYY-MM-DDTHH:mm" or a Date
+ * @returns {Date|null}
+ */
+export function parseDate(v) {
+  if (v instanceof Date) return isNaN(v) ? null : new Date(v);
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v ?? "").trim());
+  const d = m ? new Date(+m[1], m[2] - 1, +m[3]) : new Date(v);
+  // reject 2026-02-30 & co. instead of rolling over into the next month
+  if (isNaN(d) || (m && d.getMonth() !== m[2] - 1)) return null;
+  return d;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+/** @param {Date} d @returns {string} local "YYYY-MM-DD" */
+export const formatDay = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+const formatDateTime = (d) => `${formatDay(d)}T${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+// local wall-clock time as if it were UTC, so subtracting two of them skips DST shifts
+const wallMs = (d) => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes(), d.getSeconds());
+const daysInMonth = (y, m) => new Date(y, m + 1, 0).getDate();
+
+// calendar difference from `a` to a later `b`: whole years, months, days, then hours and minutes
+const breakdown = (a, b) => {
+  let years = b.getFullYear() - a.getFullYear();
+  let months = b.getMonth() - a.getMonth();
+  let days = b.getDate() - a.getDate();
+  let minutes = (b.getHours() - a.getHours()) * 60 + b.getMinutes() - a.getMinutes();
+  if (minutes < 0) { minutes += 1440; days -= 1; }
+  if (days < 0) {
+    days += daysInMonth(b.getFullYear(), b.getMonth() - 1); months -= 1;
+  }
+  if (months < 0) { months += 12; years -= 1; }
+  return { years, months, days, hours: Math.floor(minutes / 60), minutes: minutes % 60 };
+};
+
+/**
+ * Age in completed years, months and days on `now` (defaults to today).
+ * @param {{ dob: string|Date, now?: string|Date }} input
+ * @returns {{ years: number, months: number, days: number }|null} null for an invalid date
+ */
+export function calcAge({ dob, now = new Date() }) {
+  const d = parseDate(dob), ref = parseDate(now);
+  if (!d || !ref) return null;
+  const { years, months, days } = breakdown(new Date(d.getFullYear(), d.getMonth(), d.getDate()), new Date(ref.getFullYear(), ref.getMonth(), ref.getDate()));
+  return { years, months, days };
+}
+
+/**
+ * The next birthday on or after `now`. A 29 February birthday falls on 28 February in common years.
+ * @param {{ dob: string|Date, now?: string|Date }} input
+ * @returns {{ date: string, days: number, turning: number }|null} days is 0 on the birthday itself
+ */
+export function nextBirthday({ dob, now = new Date() }) {
+  const d = parseDate(dob), ref = parseDate(now);
+  if (!d || !ref) return null;
+  const today = new Date(ref.getFullYear(), ref.getMonth(), ref.getDate());
+  const on = (y) => new Date(y, d.getMonth(), Math.min(d.getDate(), daysInMonth(y, d.getMonth())));
+  let year = today.getFullYear(), next = on(year);
+  if (next < today) next = on(++year);
+  return { date: formatDay(next), days: Math.round((wallMs(next) - wallMs(today)) / DAY_MS), turning: year - d.getFullYear() };
+}
+
+/**
+ * Difference between two dates or date-times, in either order.
+ * @param {{ a: string|Date, b: string|Date }} input
+ * @returns {{ days: number, weeks: number, hours: number, breakdown: { years: number, months: number, days: number, hours: number, minutes: number } }|null}
+ *   days = whole days, hours = total hours; null if either date is invalid
+ */
+export function calcDateDiff({ a, b }) {
+  let d1 = parseDate(a), d2 = parseDate(b);
+  if (!d1 || !d2) return null;
+  if (d2 < d1) [d1, d2] = [d2, d1];
+  const ms = wallMs(d2) - wallMs(d1);
+  const days = Math.floor(ms / DAY_MS);
+  return { days, weeks: days / 7, hours: ms / 3600000, breakdown: breakdown(d1, d2) };
+}
+
+/**
+ * Add (or subtract) a calendar duration. Years and months move the calendar date and clamp to the
+ * month's last day (31 Jan + 1 month = 28/29 Feb); weeks, days, hours and minutes move the wall clock.
+ * @param {{ date: string|Date, years?: number|string, months?: number|string, weeks?: number|string,
+ *   days?: number|string, hours?: number|string, minutes?: number|string, op?: "add"|"subtract" }} input
+ * @returns {{ date: string, dateTime: string, weekday: number }|null} weekday 0 = Sunday
+ */
+export function addDuration({ date, years = 0, months = 0, weeks = 0, days = 0, hours = 0, minutes = 0, op = "add" }) {
+  const d = parseDate(date);
+  if (!d) return null;
+  const sign = op === "subtract" ? -1 : 1;
+  const totalMonths = sign * (Math.trunc(toNum(years)) * 12 + Math.trunc(toNum(months)));
+  const y = d.getFullYear(), m = d.getMonth() + totalMonths;
+  const out = new Date(y, m, Math.min(d.getDate(), daysInMonth(y, m)), d.getHours(), d.getMinutes());
+  out.setMinutes(out.getMinutes() + Math.round(sign * ((toNum(weeks) * 7 + toNum(days)) * 1440 + toNum(hours) * 60 + toNum(minutes))));
+  return isNaN(out) ? null : { date: formatDay(out), dateTime: formatDateTime(out), weekday: out.getDay() };
+}
+
+/** @typedef {{ date: string, name: string }} Holiday  date is "YYYY-MM-DD" */
+
+const holidaySet = (holidays) => new Set(holidays.map(h => typeof h === "string" ? h : h.date));
+
+/**
+ * Working days between two dates, both ends included and in either order. A holiday on a
+ * weekend counts as a weekend day only.
+ * @param {{ a: string|Date, b: string|Date, weekend?: number[], holidays?: (Holiday|string)[] }} input
+ *   weekend: day numbers, 0 = Sunday (default Saturday + Sunday)
+ * @returns {{ workingDays: number, weekendDays: number, holidayDays: number, calendarDays: number }|null}
+ */
+export function countWorkingDays({ a, b, weekend = [0, 6], holidays = [] }) {
+  let d1 = parseDate(a), d2 = parseDate(b);
+  if (!d1 || !d2) return null;
+  if (d2 < d1) [d1, d2] = [d2, d1];
+  const start = new Date(d1.getFullYear(), d1.getMonth(), d1.getDate()), end = formatDay(d2);
+  const calendarDays = Math.round((wallMs(parseDate(end)) - wallMs(start)) / DAY_MS) + 1;
+  // whole weeks contain every weekday once; only the remainder needs walking
+  let weekendDays = Math.floor(calendarDays / 7) * new Set(weekend).size;
+  for (let i = 0; i < calendarDays % 7; i++) if (weekend.includes((start.getDay() + i) % 7)) weekendDays++;
+  let holidayDays = 0;
+  for (const day of holidaySet(holidays)) {
+    const d = parseDate(day);
+    if (d && day >= formatDay(start) && day <= end && !weekend.includes(d.getDay())) holidayDays++;
+  }
+  return { workingDays: calendarDays - weekendDays - holidayDays, weekendDays, holidayDays, calendarDays };
+}
+
+/**
+ * The date `days` working days after (or, when negative, before) `date`; the start date itself does not count.
+ * @param {{ date: string|Date, days: number|string, weekend?: number[], holidays?: (Holiday|string)[] }} input
+ * @returns {string|null} "YYYY-MM-DD"; null for a bad date, an all-weekend week or more than 100 000 days
+ */
+export function addWorkingDays({ date, days, weekend = [0, 6], holidays = [] }) {
+  const d0 = parseDate(date);
+  if (!d0 || new Set(weekend).size >= 7 || Math.abs(toNum(days)) > 1e5) return null;
+  const off = holidaySet(holidays), step = toNum(days) < 0 ? -1 : 1;
+  const d = new Date(d0.getFullYear(), d0.getMonth(), d0.getDate());
+  for (let left = Math.abs(Math.trunc(toNum(days))); left > 0;) {
+    d.setDate(d.getDate() + step);
+    if (!weekend.includes(d.getDay()) && !off.has(formatDay(d))) left--;
+  }
+  return formatDay(d);
+}
+
+/**
+ * Read a holiday list: a JSON array of dates or { date, name } objects (optionally under
+ * "holidays"), or CSV / plain lines of "date,name". Dates may be YYYY-MM-DD or DD-MM-YYYY
+ * (also with "/"). Header and comment lines are skipped. Throws when no date is found.
+ * @param {string} text
+ * @returns {Holiday[]} sorted by date, one entry per date
+ */
+export function parseHolidayList(text) {
+  const src = String(text).trim();
+  const iso = (s) => {
+    let m = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(String(s ?? "").trim());
+    if (m) return parseDay(+m[1], +m[2], +m[3]);
+    m = /^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/.exec(String(s ?? "").trim());
+    return m ? parseDay(+m[3], +m[2], +m[1]) : null;
+  };
+  const parseDay = (y, mo, d) => mo >= 1 && mo <= 12 && d >= 1 && d <= daysInMonth(y, mo - 1) ? `${y}-${pad2(mo)}-${pad2(d)}` : null;
+  let entries;
+  if (src.startsWith("[") || src.startsWith("{")) {
+    let data;
+    try { data = JSON.parse(src); } catch (err) { throw new Error(`Invalid JSON: ${err.message}`); }
+    const list = Array.isArray(data) ? data : data.holidays;
+    if (!Array.isArray(list)) throw new Error("JSON must be an array of holidays or { holidays: [...] }");
+    entries = list.map(h => typeof h === "string" ? { date: iso(h), name: "" } : { date: iso(h?.date), name: String(h?.name ?? "") });
+  } else {
+    entries = src.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#")).map(line => {
+      const [date, ...rest] = line.split(/[,;\t]/);
+      return { date: iso(date), name: rest.join(",").trim().replace(/^"|"$/g, "") };
+    });
+  }
+  const byDate = new Map(entries.filter(e => e.date).map(e => [e.date, e]));
+  if (!byDate.size) throw new Error("No dates found (use YYYY-MM-DD or DD-MM-YYYY)");
+  return [...byDate.values()].sort((x, y) => x.date.localeCompare(y.date));
+}
+
+// ------------------------------ TIME ZONES ------------------------------
+// IANA zones through the platform's Intl data, so DST rules stay current without shipping tables.
+
+export const TIME_ZONE_CITIES = [
+  { city: "Delhi / Mumbai", zone: "Asia/Kolkata" },
+  { city: "Dubai", zone: "Asia/Dubai" },
+  { city: "Singapore", zone: "Asia/Singapore" },
+  { city: "Tokyo", zone: "Asia/Tokyo" },
+  { city: "Sydney", zone: "Australia/Sydney" },
+  { city: "London", zone: "Europe/London" },
+  { city: "Berlin / Paris", zone: "Europe/Berlin" },
+  { city: "New York", zone: "America/New_York" },
+  { city: "Chicago", zone: "America/Chicago" },
+  { city: "San Francisco", zone: "America/Los_Angeles" },
+  { city: "Toronto", zone: "America/Toronto" },
+  { city: "São Paulo", zone: "America/Sao_Paulo" },
+  { city: "Johannesburg", zone: "Africa/Johannesburg" },
+  { city: "Kathmandu", zone: "Asia/Kathmandu" },
+  { city: "Dhaka", zone: "Asia/Dhaka" },
+  { city: "Hong Kong", zone: "Asia/Hong_Kong" },
+  { city: "Auckland", zone: "Pacific/Auckland" },
+  { city: "UTC", zone: "UTC" },
+];
+
+/** @param {string} zone @returns {boolean} */
+export function isTimeZone(zone) {
+  try { new Intl.DateTimeFormat("en-US", { timeZone: zone }); return true; } catch { return false; }
+}
+
+const zoneFormats = new Map();
+// wall-clock fields of instant `ms` in `zone`, as a UTC timestamp
+const zoneWallMs = (ms, zone) => {
+  if (!zoneFormats.has(zone)) {
+    zoneFormats.set(zone, new Intl.DateTimeFormat("en-US", {
+      timeZone: zone, hourCycle: "h23", year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit",
+    }));
+  }
+  const p = Object.fromEntries(zoneFormats.get(zone).formatToParts(new Date(ms)).map(x => [x.type, x.value]));
+  return Date.UTC(+p.year, p.month - 1, +p.day, +p.hour, +p.minute);
+};
+
+/**
+ * UTC offset of `zone` at instant `at`, in minutes (Asia/Kolkata → 330).
+ * @param {string} zone
+ * @param {Date|number} [at=Date.now()]
+ * @returns {number}
+ */
+export function zoneOffset(zone, at = Date.now()) {
+  const ms = Math.floor(+at / 60000) * 60000;
+  return (zoneWallMs(ms, zone) - ms) / 60000;
+}
+
+const formatOffset = (min) => `${min < 0 ? "-" : "+"}${pad2(Math.floor(Math.abs(min) / 60))}:${pad2(Math.abs(min) % 60)}`;
+
+/**
+ * A wall-clock time in one zone shown in others. A time skipped by a DST change resolves
+ * to the instant one offset later, like most calendar apps.
+ * @param {{ dateTime: string, from: string, zones: string[] }} input  dateTime "YYYY-MM-DDTHH:mm"
+ * @returns {{ utc: string, rows: { zone: string, dateTime: string, offset: string, dayShift: number }[] }|null}
+ *   dayShift: the row's calendar date minus the source date (−1, 0, +1); null for a bad time or zone
+ */
+export function convertTimeZone({ dateTime, from, zones }) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})$/.exec(String(dateTime ?? ""));
+  if (!m || !isTimeZone(from) || !zones.every(isTimeZone)) return null;
+  const wall = Date.UTC(+m[1], m[2] - 1, +m[3], +m[4], +m[5]);
+  // the offset at the guess may differ from the offset at the answer near a DST change; one retry
+  // settles it, and when neither candidate shows the requested wall time it fell in a DST gap
+  const u1 = wall - zoneOffset(from, wall) * 60000, u2 = wall - zoneOffset(from, u1) * 60000;
+  const utc = zoneWallMs(u2, from) === wall ? u2 : zoneWallMs(u1, from) === wall ? u1 : Math.max(u1, u2);
+  const srcDay = Math.floor(wall / DAY_MS);
+  return {
+    utc: new Date(utc).toISOString(),
+    rows: zones.map(zone => {
+      const local = zoneWallMs(utc, zone);
+      return {
+        zone,
+        dateTime: new Date(local).toISOString().slice(0, 16),
+        offset: formatOffset((local - utc) / 60000),
+        dayShift: Math.floor(local / DAY_MS) - srcDay,
+      };
+    }),
+  };
+}
+
+// ------------------------------ UNITS ------------------------------
+// One data-driven engine for every converter. A unit maps to its quantity's base unit:
+//   linear:  base = value × factor
+//   affine:  base = value × factor + offset        (temperatures)
+//   inverse: base = inverse ÷ value                (L/100km against km/L)
+// Adding a unit or a whole quantity is a data change (or registerUnit/registerQuantity at runtime).
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} id          short label, unique within its quantity (also used in URLs)
+ * @property {string} name
+ * @property {number} [factor]    base units per one of this unit
+ * @property {number} [offset]
+ * @property {number} [inverse]
+ */
+
+/**
+ * @typedef {Object} Quantity
+ * @property {string} title
+ * @property {string} base        id of the base unit
+ * @property {string} [aliases]   extra search words
+ * @property {{ from: string, to: string, value: number }} defaults
+ * @property {Unit[]} units
+ */
+
+const SQ_FT = 0.09290304;
+
+/** @type {Record<string, Quantity>} */
+export const UNIT_QUANTITIES = {
+  temp: {
+    title: "Temperature", base: "Kelvin", aliases: "heat weather",
+    defaults: { from: "Celsius", to: "Fahrenheit", value: 25 },
+    units: [
+      { id: "Celsius", name: "Celsius (°C)", factor: 1, offset: 273.15 },
+      { id: "Fahrenheit", name: "Fahrenheit (°F)", factor: 5 / 9, offset: 273.15 - 32 * 5 / 9 },
+      { id: "Kelvin", name: "Kelvin (K)", factor: 1 },
+      { id: "Rankine", name: "Rankine (°R)", factor: 5 / 9 },
+    ],
+  },
+  length: {
+    title: "Length", base: "m", aliases: "distance feet meter",
+    defaults: { from: "m", to: "ft", value: 1 },
+    units: [
+      { id: "µm", name: "Micrometre", factor: 1e-6 },
+      { id: "mm", name: "Millimetre", factor: 0.001 },
+      { id: "cm", name: "Centimetre", factor: 0.01 },
+      { id: "m", name: "Metre", factor: 1 },
+      { id: "km", name: "Kilometre", factor: 1000 },
+      { id: "inch", name: "Inch", factor: 0.0254 },
+      { id: "ft", name: "Foot", factor: 0.3048 },
+      { id: "yd", name: "Yard", factor: 0.9144 },
+      { id: "mile", name: "Mile", factor: 1609.344 },
+      { id: "nmi", name: "Nautical mile", factor: 1852 },
+    ],
+  },
+  weight: {
+    title: "Weight", base: "kg", aliases: "mass",
+    defaults: { from: "kg", to: "lb", value: 1 },
+    units: [
+      { id: "mg", name: "Milligram", factor: 1e-6 },
+      { id: "ct", name: "Carat", factor: 0.0002 },
+      { id: "g", name: "Gram", factor: 0.001 },
+      { id: "tola", name: "Tola", factor: 0.0116638038 },
+      { id: "kg", name: "Kilogram", factor: 1 },
+      { id: "quintal", name: "Quintal", factor: 100 },
+      { id: "tonne", name: "Tonne (metric)", factor: 1000 },
+      { id: "oz", name: "Ounce", factor: 0.028349523125 },
+      { id: "lb", name: "Pound", factor: 0.45359237 },
+      { id: "st", name: "Stone", factor: 6.35029318 },
+    ],
+  },
+  time: {
+    title: "Time", base: "sec", aliases: "duration seconds minutes hours days",
+    defaults: { from: "min", to: "sec", value: 5 },
+    units: [
+      { id: "ms", name: "Millisecond", factor: 0.001 },
+      { id: "sec", name: "Second", factor: 1 },
+      { id: "min", name: "Minute", factor: 60 },
+      { id: "hr", name: "Hour", factor: 3600 },
+      { id: "day", name: "Day", factor: 86400 },
+      { id: "week", name: "Week", factor: 604800 },
+      { id: "month", name: "Month (avg)", factor: 2629746 },
+      { id: "year", name: "Year (avg)", factor: 31556952 },
+    ],
+  },
+  speed: {
+    title: "Speed", base: "m/s", aliases: "velocity",
+    defaults: { from: "km/h", to: "m/s", value: 60 },
+    units: [
+      { id: "m/s", name: "Metre per second", factor: 1 },
+      { id: "km/h", name: "Kilometre per hour", factor: 1 / 3.6 },
+      { id: "mph", name: "Mile per hour", factor: 0.44704 },
+      { id: "ft/s", name: "Foot per second", factor: 0.3048 },
+      { id: "knot", name: "Knot", factor: 1852 / 3600 },
+    ],
+  },
+  area: {
+    title: "Area", base: "sq m", aliases: "land plot zameen square meter feet",
+    defaults: { from: "sq m", to: "sq ft", value: 1 },
+    units: [
+      { id: "sq cm", name: "Square centimetre", factor: 1e-4 },
+      { id: "sq m", name: "Square metre", factor: 1 },
+      { id: "sq km", name: "Square kilometre", factor: 1e6 },
+      { id: "sq inch", name: "Square inch", factor: 0.00064516 },
+      { id: "sq ft", name: "Square foot", factor: SQ_FT },
+      { id: "sq yd", name: "Square yard", factor: 9 * SQ_FT },
+      { id: "gaj", name: "Gaj (= sq yd)", factor: 9 * SQ_FT },
+      { id: "acre", name: "Acre", factor: 43560 * SQ_FT },
+      { id: "hectare", name: "Hectare", factor: 10000 },
+      { id: "sq mile", name: "Square mile", factor: 27878400 * SQ_FT },
+      // Indian land units vary by state; these are the common revenue-record values
+      { id: "cent", name: "Cent (South India)", factor: 435.6 * SQ_FT },
+      { id: "guntha", name: "Guntha (Maharashtra)", factor: 1089 * SQ_FT },
+      { id: "marla", name: "Marla (Punjab/Haryana)", factor: 272.25 * SQ_FT },
+      { id: "kanal", name: "Kanal (Punjab/Haryana)", factor: 5445 * SQ_FT },
+      { id: "biswa", name: "Biswa (Uttar Pradesh)", factor: 1350 * SQ_FT },
+      { id: "bigha UP", name: "Bigha (Uttar Pradesh)", factor: 27000 * SQ_FT },
+      { id: "bigha RJ", name: "Bigha (Rajasthan, pucca)", factor: 27225 * SQ_FT },
+      { id: "bigha WB", name: "Bigha (West Bengal)", factor: 14400 * SQ_FT },
+    ],
+  },
+  volume: {
+    title: "Volume", base: "L", aliases: "capacity liquid",
+    defaults: { from: "L", to: "gal US", value: 1 },
+    units: [
+      { id: "ml", name: "Millilitre", factor: 0.001 },
+      { id: "L", name: "Litre", factor: 1 },
+      { id: "m³", name: "Cubic metre", factor: 1000 },
+      { id: "tsp", name: "Teaspoon (US)", factor: 0.00492892159375 },
+      { id: "tbsp", name: "Tablespoon (US)", factor: 0.01478676478125 },
+      { id: "fl oz", name: "Fluid ounce (US)", factor: 0.0295735295625 },
+      { id: "cup", name: "Cup (US)", factor: 0.2365882365 },
+      { id: "pint", name: "Pint (US)", factor: 0.473176473 },
+      { id: "quart", name: "Quart (US)", factor: 0.946352946 },
+      { id: "gal US", name: "Gallon (US)", factor: 3.785411784 },
+      { id: "gal UK", name: "Gallon (imperial)", factor: 4.54609 },
+      { id: "cu in", name: "Cubic inch", factor: 0.016387064 },
+      { id: "cu ft", name: "Cubic foot", factor: 28.316846592 },
+    ],
+  },
+  data: {
+    title: "Data Size", base: "B", aliases: "storage bytes memory",
+    defaults: { from: "GB", to: "MiB", value: 1 },
+    units: [
+      { id: "bit", name: "Bit", factor: 1 / 8 },
+      { id: "B", name: "Byte", factor: 1 },
+      { id: "KB", name: "Kilobyte", factor: 1e3 },
+      { id: "MB", name: "Megabyte", factor: 1e6 },
+      { id: "GB", name: "Gigabyte", factor: 1e9 },
+      { id: "TB", name: "Terabyte", factor: 1e12 },
+      { id: "KiB", name: "Kibibyte", factor: 2 ** 10 },
+      { id: "MiB", name: "Mebibyte", factor: 2 ** 20 },
+      { id: "GiB", name: "Gibibyte", factor: 2 ** 30 },
+      { id: "TiB", name: "Tebibyte", factor: 2 ** 40 },
+    ],
+  },
+  pressure: {
+    title: "Pressure", base: "Pa", aliases: "tyre tire",
+    defaults: { from: "bar", to: "psi", value: 1 },
+    units: [
+      { id: "Pa", name: "Pascal", factor: 1 },
+      { id: "kPa", name: "Kilopascal", factor: 1e3 },
+      { id: "MPa", name: "Megapascal", factor: 1e6 },
+      { id: "bar", name: "Bar", factor: 1e5 },
+      { id: "atm", name: "Atmosphere", factor: 101325 },
+      { id: "psi", name: "Pound per sq inch", factor: 6894.757293168 },
+      { id: "mmHg", name: "Millimetre of mercury", factor: 133.322387415 },
+      { id: "inHg", name: "Inch of mercury", factor: 3386.389 },
+      { id: "torr", name: "Torr", factor: 101325 / 760 },
+    ],
+  },
+  energy: {
+    title: "Energy", base: "J", aliases: "calories electricity units",
+    defaults: { from: "kWh", to: "kcal", value: 1 },
+    units: [
+      { id: "J", name: "Joule", factor: 1 },
+      { id: "kJ", name: "Kilojoule", factor: 1e3 },
+      { id: "cal", name: "Calorie", factor: 4.184 },
+      { id: "kcal", name: "Kilocalorie", factor: 4184 },
+      { id: "Wh", name: "Watt-hour", factor: 3600 },
+      { id: "kWh", name: "Kilowatt-hour (unit)", factor: 3.6e6 },
+      { id: "BTU", name: "British thermal unit", factor: 1055.05585262 },
+      { id: "eV", name: "Electronvolt", factor: 1.602176634e-19 },
+    ],
+  },
+  power: {
+    title: "Power", base: "W", aliases: "watt horsepower",
+    defaults: { from: "kW", to: "hp", value: 1 },
+    units: [
+      { id: "W", name: "Watt", factor: 1 },
+      { id: "kW", name: "Kilowatt", factor: 1e3 },
+      { id: "MW", name: "Megawatt", factor: 1e6 },
+      { id: "hp", name: "Horsepower (mechanical)", factor: 745.69987158227022 },
+      { id: "PS", name: "Metric horsepower", factor: 735.49875 },
+      { id: "BTU/h", name: "BTU per hour", factor: 0.29307107017 },
+      { id: "ton AC", name: "Ton of refrigeration", factor: 3516.8528420667 },
+    ],
+  },
+  fuel: {
+    title: "Fuel Economy", base: "km/L", aliases: "mileage average petrol diesel",
+    defaults: { from: "km/L", to: "L/100km", value: 15 },
+    units: [
+      { id: "km/L", name: "Kilometre per litre", factor: 1 },
+      { id: "L/100km", name: "Litre per 100 km", inverse: 100 },
+      { id: "mpg US", name: "Mile per gallon (US)", factor: 1.609344 / 3.785411784 },
+      { id: "mpg UK", name: "Mile per gallon (imperial)", factor: 1.609344 / 4.54609 },
+    ],
+  },
+};
+
+const toBase = (u, v) => u.inverse ? u.inverse / v : v * u.factor + (u.offset || 0);
+const fromBase = (u, b) => u.inverse ? u.inverse / b : (b - (u.offset || 0)) / u.factor;
+
+/** @param {string} quantity @param {string} id @returns {Unit|undefined} */
+export const findUnit = (quantity, id) => UNIT_QUANTITIES[quantity]?.units.find(u => u.id === id);
+
+/**
+ * Convert `value` between two units of a registered quantity.
+ * NaN for an unknown quantity/unit; inverse units give Infinity at 0 (like 1/0).
+ * @param {string} quantity  key of UNIT_QUANTITIES, e.g. "length"
+ * @param {number|string} value
+ * @param {string} from      unit id
+ * @param {string} to        unit id
+ * @returns {number}
+ */
+export function convertUnit(quantity, value, from, to) {
+  const f = findUnit(quantity, from), t = findUnit(quantity, to);
+  if (!f || !t) return NaN;
+  return fromBase(t, toBase(f, toNum(value)));
+}
+
+/**
+ * Add (or replace) a quantity.
+ * @param {string} id
+ * @param {Quantity} quantity
+ */
+export function registerQuantity(id, quantity) {
+  UNIT_QUANTITIES[id] = quantity;
+}
+
+/**
+ * Add (or replace, by id) a unit in an existing quantity.
+ * @param {string} quantity
+ * @param {Unit} unit
+ */
+export function registerUnit(quantity, unit) {
+  const q = UNIT_QUANTITIES[quantity];
+  if (!q) throw new Error(`Unknown quantity '${quantity}'`);
+  q.units = [...q.units.filter(u => u.id !== unit.id), unit];
+}
+
+// ------------------------------ FINANCE ------------------------------
+
+/** @typedef {"Years"|"Months"} TenureType */
+
+/**
+ * Loan EMI (reducing balance, monthly compounding). A 0% rate splits the principal evenly.
+ * @param {{ principal: number|string, ratePct: number|string, tenure: number|string, tenureType?: TenureType }} input
+ * @returns {{ emi: number, total: number, interest: number, months: number }}
+ */
+export function calcEMI({ principal, ratePct, tenure, tenureType = "Years" }) {
+  const p = toNum(principal);
+  const monthlyR = toNum(ratePct) / 12 / 100;
+  const months = tenureType === "Years" ? Math.round(toNum(tenure) * 12) : Math.round(toNum(tenure));
+  if (monthlyR === 0) {
+    return { emi: p / months, total: p, interest: 0, months };
+  }
+  const pow = Math.pow(1 + monthlyR, months);
+  const emi = p * monthlyR * (pow / (pow - 1));
+  const total = emi * months;
+  return { emi, total, interest: total - p, months };
+}
+
+/**
+ * Future value of a monthly SIP, invested at the start of each month. A 0% return is just the sum invested.
+ * @param {{ monthly: number|string, ratePct: number|string, years: number|string }} input
+ * @returns {{ fv: number, invested: number, gains: number }}
+ */
+export function calcSIP({ monthly, ratePct, years }) {
+  const i = toNum(ratePct) / 12 / 100, n = Math.round(toNum(years) * 12), a = toNum(monthly);
+  const invested = a * n;
+  if (i === 0) return { fv: invested, invested, gains: 0 };
+  // future value of SIP: A * [((1+i)^n - 1)/i] * (1+i)
+  const pow = Math.pow(1 + i, n);
+  const fv = a * ((pow - 1) / i) * (1 + i);
+  return { fv, invested, gains: fv - invested };
+}
+
+/**
+ * @typedef {Object} SIPYear
+ * @property {number} year
+ * @property {number} monthly     instalment during this year (after step-ups)
+ * @property {number} invested    cumulative, lumpsum included
+ * @property {number} value       corpus at the end of the year
+ * @property {number} gains
+ * @property {number} real        `value` in today's money (deflated by inflation)
+ */
+
+export const SIP_COLUMNS = [
+  { key: "year", label: "Year" },
+  { key: "monthly", label: "Monthly SIP" },
+  { key: "invested", label: "Invested" },
+  { key: "value", label: "Value" },
+  { key: "gains", label: "Gains" },
+  { key: "real", label: "Real Value" },
+];
+
+/**
+ * SIP with an optional annual step-up, an initial lumpsum and inflation. Instalments go in at
+ * the start of each month; every 12 months the instalment grows by `stepUpPct`. With no
+ * step-up or lumpsum this matches calcSIP().
+ * @param {{ monthly: number|string, ratePct: number|string, years: number|string, stepUpPct?: number|string,
+ *   lumpsum?: number|string, inflationPct?: number|string }} input
+ * @returns {{ fv: number, invested: number, gains: number, realFV: number, rows: SIPYear[] }}
+ */
+export function calcSIPPlan({ monthly, ratePct, years, stepUpPct = 0, lumpsum = 0, inflationPct = 0 }) {
+  const i = toNum(ratePct) / 12 / 100, step = toNum(stepUpPct) / 100, inf = toNum(inflationPct) / 100;
+  const n = Math.max(0, Math.round(toNum(years) * 12));
+  let sip = toNum(monthly), value = toNum(lumpsum), invested = value;
+  const rows = [];
+  for (let month = 1; month <= n; month++) {
+    value = (value + sip) * (1 + i);
+    invested += sip;
+    if (month % 12 === 0 || month === n) {
+      const year = month / 12;
+      rows.push({ year: Math.ceil(year), monthly: sip, invested, value, gains: value - invested, real: value / Math.pow(1 + inf, year) });
+      if (month % 12 === 0) sip *= 1 + step;
+    }
+  }
+  const realFV = value / Math.pow(1 + inf, n / 12);
+  return { fv: value, invested, gains: value - invested, realFV, rows };
+}
+
+/**
+ * Monthly SIP needed to reach `target` (in today's money when `inflationPct` is set) in `years`,
+ * given an optional lumpsum and annual step-up. `monthly` is 0 when the lumpsum alone gets there.
+ * @param {{ target: number|string, years: number|string, ratePct: number|string, stepUpPct?: number|string,
+ *   lumpsum?: number|string, inflationPct?: number|string }} input
+ * @returns {{ monthly: number, futureTarget: number, plan: ReturnType<typeof calcSIPPlan> }|null} null when no horizon
+ */
+export function calcSIPGoal({ target, years, ratePct, stepUpPct = 0, lumpsum = 0, inflationPct = 0 }) {
+  const common = { ratePct, years, stepUpPct, inflationPct };
+  const perRupee = calcSIPPlan({ ...common, monthly: 1 }).fv;
+  if (!(perRupee > 0)) return null;
+  const futureTarget = toNum(target) * Math.pow(1 + toNum(inflationPct) / 100, toNum(years));
+  // the corpus is linear in the instalment, so one unit plan is enough to solve for it
+  const fromLumpsum = calcSIPPlan({ ...common, monthly: 0, lumpsum }).fv;
+  const monthly = Math.max(0, (futureTarget - fromLumpsum) / perRupee);
+  return { monthly, futureTarget, plan: calcSIPPlan({ ...common, monthly, lumpsum }) };
+}
+
+/**
+ * @typedef {Object} SWPYear
+ * @property {number} year
+ * @property {number} opening
+ * @property {number} withdrawn
+ * @property {number} growth
+ * @property {number} closing
+ */
+
+export const SWP_COLUMNS = [
+  { key: "year", label: "Year" },
+  { key: "opening", label: "Opening Balance" },
+  { key: "withdrawn", label: "Withdrawn" },
+  { key: "growth", label: "Growth" },
+  { key: "closing", label: "Closing Balance" },
+];
+
+/**
+ * Systematic withdrawal plan: `withdrawal` leaves the corpus at the start of each month and
+ * grows by `stepUpPct` every year (e.g. to keep pace with inflation); the rest earns `ratePct`.
+ * Runs until the money is gone or `maxYears`.
+ * @param {{ corpus: number|string, withdrawal: number|string, ratePct: number|string,
+ *   stepUpPct?: number|string, maxYears?: number }} input
+ * @returns {{ months: number, lastsForever: boolean, totalWithdrawn: number, closing: number, rows: SWPYear[] }}
+ *   months the corpus pays out (the last one may be partial); lastsForever when it survives maxYears
+ */
+export function calcSWP({ corpus, withdrawal, ratePct, stepUpPct = 0, maxYears = 100 }) {
+  const i = toNum(ratePct) / 12 / 100, step = toNum(stepUpPct) / 100;
+  let balance = Math.max(0, toNum(corpus)), draw = Math.max(0, toNum(withdrawal)), totalWithdrawn = 0, months = 0;
+  const rows = [];
+  let year = { year: 1, opening: balance, withdrawn: 0, growth: 0, closing: balance };
+  for (let month = 1; month <= maxYears * 12 && balance > 0; month++) {
+    const out = Math.min(draw, balance);
+    balance -= out;
+    const growth = balance * i;
+    balance += growth;
+    totalWithdrawn += out; months = month;
+    year.withdrawn += out; year.growth += growth; year.closing = balance;
+    if (month % 12 === 0 || balance <= 0) {
+      rows.push(year);
+      year = { year: year.year + 1, opening: balance, withdrawn: 0, growth: 0, closing: balance };
+      if (month % 12 === 0) draw *= 1 + step;
+    }
+  }
+  return { months, lastsForever: balance > 0, totalWithdrawn, closing: balance, rows };
+}
+
+/**
+ * A = P(1 + r/n)^(nt). `timesPerYear` is rounded and floored at 1.
+ * @param {{ principal: number|string, ratePct: number|string, timesPerYear: number|string, years: number|string }} input
+ * @returns {{ amount: number, interest: number }}
+ */
+export function calcCompoundInterest({ principal, ratePct, timesPerYear, years }) {
+  const P = toNum(principal), R = toNum(ratePct) / 100, N = Math.max(1, Math.round(toNum(timesPerYear))), T = toNum(years);
+  const amount = P * Math.pow(1 + R / N, N * T);
+  return { amount, interest: amount - P };
+}
+
+/**
+ * A part-prepayment. One-time when `every` is 0/omitted, otherwise repeated every
+ * `every` months starting at `month` (1-based loan month).
+ * @typedef {{ amount: number|string, month: number|string, every?: number|string }} Prepayment
+ */
+
+/** @typedef {"tenure"|"emi"} PrepaymentStrategy */
+
+/**
+ * @typedef {Object} AmortizationRow
+ * @property {number} month
+ * @property {number} opening
+ * @property {number} emi         instalment actually paid this month (interest + principal)
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} prepayment
+ * @property {number} closing
+ */
+
+/**
+ * @typedef {Object} AmortizationYear
+ * @property {number} year
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} prepayment
+ * @property {number} closing     balance at the end of the year
+ */
+
+export const AMORTIZATION_COLUMNS = [
+  { key: "month", label: "Month" },
+  { key: "opening", label: "Opening Balance" },
+  { key: "emi", label: "EMI" },
+  { key: "interest", label: "Interest" },
+  { key: "principal", label: "Principal" },
+  { key: "prepayment", label: "Prepayment" },
+  { key: "closing", label: "Closing Balance" },
+];
+
+const prepaymentFor = (prepayments, month) => prepayments.reduce((sum, pp) => {
+  const start = Math.round(toNum(pp.month)), every = Math.round(toNum(pp.every));
+  const hit = every > 0 ? month >= start && (month - start) % every === 0 : month === start;
+  return hit ? sum + Math.max(0, toNum(pp.amount)) : sum;
+}, 0);
+
+/**
+ * Month-by-month amortization with optional part-prepayments.
+ * "tenure" keeps the EMI and finishes the loan early; "emi" keeps the end date
+ * and re-computes a smaller EMI after every prepayment.
+ * @param {{ principal: number|string, ratePct: number|string, tenure: number|string, tenureType?: TenureType,
+ *   prepayments?: Prepayment[], strategy?: PrepaymentStrategy }} input
+ * @returns {{ rows: AmortizationRow[], years: AmortizationYear[], totalInterest: number, totalPrepaid: number,
+ *   months: number, baseInterest: number, interestSaved: number, monthsSaved: number }}
+ */
+export function calcAmortization({ principal, ratePct, tenure, tenureType = "Years", prepayments = [], strategy = "tenure" }) {
+  const base = calcEMI({ principal, ratePct, tenure, tenureType });
+  const r = toNum(ratePct) / 12 / 100;
+  const rows = [];
+  let balance = toNum(principal), emi = base.emi;
+  for (let month = 1; month <= base.months && balance > 1e-6 && Number.isFinite(emi); month++) {
+    const opening = balance;
+    const interest = opening * r;
+    const principalPart = Math.min(emi - interest, opening);
+    const prepayment = Math.min(prepaymentFor(prepayments, month), opening - principalPart);
+    balance = opening - principalPart - prepayment;
+    if (balance < 1e-6) balance = 0;
+    rows.push({ month, opening, emi: interest + principalPart, interest, principal: principalPart, prepayment, closing: balance });
+    if (strategy === "emi" && prepayment > 0 && balance > 0) {
+      emi = calcEMI({ principal: balance, ratePct, tenure: base.months - month, tenureType: "Months" }).emi;
+    }
+  }
+  const years = [];
+  for (const row of rows) {
+    const year = Math.ceil(row.month / 12);
+    let y = years[years.length - 1];
+    if (!y || y.year !== year) { y = { year, interest: 0, principal: 0, prepayment: 0, closing: 0 }; years.push(y); }
+    y.interest += row.interest; y.principal += row.principal; y.prepayment += row.prepayment; y.closing = row.closing;
+  }
+  const totalInterest = rows.reduce((s, x) => s + x.interest, 0);
+  const totalPrepaid = rows.reduce((s, x) => s + x.prepayment, 0);
+  return {
+    rows, years, totalInterest, totalPrepaid, months: rows.length,
+    baseInterest: base.interest, interestSaved: base.interest - totalInterest, monthsSaved: base.months - rows.length,
+  };
+}
+
+// ------------------------------ CURRENCY ------------------------------
+// Offline FX: a rate table is { base, asOf, source, rates: { CODE: units per 1 base } }.
+// Any pair is a cross-rate through the base, so one table covers every combination.
+
+/**
+ * @typedef {Object} RateTable
+ * @property {string} base     ISO 4217 code with rate 1
+ * @property {string} asOf     YYYY-MM-DD
+ * @property {string} [source]
+ * @property {Record<string, number>} rates
+ */
+
+/**
+ * Bundled so the converter works with no network. Indicative mid-market values only –
+ * import a current table for anything that matters.
+ * @type {RateTable}
+ */
+export const BUNDLED_RATES = {
+  base: "USD",
+  asOf: "2025-01-01",
+  source: "Bundled (indicative)",
+  rates: {
+    USD: 1, INR: 85.6, EUR: 0.96, GBP: 0.8, JPY: 157.2, CNY: 7.3, AUD: 1.61, CAD: 1.44, CHF: 0.91,
+    NZD: 1.78, SGD: 1.36, HKD: 7.77, AED: 3.6725, SAR: 3.75, QAR: 3.64, KWD: 0.308, BHD: 0.376,
+    OMR: 0.385, PKR: 278.5, BDT: 119.5, LKR: 293, NPR: 137, THB: 34.2, MYR: 4.47, IDR: 16200,
+    PHP: 57.9, VND: 25450, KRW: 1470, ZAR: 18.8, BRL: 6.18, MXN: 20.6, TRY: 35.3, SEK: 11.0,
+    NOK: 11.35, DKK: 7.16, PLN: 4.1, RUB: 110, EGP: 50.8, NGN: 1545, KES: 129.3,
+  },
+};
+
+export const CURRENCY_NAMES = {
+  USD: "US Dollar", INR: "Indian Rupee", EUR: "Euro", GBP: "British Pound", JPY: "Japanese Yen",
+  CNY: "Chinese Yuan", AUD: "Australian Dollar", CAD: "Canadian Dollar", CHF: "Swiss Franc",
+  NZD: "New Zealand Dollar", SGD: "Singapore Dollar", HKD: "Hong Kong Dollar", AED: "UAE Dirham",
+  SAR: "Saudi Riyal", QAR: "Qatari Riyal", KWD: "Kuwaiti Dinar", BHD: "Bahraini Dinar", OMR: "Omani Rial",
+  PKR: "Pakistani Rupee", BDT: "Bangladeshi Taka", LKR: "Sri Lankan Rupee", NPR: "Nepalese Rupee",
+  THB: "Thai Baht", MYR: "Malaysian Ringgit", IDR: "Indonesian Rupiah", PHP: "Philippine Peso",
+  VND: "Vietnamese Dong", KRW: "South Korean Won", ZAR: "South African Rand", BRL: "Brazilian Real",
+  MXN: "Mexican Peso", TRY: "Turkish Lira", SEK: "Swedish Krona", NOK: "Norwegian Krone",
+  DKK: "Danish Krone", PLN: "Polish Zloty", RUB: "Russian Ruble", EGP: "Egyptian Pound",
+  NGN: "Nigerian Naira", KES: "Kenyan Shilling",
+};
+
+/**
+ * Units of `to` per one `from`. NaN if either currency is missing from the table.
+ * @param {RateTable} table
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function crossRate(table, from, to) {
+  const f = table.rates[from], t = table.rates[to];
+  return f > 0 && t > 0 ? t / f : NaN;
+}
+
+/**
+ * @param {RateTable} table
+ * @param {number|string} amount
+ * @param {string} from
+ * @param {string} to
+ * @returns {number}
+ */
+export function convertCurrency(table, amount, from, to) {
+  return toNum(amount) * crossRate(table, from, to);
+}
+
+/**
+ * The same table expressed against another base currency.
+ * @param {RateTable} table
+ * @param {string} base
+ * @returns {RateTable}
+ */
+export function rebaseRates(table, base) {
+  const rates = {};
+  for (const code of Object.keys(table.rates)) rates[code] = crossRate(table, base, code);
+  return { ...table, base, rates };
+}
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+const checkRateTable = ({ base, asOf, source, rates }) => {
+  base = String(base || "").trim().toUpperCase();
+  if (!CURRENCY_CODE.test(base)) throw new Error("Rate table needs a 3-letter base currency");
+  const clean = {};
+  for (const [code, rate] of Object.entries(rates || {})) {
+    const c = code.trim().toUpperCase(), r = toNum(rate, NaN);
+    if (!CURRENCY_CODE.test(c)) throw new Error(`'${code}' is not a 3-letter currency code`);
+    if (!(r > 0)) throw new Error(`Rate for ${c} must be a positive number`);
+    clean[c] = r;
+  }
+  if (!(base in clean)) clean[base] = 1;
+  if (Math.abs(clean[base] - 1) > 1e-9) throw new Error(`Base currency ${base} must have rate 1`);
+  if (Object.keys(clean).length < 2) throw new Error("Rate table has no rates");
+  const date = asOf && !isNaN(new Date(asOf)) ? new Date(asOf).toISOString().slice(0, 10) : "";
+  return { base, asOf: date, source: source || "Imported", rates: clean };
+};
+
+/**
+ * Parse an imported rate table. Throws an Error saying what is wrong.
+ * JSON: { base, asOf, rates } – also accepts the common `date` and
+ *   `base_code`/`conversion_rates` spellings of public FX APIs.
+ * CSV: header with `currency` and `rate` columns, optional `base` and `date`
+ *   (or `as_of`) columns; without `base`, the currency at rate 1 is the base.
+ * @param {string} text
+ * @param {string} [source] shown next to the date, e.g. the file name
+ * @returns {RateTable}
+ */
+export function parseRateTable(text, source) {
+  const src = String(text).trim();
+  if (src.startsWith("{")) {
+    let data;
+    try { data = JSON.parse(src); } catch (err) { throw new Error(`Invalid JSON: ${err.message}`); }
+    return checkRateTable({
+      base: data.base ?? data.base_code,
+      asOf: data.asOf ?? data.date ?? data.time_last_update_utc,
+      source: source ?? data.source,
+      rates: data.rates ?? data.conversion_rates,
+    });
+  }
+  const lines = src.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+  if (lines.length < 2) throw new Error("CSV needs a header row and at least one rate");
+  const head = lines[0].toLowerCase().split(",").map(h => h.trim());
+  const col = (...names) => head.findIndex(h => names.includes(h));
+  const ci = col("currency", "code"), ri = col("rate"), bi = col("base"), di = col("date", "as_of", "asof");
+  if (ci < 0 || ri < 0) throw new Error("CSV header must have 'currency' and 'rate' columns");
+  const rates = {};
+  let base = "", asOf = "";
+  lines.slice(1).forEach((line, n) => {
+    const cells = line.split(",").map(c => c.trim());
+    if (!cells[ci] || cells[ri] === undefined) throw new Error(`CSV line ${n + 2}: missing currency or rate`);
+    rates[cells[ci]] = cells[ri];
+    if (bi >= 0 && cells[bi]) base = cells[bi];
+    if (di >= 0 && cells[di]) asOf = cells[di];
+  });
+  if (!base) base = Object.keys(rates).find(c => toNum(rates[c]) === 1) || "";
+  if (!base) throw new Error("CSV needs a 'base' column or one currency at rate 1");
+  return checkRateTable({ base, asOf, source, rates });
+}
+
+/**
+ * Validate a table that came from storage or an export; null when unusable.
+ * @param {*} table
+ * @returns {RateTable|null}
+ */
+export function normaliseRateTable(table) {
+  try { return table ? checkRateTable(table) : null; } catch { return null; }
+}
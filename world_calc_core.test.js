@@ -0,0 +1,588 @@
+// Pins the core formulas to known results. Run with `npm test` (node:test, no dependencies).
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  toNum, parseLocaleNumber, formatLocaleInput, calcBasic, calcPercentage, calcDiscount, calcFraction, convertBase, calcGST, calcBMI, calcAge, calcDateDiff,
+  convertUnit, calcEMI, calcSIP, calcCompoundInterest, calcAmortization, AMORTIZATION_COLUMNS, toCSV,
+  calcIncomeTax, calcHRAExemption, compareTaxRegimes,
+  evaluateExpression,
+  findUnit, registerUnit, registerQuantity,
+  BUNDLED_RATES, crossRate, convertCurrency, rebaseRates, parseRateTable, normaliseRateTable,
+  dec, decAdd, decSub, decMul, decDiv, decRound, decToString,
+  calcInvoice,
+  nextBirthday, addDuration, countWorkingDays, addWorkingDays, parseHolidayList, convertTimeZone, isTimeZone,
+  calcSIPPlan, calcSIPGoal, calcSWP,
+  checkField, validateInputs,
+  goalSeek,
+  reportToMarkdown, reportToCSV, reportToHTML,
+  feetInchesToInches, inchesToFeetInches, calcBMR, calcBodyFatNavy, calcIdealWeight, calcDailyTargets,
+  parseFraction, formatFraction, fractionToDecimal, continuedFraction, decimalToFraction, fractionFromParts, calcFractionOp, calcGcdLcm,
+  parseDataset, percentile, describeData, histogram, linearRegression,
+  searchItems,
+} from "./world_calc_core.js";
+
+const near = (actual, expected, digits = 2) =>
+  assert.ok(Math.abs(actual - expected) < 10 ** -digits / 2, `expected ≈ ${expected}, got ${actual}`);
+
+test("toNum accepts grouped strings and falls back on junk", () => {
+  assert.equal(toNum("1,000"), 1000);
+  assert.equal(toNum("x", 5), 5);
+  assert.equal(toNum(undefined), 0);
+});
+
+test("parseLocaleNumber reads each locale's separators", () => {
+  assert.equal(parseLocaleNumber("1,00,000", "en-IN"), 100000);
+  assert.equal(parseLocaleNumber("12.5 lakh", "en-IN"), 1250000);
+  assert.equal(parseLocaleNumber("1.234.567,89", "de-DE"), 1234567.89);
+  assert.equal(parseLocaleNumber("1 000,5", "fr-FR"), 1000.5);
+  assert.ok(Number.isNaN(parseLocaleNumber("abc", "en-US")));
+});
+
+test("parseLocaleNumber keeps a decimal point that is not a group separator (de-DE, fr-FR)", () => {
+  assert.equal(parseLocaleNumber("7.55", "de-DE"), 7.55);
+  assert.equal(parseLocaleNumber("7,55", "de-DE"), 7.55);
+  assert.equal(parseLocaleNumber("1.000", "de-DE"), 1000);
+  assert.equal(parseLocaleNumber("8.5", "fr-FR"), 8.5);
+  assert.equal(parseLocaleNumber("1.000", "fr-FR"), 1);
+  assert.ok(Number.isNaN(parseLocaleNumber("7.5,3", "de-DE")));
+});
+
+test("formatLocaleInput round-trips through parseLocaleNumber", () => {
+  assert.equal(formatLocaleInput("7.5", "de-DE"), "7,5");
+  assert.equal(formatLocaleInput("-0.25", "fr-FR"), "-0,25");
+  assert.equal(formatLocaleInput("100000", "de-DE"), "100000");
+  for (const locale of ["de-DE", "fr-FR", "en-IN"]) {
+    assert.equal(parseLocaleNumber(formatLocaleInput("7.5", locale) + "5", locale), 7.55);
+  }
+});
+
+test("calcBasic", () => {
+  assert.equal(calcBasic({ a: "6", b: 3, op: "×" }), 18);
+  assert.equal(calcBasic({ a: 6, b: 3, op: "÷" }), 2);
+  assert.ok(Number.isNaN(calcBasic({ a: 6, b: 0, op: "÷" })));
+});
+
+test("calcPercentage, calcDiscount and calcFraction", () => {
+  assert.deepEqual(calcPercentage({ base: 200, pct: 15 }), { increase: 30, total: 230 });
+  assert.deepEqual(calcDiscount({ mrp: 999, off: 15, rounding: "half-up" }), { saved: 149.85, final: 849.15 });
+  assert.equal(calcFraction({ num: 3, den: 4 }), 0.75);
+  assert.ok(Number.isNaN(calcFraction({ num: 3, den: 0 })));
+});
+
+test("convertBase", () => {
+  assert.equal(convertBase({ value: "255", from: 10, to: 16 }), "FF");
+  assert.equal(convertBase({ value: "-1A.8", from: 16, to: 10 }), "-26.5");
+  assert.equal(convertBase({ value: "2", from: 2, to: 10 }), null);
+});
+
+test("calcGST adds and removes tax", () => {
+  assert.deepEqual(calcGST({ amount: 1000, rate: 18, mode: "add" }), { tax: 180, total: 1180 });
+  const removed = calcGST({ amount: 1180, rate: 18, mode: "remove" });
+  near(removed.total, 1000);
+  near(removed.tax, 180);
+  assert.deepEqual(calcGST({ amount: 1180, rate: 18, mode: "remove", rounding: "half-up" }), { tax: 180, total: 1000 });
+});
+
+test("calcIncomeTax: FY 2025-26 new regime rebate and marginal relief", () => {
+  const atLimit = calcIncomeTax({ fy: "2025-26", regime: "new", salary: 1275000 });
+  assert.equal(atLimit.taxable, 1200000);
+  assert.equal(atLimit.slabTax, 60000);
+  assert.equal(atLimit.total, 0);
+  // ₹25,000 above the rebate limit costs at most ₹25,000 before cess
+  const above = calcIncomeTax({ fy: "2025-26", regime: "new", salary: 1300000 });
+  assert.equal(above.rebate, 38750);
+  assert.equal(above.total, 26000);
+});
+
+test("calcIncomeTax: surcharge is capped at the income above the threshold", () => {
+  const justOver = calcIncomeTax({ fy: "2025-26", regime: "new", salary: 5085000 });
+  const atThreshold = calcIncomeTax({ fy: "2025-26", regime: "new", salary: 5075000 });
+  assert.equal(atThreshold.surcharge, 0);
+  assert.equal(justOver.surcharge, 7000);
+  assert.equal(justOver.slabTax + justOver.surcharge - atThreshold.slabTax, 10000);
+});
+
+test("calcIncomeTax: old regime slabs, age exemptions and capped deductions", () => {
+  const capped80C = calcIncomeTax({ fy: "2024-25", regime: "old", salary: 1000000, d80C: 200000 });
+  assert.equal(capped80C.taxable, 800000);
+  assert.equal(capped80C.total, 75400);
+  assert.equal(calcIncomeTax({ fy: "2024-25", regime: "old", salary: 600000, age: "senior" }).total, 20800);
+  assert.equal(calcIncomeTax({ fy: "2024-25", regime: "old", salary: 600000, age: "superSenior" }).total, 10400);
+  assert.equal(calcIncomeTax({ fy: "1999-00", regime: "new", salary: 1 }), null);
+});
+
+test("calcHRAExemption and compareTaxRegimes", () => {
+  assert.equal(calcHRAExemption({ basic: 600000, hra: 300000, rent: 240000, metro: true }), 180000);
+  const cmp = compareTaxRegimes({ fy: "2024-25", salary: 1500000, d80C: 150000, d80D: 25000, basic: 600000, hra: 300000, rent: 360000, metro: true });
+  assert.equal(cmp.old.total, 111800);
+  assert.equal(cmp.new.total, 130000);
+  assert.equal(cmp.better, "old");
+  assert.equal(cmp.saving, 18200);
+});
+
+test("calcBMI in metric and imperial", () => {
+  const metric = calcBMI({ unit: "metric", weight: 70, height: 175 });
+  near(metric.bmi, 22.86);
+  assert.equal(metric.status, "Normal");
+  near(calcBMI({ unit: "imperial", weight: 154, height: 69 }).bmi, 22.74);
+  assert.equal(calcBMI({ unit: "metric", weight: 70, height: "" }).status, "-");
+});
+
+test("calcAge and calcDateDiff", () => {
+  assert.deepEqual(calcAge({ dob: "2000-02-29", now: "2024-02-28" }), { years: 23, months: 11, days: 30 });
+  const diff = calcDateDiff({ a: "2024-03-10", b: "2024-01-01" });
+  assert.equal(diff.days, 69);
+  assert.deepEqual(diff.breakdown, { years: 0, months: 2, days: 9, hours: 0, minutes: 0 });
+  assert.equal(calcAge({ dob: "not a date" }), null);
+});
+
+test("convertUnit", () => {
+  near(convertUnit("temp", 100, "Celsius", "Fahrenheit"), 212);
+  assert.equal(convertUnit("length", 2.5, "km", "m"), 2500);
+  assert.ok(Number.isNaN(convertUnit("length", 1, "km", "parsec")));
+});
+
+test("calcEMI", () => {
+  assert.deepEqual(calcEMI({ principal: 120000, ratePct: 0, tenure: 1 }), { emi: 10000, total: 120000, interest: 0, months: 12 });
+  const loan = calcEMI({ principal: 500000, ratePct: 10, tenure: 5 });
+  near(loan.emi, 10623.52);
+  near(loan.interest, 137411.34);
+  assert.equal(calcEMI({ principal: 500000, ratePct: 10, tenure: 18, tenureType: "Months" }).months, 18);
+});
+
+test("calcSIP", () => {
+  near(calcSIP({ monthly: 5000, ratePct: 12, years: 10 }).fv, 1161695.38);
+  assert.deepEqual(calcSIP({ monthly: 5000, ratePct: 0, years: 10 }), { fv: 600000, invested: 600000, gains: 0 });
+});
+
+test("calcCompoundInterest", () => {
+  const q = calcCompoundInterest({ principal: 10000, ratePct: 10, timesPerYear: 4, years: 5 });
+  near(q.amount, 16386.16);
+  near(q.interest, 6386.16);
+  near(calcCompoundInterest({ principal: 10000, ratePct: 10, timesPerYear: 0, years: 1 }).amount, 11000);
+});
+
+test("calcAmortization without prepayments matches calcEMI", () => {
+  const plan = calcAmortization({ principal: 500000, ratePct: 10, tenure: 5 });
+  assert.equal(plan.months, 60);
+  assert.equal(plan.years.length, 5);
+  near(plan.rows[0].interest, 4166.67);
+  near(plan.rows[0].principal, 6456.86);
+  near(plan.totalInterest, 137411.34);
+  assert.equal(plan.rows.at(-1).closing, 0);
+  assert.equal(calcAmortization({ principal: 120000, ratePct: 0, tenure: 1 }).totalInterest, 0);
+});
+
+test("calcAmortization with part-prepayments", () => {
+  const prepayments = [{ amount: 100000, month: 12 }];
+  const shorter = calcAmortization({ principal: 500000, ratePct: 10, tenure: 5, prepayments });
+  assert.equal(shorter.months, 47);
+  assert.equal(shorter.monthsSaved, 13);
+  assert.equal(shorter.totalPrepaid, 100000);
+  near(shorter.interestSaved, 41435.36);
+
+  const smallerEmi = calcAmortization({ principal: 500000, ratePct: 10, tenure: 5, prepayments, strategy: "emi" });
+  assert.equal(smallerEmi.months, 60);
+  near(smallerEmi.rows[12].emi, 8087.26);
+
+  const recurring = calcAmortization({ principal: 500000, ratePct: 10, tenure: 5, prepayments: [{ amount: 10000, month: 6, every: 6 }] });
+  assert.equal(recurring.totalPrepaid, 80000);
+  assert.equal(recurring.months, 51);
+});
+
+test("toCSV writes labels and fixed decimals", () => {
+  assert.equal(toCSV(AMORTIZATION_COLUMNS.slice(0, 2), [{ month: 1, opening: 1000.5 }]), "Month,Opening Balance\n1,1000.50");
+  assert.equal(toCSV([{ key: "a", label: "A" }], [{ a: 'say "hi", bye' }]), 'A\n"say ""hi"", bye"');
+});
+
+test("evaluateExpression: precedence, powers, percent and functions", () => {
+  const value = (src, scope) => evaluateExpression(src, scope).value;
+  assert.equal(value("2+3*4"), 14);
+  assert.equal(value("(2+3)*4"), 20);
+  assert.equal(value("2^3^2"), 512);
+  assert.equal(value("-2^2"), -4);
+  assert.equal(value("200 + 10%"), 220);
+  assert.equal(value("max(1, 7, 3)"), 7);
+  near(value("sin(90)", { angle: "deg" }), 1, 12);
+  assert.equal(value("sqrt(16)+ans", { ans: 4 }), 8);
+  assert.equal(value("x*2", { vars: { x: 21 } }), 42);
+  assert.deepEqual(evaluateExpression("y = 3*4"), { value: 12, assign: "y", error: null });
+});
+
+test("evaluateExpression reports errors with a position", () => {
+  assert.deepEqual(evaluateExpression("1/0").error, { message: "Division by zero", pos: 1 });
+  assert.deepEqual(evaluateExpression("2+").error, { message: "Unexpected end of expression", pos: 2 });
+  assert.deepEqual(evaluateExpression("foo(1)").error, { message: "Unknown function 'foo'", pos: 0 });
+  assert.ok(Number.isNaN(evaluateExpression("5!").value));
+});
+
+test("evaluateExpression ignores Object.prototype names", () => {
+  assert.deepEqual(evaluateExpression("toString(2)").error, { message: "Unknown function 'toString'", pos: 0 });
+  assert.deepEqual(evaluateExpression("constructor(1)").error, { message: "Unknown function 'constructor'", pos: 0 });
+  assert.deepEqual(evaluateExpression("valueOf").error, { message: "Unknown variable 'valueOf'", pos: 0 });
+  assert.deepEqual(evaluateExpression("hasOwnProperty + 1").error, { message: "Unknown variable 'hasOwnProperty'", pos: 0 });
+  assert.deepEqual(evaluateExpression("toString = 2"), { value: 2, assign: "toString", error: null });
+});
+
+test("convertUnit handles affine and inverse units", () => {
+  assert.equal(convertUnit("temp", 0, "Kelvin", "Celsius"), -273.15);
+  near(convertUnit("temp", 491.67, "Rankine", "Fahrenheit"), 32, 9);
+  near(convertUnit("weight", 1, "kg", "lb"), 2.2046, 4);
+  assert.equal(convertUnit("fuel", 20, "km/L", "L/100km"), 5);
+  assert.equal(convertUnit("fuel", 0, "km/L", "L/100km"), Infinity);
+});
+
+test("registerUnit and registerQuantity extend the registry", () => {
+  registerUnit("length", { id: "test-furlong", name: "Furlong", factor: 201.168 });
+  assert.equal(convertUnit("length", 2, "test-furlong", "m"), 402.336);
+  registerUnit("length", { id: "test-furlong", name: "Furlong", factor: 200 });
+  assert.equal(findUnit("length", "test-furlong").factor, 200);
+  assert.throws(() => registerUnit("test-missing", { id: "x", name: "x", factor: 1 }), /Unknown quantity/);
+
+  registerQuantity("test-angle", {
+    title: "Angle", base: "rad", defaults: { from: "deg", to: "rad", value: 180 },
+    units: [{ id: "rad", name: "Radian", factor: 1 }, { id: "deg", name: "Degree", factor: Math.PI / 180 }],
+  });
+  near(convertUnit("test-angle", 180, "deg", "rad"), Math.PI, 12);
+});
+
+test("currency conversion crosses through the table's base", () => {
+  near(crossRate(BUNDLED_RATES, "EUR", "INR"), 85.6 / 0.96, 9);
+  assert.equal(convertCurrency(BUNDLED_RATES, "100", "USD", "INR"), 8560);
+  assert.ok(Number.isNaN(convertCurrency(BUNDLED_RATES, 1, "USD", "XYZ")));
+  const inInr = rebaseRates(BUNDLED_RATES, "INR");
+  assert.equal(inInr.base, "INR");
+  assert.equal(inInr.rates.INR, 1);
+  near(inInr.rates.USD, 1 / 85.6, 12);
+});
+
+test("parseRateTable reads JSON and CSV, and says what is wrong", () => {
+  const json = parseRateTable('{"base_code":"usd","date":"2025-03-01","conversion_rates":{"INR":"86.5","EUR":0.95}}', "api.json");
+  assert.deepEqual(json, { base: "USD", asOf: "2025-03-01", source: "api.json", rates: { INR: 86.5, EUR: 0.95, USD: 1 } });
+  const csv = parseRateTable("currency,rate,date\nINR,1,2025-03-01\nUSD,0.0116\n# comment\nEUR,0.011");
+  assert.equal(csv.base, "INR");
+  assert.equal(csv.asOf, "2025-03-01");
+  assert.equal(csv.rates.EUR, 0.011);
+  assert.throws(() => parseRateTable('{"base":"USD","rates":{"INR":-1}}'), /INR must be a positive number/);
+  assert.throws(() => parseRateTable("code,value\nINR,1"), /'currency' and 'rate'/);
+  assert.throws(() => parseRateTable("currency,rate\nUSD,2\nINR,86"), /needs a 'base' column/);
+  assert.equal(normaliseRateTable({ base: "USD", rates: { USD: 2 } }), null);
+});
+
+test("Decimal arithmetic is exact", () => {
+  assert.equal(decToString(decAdd(dec("0.1"), dec("0.2"))), "0.3");
+  assert.equal(decToString(decSub(dec("1,00,000.50"), dec(0.5))), "100000.00");
+  assert.equal(decToString(decMul(dec("1.1"), dec("1.1"))), "1.21");
+  assert.equal(decToString(dec("1e-3")), "0.001");
+  assert.equal(decToString(decDiv(dec(1), dec(3), 4)), "0.3333");
+  assert.equal(decDiv(dec(1), dec(0)), null);
+  assert.equal(dec("abc"), null);
+});
+
+test("decRound: half-up versus half-even", () => {
+  assert.equal(decToString(decRound(dec("2.345"), 2)), "2.35");
+  assert.equal(decToString(decRound(dec("2.345"), 2, "half-even")), "2.34");
+  assert.equal(decToString(decRound(dec("-2.345"), 2)), "-2.35");
+  assert.equal(decToString(decRound(dec("2.5"), 0, "half-even")), "2");
+  assert.equal(decToString(decRound(dec("7"), 2)), "7.00");
+});
+
+test("convertBase is exact for long numbers and non-terminating fractions", () => {
+  assert.equal(convertBase({ value: "1".repeat(64), from: 2, to: 16 }), "F".repeat(16));
+  assert.equal(convertBase({ value: "0.1", from: 10, to: 2, fractionDigits: 8 }), "0.00011001…");
+  assert.equal(convertBase({ value: "ff_ff", from: 16, to: 10 }), "65535");
+  assert.equal(convertBase({ value: "10", from: 1, to: 10 }), null);
+});
+
+test("calcInvoice splits CGST/SGST per line and rounds the total to the rupee", () => {
+  const items = [
+    { description: "Pen", qty: 3, price: "33.33", rate: 18, discountPct: 10 },
+    { description: "Book", qty: 1, price: "499", rate: 5 },
+  ];
+  const intra = calcInvoice({ items });
+  assert.deepEqual(
+    [intra.lines[0].discount, intra.lines[0].taxable, intra.lines[0].cgst, intra.lines[0].sgst],
+    [10, 89.99, 8.1, 8.1],
+  );
+  assert.equal(intra.lines[1].cgst, 12.48);
+  assert.deepEqual(intra.summary.map(s => [s.rate, s.tax]), [[5, 24.96], [18, 16.2]]);
+  assert.equal(intra.tax, 41.16);
+  assert.equal(intra.roundOff, -0.15);
+  assert.equal(intra.total, 630);
+
+  const inter = calcInvoice({ items, supply: "inter" });
+  assert.equal(inter.cgst, 0);
+  assert.equal(inter.igst, 41.15);
+  assert.equal(inter.summary[0].igst, 24.95);
+});
+
+test("nextBirthday and addDuration follow the calendar", () => {
+  assert.deepEqual(nextBirthday({ dob: "2000-02-29", now: "2025-02-01" }), { date: "2025-02-28", days: 27, turning: 25 });
+  assert.equal(nextBirthday({ dob: "1990-05-10", now: "2025-05-10" }).days, 0);
+  assert.equal(addDuration({ date: "2024-01-31", months: 1 }).date, "2024-02-29");
+  assert.equal(addDuration({ date: "2024-03-01", days: 1, op: "subtract" }).date, "2024-02-29");
+  assert.equal(addDuration({ date: "2024-03-09T22:30", hours: 3 }).dateTime, "2024-03-10T01:30");
+});
+
+test("working days skip weekends and weekday holidays", () => {
+  // January 2025: 8 weekend days; the 26th is a Sunday, the 14th a Tuesday
+  assert.deepEqual(countWorkingDays({ a: "2025-01-31", b: "2025-01-01", holidays: ["2025-01-26", "2025-01-14"] }),
+    { workingDays: 22, weekendDays: 8, holidayDays: 1, calendarDays: 31 });
+  assert.equal(addWorkingDays({ date: "2025-01-03", days: 1 }), "2025-01-06");
+  assert.equal(addWorkingDays({ date: "2025-01-06", days: -1, holidays: ["2025-01-03"] }), "2025-01-02");
+  assert.equal(addWorkingDays({ date: "2025-01-03", days: 1, weekend: [0, 1, 2, 3, 4, 5, 6] }), null);
+});
+
+test("parseHolidayList reads CSV lines and DD-MM-YYYY dates", () => {
+  assert.deepEqual(parseHolidayList("date,name\n15-08-2025,Independence Day\n# comment\n2025-01-26,Republic Day"), [
+    { date: "2025-01-26", name: "Republic Day" },
+    { date: "2025-08-15", name: "Independence Day" },
+  ]);
+  assert.deepEqual(parseHolidayList('["2025-10-02"]'), [{ date: "2025-10-02", name: "" }]);
+  assert.throws(() => parseHolidayList("nothing here"), /No dates found/);
+});
+
+test("convertTimeZone shifts days and resolves DST gaps forward", () => {
+  const ist = convertTimeZone({ dateTime: "2025-01-15T09:00", from: "Asia/Kolkata", zones: ["America/New_York", "Asia/Tokyo"] });
+  assert.equal(ist.utc, "2025-01-15T03:30:00.000Z");
+  assert.deepEqual(ist.rows[0], { zone: "America/New_York", dateTime: "2025-01-14T22:30", offset: "-05:00", dayShift: -1 });
+  assert.equal(ist.rows[1].dateTime, "2025-01-15T12:30");
+  // 02:30 does not exist in New York on 9 March 2025
+  assert.equal(convertTimeZone({ dateTime: "2025-03-09T02:30", from: "America/New_York", zones: ["UTC"] }).utc, "2025-03-09T07:30:00.000Z");
+  assert.equal(isTimeZone("Mars/Base"), false);
+  assert.equal(convertTimeZone({ dateTime: "09:00", from: "UTC", zones: [] }), null);
+});
+
+test("calcSIPPlan matches calcSIP and applies step-up, lumpsum and inflation", () => {
+  const plain = calcSIPPlan({ monthly: 5000, ratePct: 12, years: 10 });
+  near(plain.fv, calcSIP({ monthly: 5000, ratePct: 12, years: 10 }).fv, 6);
+  assert.equal(plain.rows.length, 10);
+  const stepped = calcSIPPlan({ monthly: 10000, ratePct: 0, years: 2, stepUpPct: 10, lumpsum: 50000 });
+  assert.equal(stepped.invested, 50000 + 12 * 10000 + 12 * 11000);
+  assert.deepEqual(stepped.rows.map(r => r.monthly), [10000, 11000]);
+  near(calcSIPPlan({ monthly: 0, ratePct: 0, years: 10, lumpsum: 100000, inflationPct: 6 }).realFV, 55839.48);
+});
+
+test("calcSIPGoal solves for the instalment", () => {
+  const goal = calcSIPGoal({ target: 1000000, years: 10, ratePct: 12 });
+  near(goal.monthly, 4304.05);
+  near(goal.plan.fv, 1000000);
+  assert.equal(calcSIPGoal({ target: 100, years: 1, ratePct: 10, lumpsum: 1000 }).monthly, 0);
+  assert.equal(calcSIPGoal({ target: 1, years: 0, ratePct: 10 }), null);
+});
+
+test("calcSWP runs the corpus down, or reports that it lasts", () => {
+  const flat = calcSWP({ corpus: 25000, withdrawal: 10000, ratePct: 0 });
+  assert.equal(flat.months, 3);
+  assert.equal(flat.totalWithdrawn, 25000);
+  assert.deepEqual(flat.rows, [{ year: 1, opening: 25000, withdrawn: 25000, growth: 0, closing: 0 }]);
+
+  const stepped = calcSWP({ corpus: 1000000, withdrawal: 10000, ratePct: 8, stepUpPct: 6 });
+  assert.equal(stepped.months, 114);
+  assert.equal(stepped.rows[1].withdrawn, 127200);
+  assert.equal(stepped.lastsForever, false);
+
+  const lasting = calcSWP({ corpus: 1000000, withdrawal: 5000, ratePct: 12 });
+  assert.equal(lasting.lastsForever, true);
+  assert.equal(lasting.months, 1200);
+});
+
+test("checkField returns message templates with params", () => {
+  assert.equal(checkField("", {}), null);
+  assert.deepEqual(checkField("", { required: true }), { message: "Required" });
+  assert.deepEqual(checkField("abc"), { message: "Enter a number" });
+  assert.deepEqual(checkField("2.5", { integer: true }), { message: "Must be a whole number" });
+  assert.deepEqual(checkField("0", { min: 0, exclusiveMin: true }), { message: "Must be more than {min}", params: { min: 0 } });
+  assert.deepEqual(checkField("101", { max: 100 }), { message: "Must be at most {max}", params: { max: 100 } });
+  assert.deepEqual(checkField("0", { nonZero: true }), { message: "Must not be 0" });
+  assert.deepEqual(checkField("2024-12-31", { minDate: "2025-01-01" }), { message: "Must be on or after {date}", params: { date: "2025-01-01" } });
+  assert.deepEqual(checkField("31-31-2025", { date: true }), { message: "Enter a valid date" });
+});
+
+test("validateInputs collects errors by key", () => {
+  const rules = { principal: { required: true, min: 1 }, tenure: { integer: true } };
+  assert.deepEqual(validateInputs({ principal: 500000, tenure: 5 }, rules), { valid: true, errors: {} });
+  const bad = validateInputs({ principal: 0, tenure: 5.5 }, rules);
+  assert.equal(bad.valid, false);
+  assert.deepEqual(Object.keys(bad.errors), ["principal", "tenure"]);
+});
+
+test("goalSeek inverts a formula, snaps to a step and reports unreachable targets", () => {
+  const principal = goalSeek({ f: (x) => calcEMI({ principal: x, ratePct: 10, tenure: 5 }).emi, target: 10000, lo: 1, hi: 1e11 });
+  near(principal.value, 470653.69);
+  near(principal.achieved, 10000, 6);
+  const months = goalSeek({ f: (x) => calcEMI({ principal: 500000, ratePct: 10, tenure: x, tenureType: "Months" }).emi, target: 20000, lo: 1, hi: 600, step: 1 });
+  assert.equal(months.value, 28);
+  assert.deepEqual(goalSeek({ f: (x) => x * x, target: -1, lo: 0, hi: 10 }), { value: null, min: 0, max: 100 });
+  assert.equal(goalSeek({ f: (x) => x, target: "", lo: 0, hi: 1 }), null);
+});
+
+const REPORT = {
+  title: "EMI", url: "http://x/#/emi", generatedAt: "today",
+  inputs: [{ label: "Loan Amount", value: "₹ 5,00,000" }],
+  outputs: [{ label: "EMI | Month", value: "₹ 10,623.52" }],
+  tables: [{ title: "Schedule", columns: [{ key: "m", label: "Month" }], rows: [] }],
+  headings: { Inputs: "इनपुट" },
+};
+
+test("reportToMarkdown escapes pipes, translates headings and skips empty tables", () => {
+  assert.equal(reportToMarkdown(REPORT), [
+    "# EMI", "", "today · http://x/#/emi", "",
+    "## इनपुट", "", "| Input | Value |", "| --- | --- |", "| Loan Amount | ₹ 5,00,000 |", "",
+    "## Results", "", "| Result | Value |", "| --- | --- |", "| EMI \\| Month | ₹ 10,623.52 |", "",
+  ].join("\n"));
+});
+
+test("reportToCSV and reportToHTML", () => {
+  assert.equal(reportToCSV(REPORT), 'EMI\n\nइनपुट\nInput,Value\nLoan Amount,"₹ 5,00,000"\n\nResults\nResult,Value\nEMI | Month,"₹ 10,623.52"');
+  const html = reportToHTML({ ...REPORT, title: "<b>EMI</b>" });
+  assert.ok(html.includes("<title>&lt;b&gt;EMI&lt;/b&gt;</title>"));
+  assert.ok(html.includes('<a href="http://x/#/emi">'));
+  assert.ok(!html.includes("Schedule"));
+});
+
+test("calcBMI Asian cutoffs and feet + inches helpers", () => {
+  assert.equal(calcBMI({ unit: "metric", weight: 70, height: 170 }).status, "Normal");
+  assert.equal(calcBMI({ unit: "metric", weight: 70, height: 170, cutoffs: "asian" }).status, "Overweight");
+  assert.equal(feetInchesToInches(5, 9), 69);
+  assert.deepEqual(inchesToFeetInches(69), { feet: 5, inches: 9 });
+  assert.deepEqual(inchesToFeetInches(71.96), { feet: 6, inches: 0 });
+});
+
+test("calcBMR: Mifflin-St Jeor, Harris-Benedict and TDEE", () => {
+  assert.deepEqual(calcBMR({ unit: "metric", weight: 70, height: 175, age: 30, sex: "male", activity: "moderate" }), { bmr: 1648.75, tdee: 2555.5625 });
+  near(calcBMR({ unit: "metric", weight: 60, height: 165, age: 30, sex: "female", formula: "harris" }).bmr, 1383.68);
+  assert.equal(calcBMR({ unit: "metric", weight: 70, height: 175, age: 0, sex: "male" }), null);
+});
+
+test("calcBodyFatNavy, calcIdealWeight and calcDailyTargets", () => {
+  const fat = calcBodyFatNavy({ unit: "metric", sex: "male", height: 178, neck: 38, waist: 85, weight: 80 });
+  near(fat.bodyFat, 16.44);
+  assert.equal(fat.category, "Fitness");
+  near(fat.fatMass + fat.leanMass, 80, 9);
+  assert.equal(calcBodyFatNavy({ unit: "metric", sex: "male", height: 178, neck: 90, waist: 85 }), null);
+
+  const ideal = calcIdealWeight({ unit: "metric", sex: "male", height: 152.4 });
+  assert.deepEqual([ideal.devine, ideal.robinson, ideal.miller, ideal.hamwi], [50, 52, 56.2, 48]);
+  near(ideal.healthyMin, 42.97);
+
+  assert.deepEqual(calcDailyTargets({ unit: "metric", weight: 70, age: 25, sex: "male" }), { waterLitres: 2.8, proteinGrams: 56, proteinPerKg: 0.8 });
+  // the EFSA floor and the 65+ protein minimum
+  assert.deepEqual(calcDailyTargets({ unit: "metric", weight: 40, age: 70, sex: "female", activity: "light" }), { waterLitres: 1.6, proteinGrams: 40, proteinPerKg: 1 });
+});
+
+test("parseFraction and formatFraction", () => {
+  const show = (text, options) => formatFraction(parseFraction(text), options);
+  assert.equal(show("6/8"), "3/4");
+  assert.equal(show("-1 1/2"), "-3/2");
+  assert.equal(show("0.75"), "3/4");
+  assert.equal(show("4"), "4");
+  assert.equal(show("-7/4", { mixed: true }), "-1 3/4");
+  assert.deepEqual(parseFraction("0.1(6)"), { n: 1n, d: 6n });
+  assert.equal(parseFraction("1/0"), null);
+  assert.equal(parseFraction("abc"), null);
+});
+
+test("fractionToDecimal marks the repetend; continuedFraction expands", () => {
+  assert.equal(fractionToDecimal(parseFraction("1/6")), "0.1(6)");
+  assert.equal(fractionToDecimal(parseFraction("22/7")), "3.(142857)");
+  assert.equal(fractionToDecimal(parseFraction("3/4")), "0.75");
+  assert.deepEqual(continuedFraction(parseFraction("415/93")), [4n, 2n, 6n, 7n]);
+  assert.deepEqual(continuedFraction(parseFraction("5")), [5n]);
+});
+
+test("decimalToFraction finds the best approximation under a denominator limit", () => {
+  const pi = decimalToFraction({ value: "3.14159265", maxDenominator: 1000 });
+  assert.deepEqual(pi.fraction, { n: 355n, d: 113n });
+  assert.equal(pi.exact, false);
+  near(pi.error, 2.7e-7, 8);
+  const third = decimalToFraction({ value: "0.333333" });
+  assert.deepEqual(third.fraction, { n: 333333n, d: 1000000n });
+  assert.equal(third.exact, true);
+});
+
+test("fraction arithmetic, mixed parts and GCD/LCM", () => {
+  assert.deepEqual(fractionFromParts({ whole: 2, num: 1, den: 3 }), { n: 7n, d: 3n });
+  assert.deepEqual(calcFractionOp({ a: "1/2", b: "1/3", op: "+" }), { n: 5n, d: 6n });
+  assert.deepEqual(calcFractionOp({ a: "2/3", b: "1 1/2", op: "×" }), { n: 1n, d: 1n });
+  assert.equal(calcFractionOp({ a: "1/2", b: "0", op: "÷" }), null);
+  assert.deepEqual(calcGcdLcm({ values: "12, 18 30" }), { gcd: "6", lcm: "180", count: 3 });
+  assert.equal(calcGcdLcm({ values: "12, 1.5" }), null);
+});
+
+test("parseDataset: CSV with a header, bare CSV and a pasted column", () => {
+  assert.deepEqual(parseDataset("x,y\n1,2\n3,4\n5,6"), [
+    { name: "x", values: [1, 3, 5], skipped: 0 },
+    { name: "y", values: [2, 4, 6], skipped: 0 },
+  ]);
+  assert.deepEqual(parseDataset("1\t2\n3\tn/a").map(s => s.values), [[1, 3], [2, NaN]]);
+  assert.deepEqual(parseDataset("12\n15.5\n# note\n9"), [{ name: "", values: [12, 15.5, 9], skipped: 0 }]);
+  assert.deepEqual(parseDataset("3 4 5, 6;7")[0].values, [3, 4, 5, 6, 7]);
+  assert.deepEqual(parseDataset("  \n"), []);
+});
+
+test("parseDataset reads thousands separators as part of the number", () => {
+  assert.deepEqual(parseDataset("1,000\n2,000"), [{ name: "", values: [1000, 2000], skipped: 0 }]);
+  assert.deepEqual(parseDataset("1,000 2,500\n-12,345.5")[0].values, [1000, 2500, -12345.5]);
+  assert.deepEqual(parseDataset("a;b\n1,000;2,000\n3,000;4,000").map(s => s.values), [[1000, 3000], [2000, 4000]]);
+  assert.deepEqual(parseDataset('"1,000",5\n"2,000",6').map(s => s.values), [[1000, 2000], [5, 6]]);
+  // not grouped in threes: still two columns
+  assert.equal(parseDataset("10,20\n30,40").length, 2);
+});
+
+test("describeData and percentile", () => {
+  const d = describeData([2, 4, 4, 4, 5, 5, 7, 9, NaN]);
+  assert.deepEqual(
+    [d.count, d.mean, d.median, d.modes, d.q1, d.q3, d.range, d.populationSD],
+    [8, 5, 4.5, [4], 4, 5.5, 7, 2],
+  );
+  near(d.sampleSD, 2.1381, 4);
+  assert.equal(describeData([NaN]), null);
+  assert.equal(percentile([1, 2, 3, 4], 25), 1.75);
+  assert.ok(Number.isNaN(percentile([], 50)));
+});
+
+test("histogram and linearRegression", () => {
+  assert.deepEqual(histogram([1, 2, 2, 3, 3, 3, 4, 4, 4, 4], { bins: 3 }), [
+    { from: 1, to: 2, count: 1 }, { from: 2, to: 3, count: 2 }, { from: 3, to: 4, count: 7 },
+  ]);
+  // pairs with a missing x or y are dropped together
+  assert.deepEqual(linearRegression({ x: [1, 2, 3, 4, NaN], y: [3, 5, 7, 9, 100] }), { slope: 2, intercept: 1, r: 1, r2: 1, n: 4 });
+  assert.equal(linearRegression({ x: [1, 1], y: [2, 3] }), null);
+  const [sales] = parseDataset("1,000\n2,000\n3,000");
+  assert.equal(linearRegression({ x: [1, 2, 3], y: sales.values }).slope, 1000);
+});
+
+const SEARCH_FIXTURE = [
+  { key: "emi", name: "EMI", text: "EMI loan emi interest Finance" },
+  { key: "compound", name: "Compound Interest", text: "Compound Interest interest compounding Finance" },
+  { key: "temp", name: "Temperature", text: "Temperature heat weather Converters" },
+  { key: "age", name: "Age", text: "Age birthday Date/Time" },
+  { key: "percent", name: "Percentage", text: "Percentage percent Math" },
+];
+const keys = (query) => searchItems(query, SEARCH_FIXTURE).map(r => r.key);
+
+test("searchItems ranks name matches first and highlights them", () => {
+  assert.deepEqual(searchItems("emi", SEARCH_FIXTURE), [{ key: "emi", score: 2, ranges: [[0, 3]] }]);
+  assert.deepEqual(keys("the emi calculator"), ["emi"]);
+  assert.deepEqual(keys("calculator"), SEARCH_FIXTURE.map(it => it.key));
+  assert.deepEqual(keys("zzz"), []);
+});
+
+test("searchItems tolerates typos and understands Hindi synonyms", () => {
+  assert.deepEqual(keys("laon"), ["emi"]);
+  assert.deepEqual(keys("interst"), ["compound", "emi"]);
+  assert.deepEqual(searchItems("tempreture", SEARCH_FIXTURE)[0].ranges, [[0, 11]]);
+  assert.deepEqual(keys("byaj"), ["compound", "emi"]);
+  assert.deepEqual(keys("kist"), ["emi"]);
+  // a synonym must match a whole word or prefix: "umar" (age) must not find "percentage"
+  assert.deepEqual(keys("umar"), ["age"]);
+});
+
+test("searchItems forgives misspelt filler words, short names and common misspellings", () => {
+  assert.deepEqual(keys("emi calculater"), ["emi"]);
+  assert.deepEqual(keys("emi calculatr onlin"), ["emi"]);
+  assert.deepEqual(searchItems("emii", SEARCH_FIXTURE), [{ key: "emi", score: 0.8, ranges: [[0, 3]] }]);
+  assert.deepEqual(keys("lone"), ["emi"]);
+  assert.deepEqual(keys("lone calculater"), ["emi"]);
+});